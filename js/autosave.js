@@ -5,14 +5,42 @@
 */
 
 import { saveBook } from "./storage.js";
-import { state } from "./state.js";
+import { takeAutosaveSnapshot } from "./versionHistory.js";
+import { store, state, markDirty, clearDirty } from "./state.js";
+import { reportSaveFailure, clearSaveFailure } from "./saveFailureUI.js";
 
 let autosaveTimer;
 
-export function scheduleAutosave(delay = 700) {
+function scheduleAutosave(delay = 700) {
   clearTimeout(autosaveTimer);
 
-  autosaveTimer = setTimeout(() => {
-    saveBook(state);
+  autosaveTimer = setTimeout(async () => {
+    let saved;
+    try {
+      saved = await saveBook(state);
+    } catch (err) {
+      reportSaveFailure(err, { retry: () => scheduleAutosave(0), getBook: () => state });
+      return;
+    }
+
+    if (!saved) return;
+    clearDirty();
+    clearSaveFailure();
+
+    // The chart itself is saved even if its history snapshot is not
+    takeAutosaveSnapshot(saved).catch(err => {
+      console.warn("Autosave snapshot failed:", err);
+    });
   }, delay);
 }
+
+/**
+ * Mark the chart dirty and autosave on every persisted store change.
+ */
+export function initAutosave() {
+  store.subscribe(change => {
+    if (!change.persist) return;
+    markDirty();
+    scheduleAutosave();
+  });
+}
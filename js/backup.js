@@ -0,0 +1,167 @@
+/* backup.js
+   Full-library backup and restore.
+
+   An archive is one JSON file holding every saved chart, the
+   bookIndex and the UI preferences kept in localStorage:
+
+   {
+     format: "sbs-charter-library",
+     version: 1,
+     createdAt: <ms timestamp>,
+     bookIndex: { [bookId]: { book, chartName, bookTitle, lastModified, size } },
+     preferences: { themePreset, sbExpanded },
+     books: { [bookId]: <loadBook() result> }
+   }
+*/
+
+import { listBooks, loadBook, saveBooks } from "./storage.js";
+import { createChartId, bookOfChart, chartLabel } from "./charts.js";
+
+export const ARCHIVE_FORMAT = "sbs-charter-library";
+export const ARCHIVE_VERSION = 1;
+
+const PREFERENCE_KEYS = ["themePreset", "sbExpanded"];
+
+/* ================================
+   Backup
+================================ */
+
+export async function buildArchive() {
+  const bookIndex = await listBooks();
+  const books = {};
+
+  for (const bookId of Object.keys(bookIndex)) {
+    const book = await loadBook(bookId);
+    if (book) books[bookId] = book;
+  }
+
+  const preferences = {};
+  PREFERENCE_KEYS.forEach(key => {
+    const value = localStorage.getItem(key);
+    if (value !== null) preferences[key] = value;
+  });
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: Date.now(),
+    bookIndex,
+    preferences,
+    books
+  };
+}
+
+export function downloadArchive(archive) {
+  const blob = new Blob([JSON.stringify(archive, null, 2)], { type: "application/json" });
+  const date = new Date(archive.createdAt).toISOString().slice(0, 10);
+
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `charter-library-${date}.json`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/* ================================
+   Restore
+================================ */
+
+/**
+ * Parse and validate archive text. Throws an Error with a
+ * user-facing message when the file is not a usable archive.
+ */
+export function parseArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error("This file is not a Charter library backup.");
+  }
+  if (typeof archive.version !== "number" || archive.version > ARCHIVE_VERSION) {
+    throw new Error("This backup was made by a newer version of the app.");
+  }
+  if (!archive.books || typeof archive.books !== "object") {
+    throw new Error("This backup does not contain any charts.");
+  }
+  if (Object.values(archive.books).some(book => !book || typeof book !== "object")) {
+    throw new Error("This backup contains a damaged chart.");
+  }
+
+  archive.bookIndex ||= {};
+  archive.preferences ||= {};
+  return archive;
+}
+
+/**
+ * Describe what restoring would touch.
+ * @returns {Promise<Array>} [{ bookId, title, exists, archiveModified, existingModified }]
+ */
+export async function planRestore(archive) {
+  const existing = await listBooks();
+
+  return Object.entries(archive.books).map(([bookId, book]) => ({
+    bookId,
+    title: book.bookTitle || archive.bookIndex[bookId]?.bookTitle || bookId,
+    exists: !!existing[bookId],
+    archiveModified: book.lastModified || 0,
+    existingModified: existing[bookId]?.lastModified || 0
+  }));
+}
+
+/**
+ * Resolve each planned chart to the action that will be taken.
+ * decisions: { [bookId]: "both" | "overwrite" | "skip" } for existing charts.
+ *
+ * "both" keeps the saved chart and adds the archived one next to it
+ * as another chart of the book ("copy").
+ */
+export function resolveRestore(plan, decisions) {
+  return plan.map(item => {
+    if (!item.exists) return { ...item, action: "add" };
+
+    const choice = decisions[item.bookId] || "skip";
+    if (choice === "overwrite") return { ...item, action: "overwrite" };
+    if (choice === "both") return { ...item, action: "copy" };
+    return { ...item, action: "skip" };
+  });
+}
+
+export function summarizeRestore(resolved) {
+  const summary = { add: 0, overwrite: 0, copy: 0, skip: 0 };
+  resolved.forEach(item => { summary[item.action]++; });
+  return summary;
+}
+
+/**
+ * Write the restored charts in one transaction, so a failure leaves
+ * the library as it was. Charts keep their archived lastModified.
+ */
+export async function applyRestore(archive, resolved, { restorePreferences = false } = {}) {
+  const books = resolved
+    .filter(item => item.action !== "skip")
+    .map(item => {
+      const book = archive.books[item.bookId];
+      if (item.action !== "copy") return { ...book, bookId: item.bookId };
+      return {
+        ...book,
+        bookId: createChartId(bookOfChart(book, item.bookId)),
+        book: bookOfChart(book, item.bookId),
+        chartName: `${chartLabel(book, item.bookId)} (from backup)`
+      };
+    });
+  if (books.length) await saveBooks(books, { keepModified: true });
+
+  if (restorePreferences) {
+    PREFERENCE_KEYS.forEach(key => {
+      if (key in archive.preferences) {
+        localStorage.setItem(key, archive.preferences[key]);
+      }
+    });
+  }
+
+  return summarizeRestore(resolved);
+}
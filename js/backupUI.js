@@ -0,0 +1,193 @@
+/* backupUI.js
+   "Backup library" and "Restore" actions on the home page.
+*/
+
+import { getById, createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import {
+  buildArchive,
+  downloadArchive,
+  parseArchive,
+  planRestore,
+  resolveRestore,
+  summarizeRestore,
+  applyRestore
+} from "./backup.js";
+
+const CHOICES = [
+  ["both", "Keep both"],
+  ["overwrite", "Overwrite"],
+  ["skip", "Skip"]
+];
+
+export function initBackupActions({ onRestored } = {}) {
+  const backupBtn = getById('backupLibraryBtn');
+  const restoreBtn = getById('restoreLibraryBtn');
+  const fileInput = getById('restoreLibraryInput');
+
+  if (backupBtn) {
+    backupBtn.onclick = async () => {
+      try {
+        const archive = await buildArchive();
+        downloadArchive(archive);
+      } catch (err) {
+        console.error("Backup failed:", err);
+        alert("Could not create the backup.");
+      }
+    };
+  }
+
+  if (restoreBtn && fileInput) {
+    restoreBtn.onclick = () => fileInput.click();
+
+    fileInput.onchange = async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      let archive;
+      let plan;
+      try {
+        archive = parseArchive(await file.text());
+        plan = await planRestore(archive);
+      } catch (err) {
+        console.error("Reading the backup failed:", err);
+        alert(err.message || "Could not read this backup.");
+        return;
+      }
+
+      if (!plan.length) {
+        alert("This backup does not contain any charts.");
+        return;
+      }
+
+      showRestoreOptions(archive, plan, onRestored);
+    };
+  }
+}
+
+/* ================================
+   Step 1: choose per-book actions
+================================ */
+
+function newerCopy({ archiveModified, existingModified }) {
+  if (archiveModified === existingModified) return 'same version';
+  return archiveModified > existingModified ? 'backup copy is newer' : 'saved copy is newer';
+}
+
+function showRestoreOptions(archive, plan, onRestored) {
+  const decisions = {};
+  const body = createEl('div');
+
+  const created = new Date(archive.createdAt || 0).toLocaleString();
+  body.appendChild(createEl('p', {
+    className: 'muted',
+    text: `Backup from ${created} · ${plan.length} chart(s).`
+  }));
+
+  const table = createEl('table');
+  table.innerHTML = '<thead><tr><th>Chart</th><th>Status</th><th>If it exists</th></tr></thead>';
+  const tbody = createEl('tbody');
+
+  plan.forEach(item => {
+    const tr = createEl('tr');
+    tr.appendChild(createEl('td', { text: item.title }));
+    tr.appendChild(createEl('td', { text: item.exists ? `Already saved (${newerCopy(item)})` : 'New' }));
+
+    const cell = createEl('td');
+    if (item.exists) {
+      const select = createEl('select');
+      CHOICES.forEach(([value, label]) => {
+        const opt = createEl('option', { text: label, attrs: { value } });
+        select.appendChild(opt);
+      });
+      decisions[item.bookId] = select.value;
+      select.onchange = () => { decisions[item.bookId] = select.value; };
+      cell.appendChild(select);
+    } else {
+      cell.textContent = '—';
+    }
+    tr.appendChild(cell);
+    tbody.appendChild(tr);
+  });
+
+  table.appendChild(tbody);
+  body.appendChild(table);
+
+  const prefsLabel = createEl('label', { className: 'mt-2' });
+  const prefsBox = createEl('input', { attrs: { type: 'checkbox' } });
+  prefsLabel.append(prefsBox, document.createTextNode(' Also restore theme and sidebar preferences'));
+  if (Object.keys(archive.preferences).length) body.appendChild(prefsLabel);
+
+  openDialog({
+    title: 'Restore library',
+    eyebrow: 'Backup',
+    body,
+    wide: true,
+    actions: [
+      { label: 'Cancel' },
+      {
+        label: 'Review',
+        primary: true,
+        onClick: () => {
+          const resolved = resolveRestore(plan, decisions);
+          showRestoreSummary(archive, resolved, prefsBox.checked, onRestored);
+        }
+      }
+    ]
+  });
+}
+
+/* ================================
+   Step 2: confirm summary
+================================ */
+
+function showRestoreSummary(archive, resolved, restorePreferences, onRestored) {
+  const summary = summarizeRestore(resolved);
+  const body = createEl('div');
+
+  const list = createEl('ul');
+  [
+    [summary.add, 'new chart(s) will be added'],
+    [summary.overwrite, 'saved chart(s) will be replaced by the backup copy'],
+    [summary.copy, 'chart(s) will be added next to the saved one, named "(from backup)"'],
+    [summary.skip, 'chart(s) will be skipped']
+  ].forEach(([count, text]) => {
+    if (count) list.appendChild(createEl('li', { text: `${count} ${text}` }));
+  });
+  if (restorePreferences) {
+    list.appendChild(createEl('li', { text: 'Theme and sidebar preferences will be restored' }));
+  }
+  body.appendChild(list);
+
+  if (!summary.add && !summary.overwrite && !summary.copy && !restorePreferences) {
+    body.appendChild(createEl('p', { className: 'muted', text: 'Nothing will change.' }));
+  }
+
+  openDialog({
+    title: 'Confirm restore',
+    eyebrow: 'Backup',
+    body,
+    actions: [
+      { label: 'Cancel' },
+      {
+        label: 'Restore',
+        primary: true,
+        onClick: async () => {
+          try {
+            await applyRestore(archive, resolved, { restorePreferences });
+          } catch (err) {
+            console.error("Restore failed:", err);
+            alert("Restore failed. No charts were changed.");
+            return;
+          }
+          if (restorePreferences) {
+            window.location.reload();
+            return;
+          }
+          if (onRestored) onRestored();
+        }
+      }
+    ]
+  });
+}
@@ -1,12 +1,14 @@
 /* bookInfoUI.js
    UI for editable book metadata:
    - Book title
+   - Chart name
    - Key verse
 */
 
-import { state } from "./state.js";
+import { store, state } from "./state.js";
 import { getById, createEl } from "./domUtils.js";
-import { scheduleAutosave } from "./autosave.js";
+import { recordChange } from "./commandHistory.js";
+import { parseReference, formatReference } from "./references.js";
 
 export function renderBookInfoInputs() {
   const container = getById('bookInfoRow');
@@ -26,41 +28,62 @@ const titleInput = createEl('input', {
 
 titleInput.value = state.bookName;
 titleInput.oninput = e => {
-  const oldName = state.bookName;   // optional, if you want to know the previous name
-  state.bookName = e.target.value;
-
-  // Update the bookIndex so the library shows the new title
-  const index = JSON.parse(localStorage.getItem("bookIndex")) || {};
-  if (state.bookId) {
-    index[state.bookId] = {
-      bookName: state.bookName,
-      lastModified: Date.now()
-    };
-    localStorage.setItem("bookIndex", JSON.stringify(index));
-  }
-
-  scheduleAutosave();
+  recordChange('Edit book title', () => {
+    store.setField('bookName', e.target.value);
+  }, { mergeKey: 'bookName' });
 };
 
 
   titleWrap.append(titleLabel, titleInput);
 
+  // ---- Chart Name ----
+  const chartWrap = createEl('div', { className: 'input-inline' });
+  const chartLabel = createEl('label', { text: 'Chart Name:' });
+  const chartInput = createEl('input', {
+    attrs: { type: 'text', placeholder: 'e.g. Spring cohort' }
+  });
+
+  chartInput.value = state.chartName || '';
+  chartInput.oninput = e => {
+    recordChange('Edit chart name', () => {
+      store.setField('chartName', e.target.value);
+    }, { mergeKey: 'chartName' });
+  };
+
+  chartWrap.append(chartLabel, chartInput);
+
   // ---- Key Verse ----
   const keyWrap = createEl('div', { className: 'input-inline' });
   const keyLabel = createEl('label', { text: 'Key Verse:' });
   const keyInput = createEl('input', {
-    attrs: { type: 'text', placeholder: 'e.g. 3:16' }
+    attrs: { type: 'text', placeholder: 'e.g. 3:16, 3:21–26 or Rom 8:28' }
   });
 
+  // Any reference (see references.js), stored in the standard form
+  const parseKeyVerse = val => parseReference(val, { book: state.book });
+
   keyInput.value = state.keyVerse;
   keyInput.oninput = e => {
-    const val = e.target.value;
-    if (/^\d{0,3}:?\d{0,3}$/.test(val)) {
-      state.keyVerse = val;
-      scheduleAutosave();
-    } else {
+    const val = e.target.value.trim();
+    const valid = !val || !!parseKeyVerse(val);
+    e.target.classList.toggle('invalid', !valid);
+    e.target.title = valid ? '' : 'Not a reference: try 3:16, 3:16–18 or Rom 8:28';
+  };
+  keyInput.onchange = e => {
+    const val = e.target.value.trim();
+    const ref = val && parseKeyVerse(val);
+    const formatted = ref ? formatReference(ref, { book: state.book }) : '';
+
+    if (val && !ref) {
       e.target.value = state.keyVerse;
+    } else {
+      recordChange('Edit key verse', () => {
+        store.setField('keyVerse', formatted);
+      }, { mergeKey: 'keyVerse' });
+      e.target.value = formatted;
     }
+    e.target.classList.remove('invalid');
+    e.target.title = '';
   };
 
   keyWrap.append(keyLabel, keyInput);
@@ -68,8 +91,9 @@ titleInput.oninput = e => {
   // Insert before header-actions so save button stays on the right
   if (headerActions) {
     container.insertBefore(keyWrap, headerActions);
-    container.insertBefore(titleWrap, keyWrap);
+    container.insertBefore(chartWrap, keyWrap);
+    container.insertBefore(titleWrap, chartWrap);
   } else {
-    container.append(titleWrap, keyWrap);
+    container.append(titleWrap, chartWrap, keyWrap);
   }
 }
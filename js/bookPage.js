@@ -1,80 +1,183 @@
 // bookPage.js
-import { state } from "./state.js";
-import { loadBook, saveBook } from "./storage.js";
-import { loadVerseRangesForBook } from "./verseRanges.js";
+import { store, state, isDirty, clearDirty } from "./state.js";
+import { loadBook, saveBook, listBooks } from "./storage.js";
+import { initAutosave } from "./autosave.js";
+import { initChartFileActions } from "./chartFileUI.js";
+import { reportSaveFailure, clearSaveFailure } from "./saveFailureUI.js";
 import { renderBookInfoInputs } from "./bookInfoUI.js";
-import { renderParagraphRows } from "./paragraphUI.js";
+import { renderParagraphRows, jumpToParagraph } from "./paragraphUI.js";
 import { renderStructure } from "./structureUI.js";
+import { renderProblems } from "./problemsUI.js";
+import { defaultLevels, levelKeys } from "./levels.js";
 import { initExportButtons } from "./exportHandlers.js";
+import { takeSnapshot } from "./versionHistory.js";
+import { openHistoryPanel } from "./historyUI.js";
+import { openLevelsDialog } from "./levelsUI.js";
+import { openSuggestDialog } from "./suggestUI.js";
+import { openOutlineDialog } from "./outlineUI.js";
+import { renderTagFilter } from "./tagUI.js";
+import { renderTranslationSelect } from "./translationUI.js";
+import { DEFAULT_TRANSLATION } from "./translations.js";
+import { registerImportedTranslations } from "./importedTexts.js";
+import { groupChartsByBook, duplicateChart, createFreshChart, chartLabel } from "./charts.js";
+import { showMigrationWarnings } from "./migrationNotice.js";
+import { initSync } from "./sync.js";
+import { promptConflicts } from "./conflictUI.js";
+import {
+  undo, redo, canUndo, canRedo, undoLabel, redoLabel,
+  clearHistory, onHistoryChange
+} from "./commandHistory.js";
 
 document.addEventListener("DOMContentLoaded", async () => {
   const params = new URLSearchParams(window.location.search);
   const bookIdParam = params.get("bookId");
   const nameParam = params.get("name");
 
-  console.log("Book page loaded:", window.location.href);
+  await registerImportedTranslations();
 
   // --- Load saved book by ID ---
   if (bookIdParam) {
-    const saved = loadBook(bookIdParam);
+    const saved = await loadBook(bookIdParam);
     if (!saved) {
       console.error("Saved book not found:", bookIdParam);
       return;
     }
 
-    Object.assign(state, saved);
-    console.log("Loaded saved book:", state.bookTitle);
-    finalizeAndRender();
+    finalizeAndRender(saved);
+    showMigrationWarnings(saved);
+    jumpToLinkedParagraph();
     return; // STOP HERE
   }
 
-  // --- Load default book if no save ---
   if (!nameParam) {
     console.warn("No bookId or name provided.");
     return;
   }
 
-  console.log("No saved book found, loading default for:", nameParam);
-
-  state.bookId = nameParam;           // canonical ID
-  state.bookName ||= nameParam;       // editable (preserve existing edits)
-  state.bookTitle ||= nameParam;      // display
-  state.keyVerse ||= "";
-  state.paragraphs = [];
-  state.divisions = [];
-  state.sections = [];
-  state.segments = [];
+  // --- A book by name: its latest chart, unless a new one is asked for ---
+  if (!params.has("new")) {
+    const latest = groupChartsByBook(await listBooks()).get(nameParam)?.[0];
+    if (latest) {
+      window.location.replace(`book.html?bookId=${encodeURIComponent(latest.bookId)}`);
+      return;
+    }
+  }
 
+  let chart;
   try {
-    console.log("Loading default paragraphs for:", state.bookName);
-    await loadVerseRangesForBook(state.bookName, state);
-    console.log("Default paragraphs loaded:", state.paragraphs.length);
+    chart = await createFreshChart(
+      nameParam,
+      params.get("chartName") || "",
+      params.get("translation") || DEFAULT_TRANSLATION
+    );
   } catch (err) {
-    console.error("Failed to load default paragraphs:", err);
-    state.paragraphs = [];
+    console.error("Creating chart failed:", err);
+    alert("Could not create a new chart.");
+    return;
   }
 
-  finalizeAndRender();
+  // Reloading opens this chart rather than starting another
+  history.replaceState(null, "", `book.html?bookId=${encodeURIComponent(chart.bookId)}`);
+  finalizeAndRender(chart);
 });
 
-function finalizeAndRender() {
-  state.paragraphs ||= [];
-  state.divisions ||= [];
-  state.sections ||= [];
-  state.segments ||= [];
+function finalizeAndRender(book) {
+  book.paragraphs ||= [];
+  book.levels ||= defaultLevels();
+  levelKeys(book).forEach(key => { book[key] ||= []; });
+
+  // Rendering follows store changes; inputs that caused an edit
+  // already show it, so title and note edits do not re-render.
+  store.subscribe(change => {
+    if (change.type.startsWith("chart/") || change.type.startsWith("history/")) renderChart();
+    else if (change.type.startsWith("structure/")) {
+      renderParagraphRows(); // boundary markers
+      renderStructure();
+      renderProblems();
+      renderTagFilter(); // split and merge move tags
+    }
+    else if (change.type === "paragraphs/edit" && change.field === "tags") renderTagFilter();
+    else if (change.type === "info/edit") renderPageTitle();
+  });
+
+  store.load(book);
+  initAutosave();
+  initExportButtons();
+  initChartFileActions({ getBook: () => state, onOpened: openChart });
+
+  // Pick up edits made to this chart in other tabs (e.g. the Chart Editor)
+  initSync({
+    getBook: () => state,
+    applyBook: remote => {
+      clearHistory(); // undo entries would silently revert the other tab's edits
+      store.load(remote, "chart/sync");
+    },
+    resolveConflicts: promptConflicts
+  });
+}
+
+// Links from other pages (search results) name a paragraph: #paragraph-12
+function jumpToLinkedParagraph() {
+  const match = /^#paragraph-(\d+)$/.exec(window.location.hash);
+  if (match) jumpToParagraph(Number(match[1]) - 1);
+}
 
-  // Render book title at the top
+function renderPageTitle() {
   const bookPageTitle = document.getElementById("bookPageTitle");
   if (bookPageTitle) {
-    bookPageTitle.textContent = state.bookTitle || state.bookName || "Book";
+    const title = state.bookTitle || state.bookName || "Book";
+    bookPageTitle.textContent = state.chartName ? `${title} — ${state.chartName}` : title;
   }
+}
 
+function renderChart() {
+  renderPageTitle();
   renderParagraphRows();
   renderBookInfoInputs();
   renderStructure();
-  initExportButtons();
+  renderProblems();
+  renderTagFilter();
+  renderTranslationSelect();
 }
 
+// --- Undo / Redo ---
+const undoBtn = document.getElementById("undoBtn");
+const redoBtn = document.getElementById("redoBtn");
+
+onHistoryChange(() => {
+  if (undoBtn) {
+    undoBtn.disabled = !canUndo();
+    undoBtn.title = canUndo() ? `Undo ${undoLabel().toLowerCase()} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !canRedo();
+    redoBtn.title = canRedo() ? `Redo ${redoLabel().toLowerCase()} (Ctrl+Shift+Z)` : "Redo (Ctrl+Shift+Z)";
+  }
+});
+
+if (undoBtn) undoBtn.addEventListener("click", undo);
+if (redoBtn) redoBtn.addEventListener("click", redo);
+
+// Text fields and open dialogs keep the browser's own text undo
+function ownsUndoKeys(target) {
+  if (document.querySelector(".dlg-backdrop")) return true;
+  return !!target?.closest?.("input, textarea, select, [contenteditable]:not([contenteditable='false'])");
+}
+
+document.addEventListener("keydown", e => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (ownsUndoKeys(e.target)) return;
+
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redo();
+  }
+});
+
 // --- Show All / Hide All verse text ---
 const showAllBtn = document.getElementById("showAllText");
 const hideAllBtn = document.getElementById("hideAllText");
@@ -100,15 +203,148 @@ const saveBtn = document.getElementById("saveBookBtn");
 const saveStatus = document.getElementById("saveStatus");
 
 if (saveBtn && saveStatus) {
-  saveBtn.addEventListener("click", () => {
+  saveBtn.addEventListener("click", saveNow);
+}
+
+async function saveNow() {
+  if (!state.bookId) return;
+
+  let saved;
+  try {
+    saved = await saveBook();
+  } catch (err) {
+    reportSaveFailure(err, { retry: saveNow, getBook: () => state });
+    return;
+  }
+
+  clearDirty();
+  clearSaveFailure();
+
+  try {
+    await takeSnapshot(saved, "manual");
+  } catch (err) {
+    console.warn("History snapshot failed:", err);
+  }
+
+  saveStatus.classList.add("visible");
+  clearTimeout(saveStatus._timeout);
+  saveStatus._timeout = setTimeout(() => {
+    saveStatus.classList.remove("visible");
+  }, 1200);
+}
+
+// --- Tags page button ---
+const tagsPageBtn = document.getElementById("tagsPageBtn");
+
+if (tagsPageBtn) {
+  tagsPageBtn.addEventListener("click", () => {
+    if (!state.bookId) {
+      alert("Please save the book first before opening the tag index.");
+      return;
+    }
+    window.location.href = `tags.html?bookId=${encodeURIComponent(state.bookId)}`;
+  });
+}
+
+// --- Search button ---
+const searchBtn = document.getElementById("searchBtn");
+
+if (searchBtn) {
+  searchBtn.addEventListener("click", () => {
+    const params = new URLSearchParams({ scope: state.book || "all" });
+    if (state.bookId) params.set("bookId", state.bookId);
+    window.location.href = `search.html?${params}`;
+  });
+}
+
+// --- Compare button ---
+const compareBtn = document.getElementById("compareBtn");
+
+if (compareBtn) {
+  compareBtn.addEventListener("click", async () => {
     if (!state.bookId) return;
+    if (isDirty) await saveNow(); // Compare reads the saved chart
+    if (isDirty) return;
+
+    const params = new URLSearchParams({ book: state.book, a: state.bookId });
+    window.location.href = `compare.html?${params}`;
+  });
+}
+
+// --- History button ---
+const historyBtn = document.getElementById("historyBtn");
+
+if (historyBtn) {
+  historyBtn.addEventListener("click", () => {
+    if (!state.bookId) return;
+
+    openHistoryPanel({
+      bookId: state.bookId,
+      hasUnsavedChanges: () => isDirty,
+      onRestored: restored => {
+        window.location.href = `book.html?bookId=${encodeURIComponent(restored.bookId)}`;
+      }
+    });
+  });
+}
 
-    saveBook();
+// --- Levels button ---
+const levelsBtn = document.getElementById("levelsBtn");
 
-    saveStatus.classList.add("visible");
-    clearTimeout(saveStatus._timeout);
-    saveStatus._timeout = setTimeout(() => {
-      saveStatus.classList.remove("visible");
-    }, 1200);
+if (levelsBtn) {
+  levelsBtn.addEventListener("click", () => openLevelsDialog());
+}
+
+// --- Suggest structure button ---
+const suggestBtn = document.getElementById("suggestBtn");
+
+if (suggestBtn) {
+  suggestBtn.addEventListener("click", () => openSuggestDialog());
+}
+
+// --- Import outline button ---
+const outlineBtn = document.getElementById("outlineBtn");
+
+if (outlineBtn) {
+  outlineBtn.addEventListener("click", () => openOutlineDialog());
+}
+
+// --- Duplicate / new chart buttons ---
+const duplicateBtn = document.getElementById("duplicateChartBtn");
+const freshBtn = document.getElementById("freshChartBtn");
+
+function openChart(chart) {
+  window.location.href = `book.html?bookId=${encodeURIComponent(chart.bookId)}`;
+}
+
+if (duplicateBtn) {
+  duplicateBtn.addEventListener("click", async () => {
+    if (!state.bookId) return;
+
+    const name = prompt("Name for the copy:", `${chartLabel(state, state.bookId)} (copy)`);
+    if (name === null) return;
+
+    try {
+      openChart(await duplicateChart(state, name.trim()));
+    } catch (err) {
+      console.error("Duplicate failed:", err);
+      alert("Could not duplicate this chart.");
+    }
+  });
+}
+
+if (freshBtn) {
+  freshBtn.addEventListener("click", async () => {
+    if (!state.book) return;
+
+    const name = prompt(`Name for the new ${state.book} chart:`, "");
+    if (name === null) return;
+
+    try {
+      openChart(await createFreshChart(state.book, name.trim()));
+    } catch (err) {
+      console.error("Creating chart failed:", err);
+      alert("Could not create a new chart.");
+    }
   });
 }
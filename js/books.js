@@ -17,3 +17,60 @@ export const BOOKS = [
   "2 Peter","1 John","2 John","3 John","Jude",
   "Revelation"
 ];
+
+// Book codes in imported Bible texts (see textImport.js), in BOOKS order
+export const USFM_CODES = [
+  "GEN","EXO","LEV","NUM","DEU",
+  "JOS","JDG","RUT","1SA","2SA",
+  "1KI","2KI","1CH","2CH","EZR",
+  "NEH","EST","JOB","PSA","PRO",
+  "ECC","SNG","ISA","JER","LAM",
+  "EZK","DAN","HOS","JOL","AMO",
+  "OBA","JON","MIC","NAM","HAB",
+  "ZEP","HAG","ZEC","MAL","MAT",
+  "MRK","LUK","JHN","ACT","ROM",
+  "1CO","2CO","GAL","EPH","PHP",
+  "COL","1TH","2TH","1TI","2TI",
+  "TIT","PHM","HEB","JAS","1PE",
+  "2PE","1JN","2JN","3JN","JUD",
+  "REV"
+];
+
+export const OSIS_CODES = [
+  "Gen","Exod","Lev","Num","Deut",
+  "Josh","Judg","Ruth","1Sam","2Sam",
+  "1Kgs","2Kgs","1Chr","2Chr","Ezra",
+  "Neh","Esth","Job","Ps","Prov",
+  "Eccl","Song","Isa","Jer","Lam",
+  "Ezek","Dan","Hos","Joel","Amos",
+  "Obad","Jonah","Mic","Nah","Hab",
+  "Zeph","Hag","Zech","Mal","Matt",
+  "Mark","Luke","John","Acts","Rom",
+  "1Cor","2Cor","Gal","Eph","Phil",
+  "Col","1Thess","2Thess","1Tim","2Tim",
+  "Titus","Phlm","Heb","Jas","1Pet",
+  "2Pet","1John","2John","3John","Jude",
+  "Rev"
+];
+
+// Number of chapters, in BOOKS order
+export const CHAPTER_COUNTS = [
+  50,40,27,36,34,
+  24,21,4,31,24,
+  22,25,29,36,10,
+  13,10,42,150,31,
+  12,8,66,52,5,
+  48,12,14,3,9,
+  1,4,7,3,3,
+  3,2,14,4,28,
+  16,24,21,28,16,
+  16,13,6,6,4,
+  4,5,3,6,4,
+  3,1,13,5,5,
+  3,5,1,1,1,
+  22
+];
+
+export function chapterCount(book) {
+  return CHAPTER_COUNTS[BOOKS.indexOf(book)] || null;
+}
@@ -0,0 +1,107 @@
+/* chartCompare.js
+   Compares two charts of the same Bible book.
+
+   The charts may split the text into paragraphs differently, so they
+   are aligned by verse: a boundary is the first verse of the
+   paragraph an item starts at. Levels are matched by key (see
+   levels.js); a level only one chart has is compared against nothing.
+*/
+
+import { computeSegStart, computeSegEnd } from "./export/helpers/segmentMath.js";
+import { getLevels, sortByStart } from "./levels.js";
+import { firstVerse, lastVerse, compareRefs } from "./verseAnchors.js";
+
+/**
+ * @returns {{ levels: Array<{ key, name, inA, inB }>, rows: Array, summary: Array }}
+ *   rows: one per verse where either chart has a boundary, in book
+ *   order: { ref, cells: { [key]: { a, b, status } } } where a / b are
+ *   { title, until } or null and status is "same" | "title" | "onlyA"
+ *   | "onlyB" | "none".
+ *   summary: per level { key, name, shared, onlyA, onlyB, titlesAgree, agreement }
+ */
+export function compareCharts(a, b) {
+  const levels = matchLevels(a, b);
+  const boundariesA = Object.fromEntries(levels.map(level => [level.key, boundaries(a, level.key)]));
+  const boundariesB = Object.fromEntries(levels.map(level => [level.key, boundaries(b, level.key)]));
+
+  const refs = new Set();
+  levels.forEach(({ key }) => {
+    boundariesA[key].forEach((_, ref) => refs.add(ref));
+    boundariesB[key].forEach((_, ref) => refs.add(ref));
+  });
+
+  const rows = [...refs].sort(compareRefs).map(ref => {
+    const cells = {};
+    levels.forEach(({ key }) => {
+      const left = boundariesA[key].get(ref) || null;
+      const right = boundariesB[key].get(ref) || null;
+      cells[key] = { a: left, b: right, status: cellStatus(left, right) };
+    });
+    return { ref, cells };
+  });
+
+  const summary = levels.map(({ key, name }) => {
+    const statuses = rows.map(row => row.cells[key].status);
+    const count = status => statuses.filter(s => s === status).length;
+    const shared = count("same") + count("title");
+    const total = shared + count("onlyA") + count("onlyB");
+
+    return {
+      key,
+      name,
+      shared,
+      onlyA: count("onlyA"),
+      onlyB: count("onlyB"),
+      titlesAgree: count("same"),
+      agreement: total ? shared / total : 1
+    };
+  });
+
+  return { levels, rows, summary };
+}
+
+/**
+ * Levels of both charts, A's order first.
+ */
+function matchLevels(a, b) {
+  const levels = getLevels(a).map(level => ({ key: level.key, name: level.name, inA: true, inB: false }));
+
+  getLevels(b).forEach(level => {
+    const match = levels.find(l => l.key === level.key);
+    if (match) match.inB = true;
+    else levels.push({ key: level.key, name: level.name, inA: false, inB: true });
+  });
+
+  return levels;
+}
+
+// First verse of each item's start paragraph → { title, until }
+function boundaries(chart, key) {
+  const result = new Map();
+  const paragraphs = chart.paragraphs || [];
+  const sorted = sortByStart(chart[key]);
+
+  sorted.forEach(item => {
+    const start = paragraphs[computeSegStart(item)];
+    const end = paragraphs[computeSegEnd(item, sorted, paragraphs.length)];
+    if (!start) return;
+
+    result.set(firstVerse(start.range), {
+      title: item.title || "",
+      until: lastVerse(end?.range || start.range)
+    });
+  });
+
+  return result;
+}
+
+function cellStatus(a, b) {
+  if (a && b) return normalizeTitle(a.title) === normalizeTitle(b.title) ? "same" : "title";
+  if (a) return "onlyA";
+  if (b) return "onlyB";
+  return "none";
+}
+
+function normalizeTitle(title) {
+  return (title || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
@@ -0,0 +1,195 @@
+/* chartFile.js
+   Standalone chart files (.sbschart) for passing one chart between
+   people. Unlike the Word export, a chart file can be opened again.
+
+   File format (JSON, UTF-8):
+
+   {
+     format: "sbs-chart",
+     version: 1,
+     exportedAt: <ms timestamp>,
+     chart: {
+       schemaVersion: <number>,   // see migrations.js
+       bookId: <string>,          // ID on the sender's machine
+       book: <string>,            // canonical Bible book from BOOKS
+       chartName, bookName, bookTitle, keyVerse: <string>,
+       translation: <string>,     // id, see translations.js
+       paragraphs: [{ range, title, text, content, tags? }],
+       levels:     [{ key, name }],   // top to bottom, see levels.js
+       <level key>: [{ id, title, paragraphIndexes, anchor?, anchorPart?, <parent>Id }],
+                   // e.g. divisions, sections, and always segments,
+                   // whose items also carry leftNote, rightNote
+       ids: { division, section, segment, ... },
+       unmigrated: [...]
+     }
+   }
+
+   `content`, `leftNote` and `rightNote` hold the rich-text HTML
+   written in the Chart Editor. Older files (lower schemaVersion)
+   are upgraded on open like any saved chart.
+*/
+
+import { BOOKS } from "./books.js";
+import { saveBook, isBookSaved } from "./storage.js";
+import { migrateBook } from "./migrations.js";
+import { createChartId } from "./charts.js";
+import { DEFAULT_LEVELS, BOTTOM_LEVEL, MAX_LEVELS, levelKeys } from "./levels.js";
+
+export const CHART_FILE_FORMAT = "sbs-chart";
+export const CHART_FILE_VERSION = 1;
+export const CHART_FILE_EXTENSION = ".sbschart";
+
+// Plus the items of each of the chart's levels
+const CHART_FIELDS = [
+  "schemaVersion", "bookId", "book", "chartName", "bookName", "bookTitle",
+  "keyVerse", "translation", "paragraphs", "levels", "ids", "unmigrated"
+];
+
+/* ================================
+   Save
+================================ */
+
+export function buildChartFile(book) {
+  const chart = {};
+  [...CHART_FIELDS, ...levelKeys(book)].forEach(field => {
+    if (book[field] !== undefined) chart[field] = book[field];
+  });
+
+  return {
+    format: CHART_FILE_FORMAT,
+    version: CHART_FILE_VERSION,
+    exportedAt: Date.now(),
+    chart: JSON.parse(JSON.stringify(chart))
+  };
+}
+
+function fileName(book) {
+  const name = [book.bookName || book.book, book.chartName]
+    .filter(Boolean)
+    .join(" - ")
+    .replace(/[\\/:*?"<>|]+/g, "")
+    .trim();
+  return `${name || "chart"}${CHART_FILE_EXTENSION}`;
+}
+
+export function downloadChartFile(book) {
+  const file = buildChartFile(book);
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = fileName(book);
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/* ================================
+   Open
+================================ */
+
+/**
+ * Find the canonical Bible book for a chart, tolerating older
+ * files that only carry a book name or a name-based bookId.
+ */
+export function resolveBibleBook(chart) {
+  const normalize = s => String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+  const candidates = [chart.book, chart.bookId?.split("~")[0], chart.bookName, chart.bookTitle];
+
+  for (const candidate of candidates) {
+    const wanted = normalize(candidate);
+    if (!wanted) continue;
+
+    const match = BOOKS.find(b => normalize(b) === wanted) ||
+      // "Psalm" / "Psalms" style singular-plural differences
+      BOOKS.find(b => normalize(b).replace(/s$/, "") === wanted.replace(/s$/, ""));
+    if (match) return match;
+  }
+
+  return null;
+}
+
+// Positions of paragraphs that exist in a chart of `total` paragraphs
+function isIndexList(list, total) {
+  return Array.isArray(list) && list.length > 0 &&
+    list.every(i => Number.isInteger(i) && i >= 0 && i < total);
+}
+
+// Level keys are the default three or ones from freeLevelKey()
+function validLevels(levels) {
+  if (!Array.isArray(levels) || !levels.length || levels.length > MAX_LEVELS) return false;
+
+  const keys = levels.map(level => level?.key);
+  return levels.every(level => typeof level?.name === "string" && level.name.trim()) &&
+    keys.every(key => DEFAULT_LEVELS.some(d => d.key === key) || /^level\d+$/.test(key)) &&
+    new Set(keys).size === keys.length &&
+    keys[keys.length - 1] === BOTTOM_LEVEL;
+}
+
+/**
+ * Parse and validate chart file text. Throws an Error with a
+ * user-facing message when the file cannot be opened.
+ * @returns {{ chart: Object, report: Array }} chart upgraded to the current schema
+ */
+export function parseChartFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+
+  if (!file || file.format !== CHART_FILE_FORMAT || !file.chart) {
+    throw new Error("This file is not a chart file.");
+  }
+  if (typeof file.version !== "number" || file.version > CHART_FILE_VERSION) {
+    throw new Error("This chart file was made by a newer version of the app.");
+  }
+
+  const raw = file.chart;
+
+  if (!Array.isArray(raw.paragraphs) || !raw.paragraphs.length) {
+    throw new Error("This chart file does not contain any paragraphs.");
+  }
+  if (raw.paragraphs.some(p => !p || typeof p !== "object" || Array.isArray(p))) {
+    throw new Error("This chart file has damaged paragraphs.");
+  }
+  if (raw.levels !== undefined && !validLevels(raw.levels)) {
+    throw new Error("This chart file has an invalid list of levels.");
+  }
+
+  for (const level of levelKeys(raw)) {
+    if (raw[level] !== undefined && !Array.isArray(raw[level])) {
+      throw new Error(`This chart file has invalid ${level}.`);
+    }
+    if ((raw[level] || []).some(item => !item || !isIndexList(item.paragraphIndexes, raw.paragraphs.length))) {
+      throw new Error(`This chart file has ${level} placed on paragraphs it does not contain.`);
+    }
+  }
+
+  const book = resolveBibleBook(raw);
+  if (!book) {
+    throw new Error(`"${raw.book || raw.bookName || "Unknown"}" is not a Bible book this app knows.`);
+  }
+
+  const { book: chart, report } = migrateBook({ ...raw, book });
+  return { chart, report };
+}
+
+/**
+ * Save an opened chart.
+ * onCollision: "replace" overwrites the chart with the same bookId,
+ * "copy" saves it under a new bookId.
+ */
+export async function importChart(chart, { onCollision = "copy" } = {}) {
+  const copy = { ...chart };
+
+  if (!copy.bookId || (await isBookSaved(copy.bookId) && onCollision === "copy")) {
+    copy.bookId = createChartId(copy.book);
+  }
+
+  return saveBook(copy);
+}
+
+export async function hasCollision(chart) {
+  return !!chart.bookId && isBookSaved(chart.bookId);
+}
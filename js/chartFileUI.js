@@ -0,0 +1,136 @@
+/* chartFileUI.js
+   "Save chart to file" and "Open chart file" actions, shared by the
+   Charter Builder and the home page.
+*/
+
+import { getById, createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { listBooks, loadBook } from "./storage.js";
+import { chartLabel } from "./charts.js";
+import { showMigrationWarnings } from "./migrationNotice.js";
+import {
+  CHART_FILE_EXTENSION,
+  downloadChartFile,
+  parseChartFile,
+  hasCollision,
+  importChart
+} from "./chartFile.js";
+
+/**
+ * Wire up the chart file buttons on a page.
+ *
+ * @param {Object} opts
+ * @param {Function} [opts.getBook] - chart to save; without it the
+ *        user picks one of the saved charts
+ * @param {Function} [opts.onOpened] - called with the saved chart record
+ */
+export function initChartFileActions({ getBook, onOpened } = {}) {
+  const saveBtn = getById('saveChartFileBtn');
+  const openBtn = getById('openChartFileBtn');
+  const fileInput = getById('openChartFileInput');
+
+  if (saveBtn) {
+    saveBtn.onclick = async () => {
+      try {
+        const book = getBook ? getBook() : await pickSavedChart();
+        if (book?.bookId) downloadChartFile(book);
+      } catch (err) {
+        console.error("Saving chart file failed:", err);
+        alert("Could not save the chart file.");
+      }
+    };
+  }
+
+  if (openBtn && fileInput) {
+    fileInput.accept = `${CHART_FILE_EXTENSION},application/json`;
+    openBtn.onclick = () => fileInput.click();
+
+    fileInput.onchange = async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      let parsed;
+      try {
+        parsed = parseChartFile(await file.text());
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+
+      const onCollision = (await hasCollision(parsed.chart))
+        ? await askCollision(parsed.chart)
+        : "copy";
+      if (!onCollision) return;
+
+      try {
+        const saved = await importChart(parsed.chart, { onCollision });
+        showMigrationWarnings({ ...saved, migrationReport: parsed.report });
+        if (onOpened) onOpened(saved);
+      } catch (err) {
+        console.error("Opening chart file failed:", err);
+        alert("Could not open this chart file.");
+      }
+    };
+  }
+}
+
+/* ================================
+   Dialogs
+================================ */
+
+function askCollision(chart) {
+  return new Promise(resolve => {
+    let choice = null;
+
+    openDialog({
+      title: 'Chart already exists',
+      eyebrow: 'Open chart file',
+      body: createEl('p', {
+        text: `"${chartLabel(chart, chart.bookId)}" is already saved on this device. Replace it, or keep both?`
+      }),
+      actions: [
+        { label: 'Cancel' },
+        { label: 'Replace existing', onClick: () => { choice = "replace"; } },
+        { label: 'Keep both', primary: true, onClick: () => { choice = "copy"; } }
+      ],
+      onClose: () => resolve(choice)
+    });
+  });
+}
+
+async function pickSavedChart() {
+  const index = await listBooks();
+  const entries = Object.entries(index)
+    .sort(([, a], [, b]) => (b.lastModified || 0) - (a.lastModified || 0));
+
+  if (!entries.length) {
+    alert("There are no saved charts yet.");
+    return null;
+  }
+
+  const select = createEl('select');
+  entries.forEach(([bookId, meta]) => {
+    const label = meta.chartName ? `${meta.book || bookId} — ${meta.chartName}` : chartLabel(meta, bookId);
+    select.appendChild(createEl('option', { text: label, attrs: { value: bookId } }));
+  });
+
+  const body = createEl('div');
+  body.append(createEl('p', { text: 'Choose the chart to save as a file:' }), select);
+
+  const bookId = await new Promise(resolve => {
+    let chosen = null;
+    openDialog({
+      title: 'Save chart to file',
+      eyebrow: 'Chart file',
+      body,
+      actions: [
+        { label: 'Cancel' },
+        { label: 'Save', primary: true, onClick: () => { chosen = select.value; } }
+      ],
+      onClose: () => resolve(chosen)
+    });
+  });
+
+  return bookId ? loadBook(bookId) : null;
+}
@@ -0,0 +1,90 @@
+/* charts.js
+   Several independent charts can exist for the same Bible book.
+
+   Each chart has a generated bookId (its storage key), a `book`
+   field holding the canonical Bible book name from BOOKS, and an
+   optional user-facing `chartName`. Charts saved before this existed
+   used the canonical book name as their bookId.
+*/
+
+import { saveBook } from "./storage.js";
+import { loadVerseRangesForBook } from "./verseRanges.js";
+import { DEFAULT_TRANSLATION } from "./translations.js";
+import { defaultLevels } from "./levels.js";
+
+/**
+ * Generate a unique chart ID for a Bible book, e.g. "Romans~lq2k9x3f".
+ */
+export function createChartId(book) {
+  const stamp = Date.now().toString(36);
+  const rand = Math.random().toString(36).slice(2, 6);
+  return `${book}~${stamp}${rand}`;
+}
+
+/**
+ * Canonical Bible book of a chart (index entry or full record).
+ */
+export function bookOfChart(chart, bookId) {
+  return chart?.book || bookId;
+}
+
+/**
+ * Label shown for a chart in lists and pickers.
+ */
+export function chartLabel(chart, bookId) {
+  return chart?.chartName || chart?.bookTitle || bookId;
+}
+
+/**
+ * Group a bookIndex by Bible book.
+ * @returns {Map<string, Array>} book → [{ bookId, ...meta }] newest first
+ */
+export function groupChartsByBook(index) {
+  const groups = new Map();
+
+  Object.entries(index || {}).forEach(([bookId, meta]) => {
+    const book = bookOfChart(meta, bookId);
+    if (!groups.has(book)) groups.set(book, []);
+    groups.get(book).push({ bookId, ...meta });
+  });
+
+  groups.forEach(list => list.sort((a, b) => (b.lastModified || 0) - (a.lastModified || 0)));
+  return groups;
+}
+
+/**
+ * Save a copy of a chart under a new ID.
+ */
+export async function duplicateChart(source, chartName) {
+  const book = bookOfChart(source, source.bookId);
+  const copy = JSON.parse(JSON.stringify(source));
+
+  copy.bookId = createChartId(book);
+  copy.book = book;
+  copy.chartName = chartName;
+
+  return saveBook(copy);
+}
+
+/**
+ * Save a new, empty chart for a Bible book with its default paragraphs.
+ */
+export async function createFreshChart(book, chartName, translation = DEFAULT_TRANSLATION) {
+  const chart = {
+    bookId: createChartId(book),
+    book,
+    chartName,
+    bookName: book,
+    bookTitle: book,
+    keyVerse: "",
+    translation,
+    paragraphs: [],
+    levels: defaultLevels(),
+    divisions: [],
+    sections: [],
+    segments: []
+  };
+
+  await loadVerseRangesForBook(book, chart);
+  return saveBook(chart);
+}
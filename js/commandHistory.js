@@ -0,0 +1,163 @@
+/* commandHistory.js
+   Undo/redo for the Charter Builder.
+
+   Every entry stores what a command changed, before and after: the
+   editable fields that differ, and for paragraphs (whose verse text
+   is most of the chart) only the paragraphs that differ while their
+   number stays the same. Undoing a delete also brings back whatever
+   the cleanup cascade removed with it.
+
+   Commands are ordinary store actions; undo and redo are store
+   updates too, so autosave and rendering react to them as usual.
+*/
+
+import { store, state } from "./state.js";
+import { levelKeys } from "./levels.js";
+
+const MAX_ENTRIES = 100;
+
+// Fields a command can change, besides the items of each level
+const TRACKED_FIELDS = [
+  "bookName", "chartName", "keyVerse", "translation", "paragraphs",
+  "levels", "ids", "unmigrated"
+];
+
+const undoStack = [];
+const redoStack = [];
+const listeners = new Set();
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function capture() {
+  const snap = {};
+  [...TRACKED_FIELDS, ...levelKeys(state)].forEach(f => { snap[f] = state[f] ?? null; });
+  return clone(snap);
+}
+
+/**
+ * The parts of two captures that differ, as a pair of patches
+ * { fields, paragraphAt }, or null when nothing changed.
+ */
+function diff(before, after) {
+  const patches = {
+    before: { fields: {}, paragraphAt: {} },
+    after: { fields: {}, paragraphAt: {} }
+  };
+  let changed = false;
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.forEach(key => {
+    const a = before[key] ?? null;
+    const b = after[key] ?? null;
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+    changed = true;
+
+    if (key === "paragraphs" && a && b && a.length === b.length) {
+      a.forEach((paragraph, i) => {
+        if (JSON.stringify(paragraph) === JSON.stringify(b[i])) return;
+        patches.before.paragraphAt[i] = paragraph;
+        patches.after.paragraphAt[i] = b[i];
+      });
+    } else {
+      patches.before.fields[key] = a;
+      patches.after.fields[key] = b;
+    }
+  });
+
+  return changed ? patches : null;
+}
+
+// Whether two patches touch the same fields and paragraphs, so a
+// later one can replace the earlier "after"
+function sameParts(a, b) {
+  const parts = patch => JSON.stringify([Object.keys(patch.fields), Object.keys(patch.paragraphAt)]);
+  return parts(a) === parts(b);
+}
+
+function apply(type, patch) {
+  store.update({ type }, s => {
+    Object.assign(s, clone(patch.fields));
+    Object.entries(patch.paragraphAt).forEach(([i, paragraph]) => { s.paragraphs[i] = clone(paragraph); });
+  });
+}
+
+function notify() {
+  listeners.forEach(fn => fn({ canUndo: canUndo(), canRedo: canRedo() }));
+}
+
+/**
+ * Run `mutate` as one undoable command.
+ *
+ * @param {string} label - shown in the undo/redo button tooltips
+ * @param {Function} mutate - dispatches one or more store actions
+ * @param {Object} [opts]
+ * @param {string} [opts.mergeKey] - consecutive commands with the same key
+ *        (e.g. typing in one title field) collapse into one entry
+ */
+export function recordChange(label, mutate, { mergeKey = null } = {}) {
+  const before = capture();
+  mutate();
+  const patches = diff(before, capture());
+  if (!patches) return;
+
+  const last = undoStack[undoStack.length - 1];
+  if (mergeKey && last?.mergeKey === mergeKey && !redoStack.length && sameParts(last.after, patches.after)) {
+    last.after = patches.after;
+  } else {
+    undoStack.push({ label, mergeKey, ...patches });
+    if (undoStack.length > MAX_ENTRIES) undoStack.shift();
+  }
+
+  redoStack.length = 0;
+  notify();
+}
+
+export function canUndo() {
+  return undoStack.length > 0;
+}
+
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+export function undoLabel() {
+  return undoStack[undoStack.length - 1]?.label || "";
+}
+
+export function redoLabel() {
+  return redoStack[redoStack.length - 1]?.label || "";
+}
+
+export function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return;
+
+  redoStack.push(entry);
+  apply("history/undo", entry.before);
+  notify();
+}
+
+export function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return;
+
+  undoStack.push({ ...entry, mergeKey: null });
+  apply("history/redo", entry.after);
+  notify();
+}
+
+/**
+ * Forget all entries, e.g. after the chart was replaced from elsewhere.
+ */
+export function clearHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  notify();
+}
+
+export function onHistoryChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
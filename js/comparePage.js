@@ -0,0 +1,234 @@
+/* comparePage.js
+   Compare view (compare.html): two charts of the same Bible book
+   side by side, aligned by verse (chartCompare.js).
+
+   URL: compare.html?book=<Bible book>&a=<bookId>&b=<bookId>
+   Either side can also be a chart file that is opened without
+   being saved.
+*/
+
+import { getById, createEl } from "./domUtils.js";
+import { listBooks, loadBook } from "./storage.js";
+import { groupChartsByBook, bookOfChart, chartLabel } from "./charts.js";
+import { parseChartFile } from "./chartFile.js";
+import { compareCharts } from "./chartCompare.js";
+import { pluralName } from "./levels.js";
+
+const FROM_FILE = "__file__";
+
+const STATUS_LABELS = {
+  same: "Same boundary and title",
+  title: "Same boundary, different titles",
+  onlyA: "Only in A",
+  onlyB: "Only in B"
+};
+
+let book = null;
+let savedCharts = [];
+const picked = { a: null, b: null };
+const files = { a: null, b: null }; // chart files opened on each side
+
+function showError(message) {
+  getById('compareTable').innerHTML = '';
+  getById('compareTable').appendChild(createEl('p', { className: 'loading-message', text: message }));
+}
+
+/* ================================
+   Choosing charts
+================================ */
+
+function fillPicker(select, selectedId) {
+  select.innerHTML = '';
+  select.appendChild(createEl('option', { text: 'Choose a chart…', attrs: { value: '' } }));
+
+  savedCharts.forEach(chart => {
+    const option = createEl('option', { text: chartLabel(chart, chart.bookId), attrs: { value: chart.bookId } });
+    select.appendChild(option);
+  });
+
+  select.appendChild(createEl('option', { text: 'Open chart file…', attrs: { value: FROM_FILE } }));
+  select.value = selectedId && savedCharts.some(c => c.bookId === selectedId) ? selectedId : '';
+}
+
+// Resolves with the chart in the picked file, or null
+function pickChartFile() {
+  const input = getById('compareFileInput');
+
+  return new Promise(resolve => {
+    input.onchange = async () => {
+      const file = input.files[0];
+      input.value = '';
+      if (!file) return resolve(null);
+
+      try {
+        const { chart } = parseChartFile(await file.text());
+        if (book && chart.book !== book) {
+          alert(`This chart file is for ${chart.book}, not ${book}.`);
+          return resolve(null);
+        }
+        chart.chartName = `${chartLabel(chart, chart.bookId)} (file)`;
+        resolve(chart);
+      } catch (err) {
+        alert(err.message);
+        resolve(null);
+      }
+    };
+    input.click();
+  });
+}
+
+async function onPick(side, select) {
+  if (select.value === FROM_FILE) {
+    const chart = await pickChartFile();
+    if (chart) {
+      let option = select.querySelector(`option[value="file:${side}"]`);
+      if (!option) {
+        option = createEl('option', { attrs: { value: `file:${side}` } });
+        select.insertBefore(option, select.lastChild);
+      }
+      option.textContent = chart.chartName;
+      files[side] = chart;
+      select.value = `file:${side}`;
+    } else {
+      // Back to what was shown before
+      select.value = picked[side] && picked[side] === files[side] ? `file:${side}` : picked[side]?.bookId || '';
+      return;
+    }
+  }
+
+  if (select.value === `file:${side}`) {
+    picked[side] = files[side];
+  } else {
+    picked[side] = select.value ? await loadBook(select.value) : null;
+  }
+
+  updateUrl();
+  render();
+}
+
+function updateUrl() {
+  const params = new URLSearchParams();
+  if (book) params.set('book', book);
+  if (picked.a?.bookId && savedCharts.some(c => c.bookId === picked.a.bookId)) params.set('a', picked.a.bookId);
+  if (picked.b?.bookId && savedCharts.some(c => c.bookId === picked.b.bookId)) params.set('b', picked.b.bookId);
+  history.replaceState(null, '', `compare.html?${params}`);
+}
+
+/* ================================
+   Rendering
+================================ */
+
+function render() {
+  const summaryEl = getById('compareSummary');
+  const tableEl = getById('compareTable');
+  summaryEl.innerHTML = '';
+  tableEl.innerHTML = '';
+
+  if (!picked.a || !picked.b) {
+    tableEl.appendChild(createEl('p', { className: 'loading-message', text: 'Choose two charts to compare, or open a chart file on either side.' }));
+    return;
+  }
+
+  const result = compareCharts(picked.a, picked.b);
+  renderSummary(summaryEl, result);
+  renderTable(tableEl, result);
+}
+
+function renderSummary(container, { summary, levels }) {
+  summary.forEach(level => {
+    const info = levels.find(l => l.key === level.key);
+    const card = createEl('div', { className: 'compare-card' });
+    const percent = Math.round(level.agreement * 100);
+
+    card.append(
+      createEl('div', { className: 'compare-card-title', text: pluralName(level.name) }),
+      createEl('div', { className: 'compare-card-figure', text: `${percent}%` }),
+      createEl('div', {
+        className: 'muted',
+        text: !info.inA || !info.inB
+          ? `Only chart ${info.inA ? 'A' : 'B'} has this level`
+          : `${level.shared} shared boundaries · ${level.onlyA} only in A · ${level.onlyB} only in B · ` +
+            `${level.titlesAgree} of ${level.shared} titles agree`
+      })
+    );
+    container.appendChild(card);
+  });
+}
+
+function renderTable(container, { levels, rows }) {
+  const table = createEl('table', { className: 'compare-table' });
+
+  const head = createEl('tr');
+  head.appendChild(createEl('th', { text: 'Starts at', attrs: { rowspan: '2' } }));
+  levels.forEach(level => {
+    head.appendChild(createEl('th', { text: pluralName(level.name), attrs: { colspan: '2' } }));
+  });
+  const sides = createEl('tr');
+  levels.forEach(() => {
+    sides.append(
+      createEl('th', { className: 'compare-side-head', text: chartLabel(picked.a, picked.a.bookId) }),
+      createEl('th', { className: 'compare-side-head', text: chartLabel(picked.b, picked.b.bookId) })
+    );
+  });
+  const thead = createEl('thead');
+  thead.append(head, sides);
+  table.appendChild(thead);
+
+  const tbody = createEl('tbody');
+  rows.forEach(row => {
+    const tr = createEl('tr');
+    tr.appendChild(createEl('td', { className: 'compare-ref', text: row.ref }));
+
+    levels.forEach(level => {
+      const cell = row.cells[level.key];
+      const title = STATUS_LABELS[cell.status] || '';
+      tr.append(sideCell(cell.a, cell.status, title), sideCell(cell.b, cell.status, title));
+    });
+
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+
+  container.appendChild(table);
+}
+
+function sideCell(boundary, status, title) {
+  const td = createEl('td', { className: `compare-cell compare-${status}`, attrs: { title } });
+  if (boundary) {
+    td.appendChild(createEl('span', { text: boundary.title || '(untitled)' }));
+    td.appendChild(createEl('span', { className: 'compare-until muted', text: ` to ${boundary.until}` }));
+  }
+  return td;
+}
+
+/* ================================
+   Init
+================================ */
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const params = new URLSearchParams(window.location.search);
+  const first = params.get('a') ? await loadBook(params.get('a')) : null;
+  book = params.get('book') || (first && bookOfChart(first, first.bookId));
+
+  const groups = groupChartsByBook(await listBooks());
+  savedCharts = book ? groups.get(book) || [] : [];
+
+  if (!book) {
+    showError('No book chosen. Open Compare from a chart or from a book in the library.');
+    return;
+  }
+
+  getById('compareTitle').textContent = `Compare ${book} charts`;
+  document.title = `Compare ${book} charts — Project Nehemiah`;
+
+  const selectA = getById('chartA');
+  const selectB = getById('chartB');
+  fillPicker(selectA, params.get('a'));
+  fillPicker(selectB, params.get('b'));
+  selectA.onchange = () => onPick('a', selectA);
+  selectB.onchange = () => onPick('b', selectB);
+
+  picked.a = selectA.value ? first : null;
+  picked.b = selectB.value ? await loadBook(selectB.value) : null;
+  render();
+});
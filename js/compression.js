@@ -0,0 +1,45 @@
+/* compression.js
+   Gzip encoding for chart payloads stored in IndexedDB.
+
+   Encoded values look like { encoding, payload, size } where size is
+   the stored byte count. Browsers without CompressionStream store
+   plain JSON text ("json" encoding); both decode the same way.
+*/
+
+const textEncoder = new TextEncoder();
+
+export async function encodeJson(value) {
+  const json = JSON.stringify(value);
+
+  if (typeof CompressionStream === "undefined") {
+    return { encoding: "json", payload: json, size: textEncoder.encode(json).byteLength };
+  }
+
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream("gzip"));
+  const payload = await new Response(stream).arrayBuffer();
+  return { encoding: "gzip", payload, size: payload.byteLength };
+}
+
+export async function decodeJson({ encoding, payload }) {
+  if (encoding === "json") return JSON.parse(payload);
+
+  if (encoding === "gzip") {
+    const stream = new Blob([payload]).stream().pipeThrough(new DecompressionStream("gzip"));
+    return JSON.parse(await new Response(stream).text());
+  }
+
+  throw new Error(`Unknown payload encoding: ${encoding}`);
+}
+
+/**
+ * Byte size of a stored record.
+ */
+export function storedSize(record) {
+  return record?.size || 0;
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,94 @@
+/* conflictUI.js
+   Asks the user which version to keep when another tab changed
+   the same field as this one (see sync.js).
+*/
+
+import { createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { describeConflict } from "./sync.js";
+
+function plainText(html) {
+  const div = document.createElement("div");
+  div.innerHTML = html;
+  return div.textContent;
+}
+
+function previewValue(conflict, side) {
+  const value = conflict[side];
+
+  if (conflict.item) return value ? "Kept (edited)" : "Deleted";
+  if (conflict.layout) {
+    const count = Object.keys(value).filter(k => /^paragraphs\.\d+\.range$/.test(k)).length;
+    return `${count} paragraphs with their structure`;
+  }
+  if (value === undefined) return "(removed)";
+
+  const parsed = JSON.parse(value);
+  const text = typeof parsed === "string" ? plainText(parsed) : JSON.stringify(parsed);
+  return text.trim() || "(empty)";
+}
+
+/**
+ * Show the conflicting fields and let the user pick a side for each.
+ * @returns {Promise<Object>} key → "mine" | "theirs"
+ */
+export function promptConflicts(conflicts, mine) {
+  return new Promise(resolve => {
+    const resolution = Object.fromEntries(conflicts.map(c => [c.key, "mine"]));
+    const body = createEl('div');
+
+    body.appendChild(createEl('p', {
+      text: 'This chart was also changed in another tab. Choose which version to keep for each field both tabs edited:'
+    }));
+
+    const table = createEl('table');
+    const thead = createEl('thead');
+    const headRow = createEl('tr');
+    ['Field', 'This tab', 'Other tab'].forEach(h => headRow.appendChild(createEl('th', { text: h })));
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = createEl('tbody');
+
+    conflicts.forEach((conflict, i) => {
+      const tr = createEl('tr');
+      tr.appendChild(createEl('td', { text: describeConflict(conflict, mine) }));
+
+      ['mine', 'theirs'].forEach(side => {
+        const td = createEl('td');
+        const label = createEl('label');
+        const radio = createEl('input', {
+          attrs: { type: 'radio', name: `conflict-${i}`, value: side }
+        });
+        radio.checked = side === 'mine';
+        radio.onchange = () => { resolution[conflict.key] = side; };
+
+        label.append(radio, ` ${previewValue(conflict, side)}`);
+        td.appendChild(label);
+        tr.appendChild(td);
+      });
+
+      tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    body.appendChild(table);
+
+    const pickAll = side => {
+      conflicts.forEach(c => { resolution[c.key] = side; });
+    };
+
+    openDialog({
+      title: 'Edited in two tabs',
+      eyebrow: 'Sync conflict',
+      body,
+      wide: true,
+      actions: [
+        { label: 'Keep all mine', onClick: () => pickAll('mine') },
+        { label: 'Take all theirs', onClick: () => pickAll('theirs') },
+        { label: 'Apply', primary: true }
+      ],
+      onClose: () => resolve(resolution)
+    });
+  });
+}
@@ -1,25 +1,25 @@
 // debugSanityCheck.js
 import { listBooks, loadBook, isBookSaved } from "./storage.js";
 
-export function runSanityCheck(books) {
+export async function runSanityCheck(books) {
   console.log("=== SANITY CHECK START ===");
 
-  const savedBooks = listBooks();
+  const savedBooks = await listBooks();
   if (!savedBooks || Object.keys(savedBooks).length === 0) {
-    console.warn("No saved books found in localStorage.");
+    console.warn("No saved books found in storage.");
   } else {
-    console.log("Saved books in localStorage:", Object.keys(savedBooks).length);
+    console.log("Saved books in storage:", Object.keys(savedBooks).length);
     for (const [bookId, meta] of Object.entries(savedBooks)) {
       console.log(`- Book ID: ${bookId}, Title: ${meta.bookTitle}`);
 
-      const loaded = loadBook(bookId);
+      const loaded = await loadBook(bookId);
       if (!loaded) {
         console.error(`Failed to load saved book by ID: ${bookId}`);
       } else {
         console.log(`Loaded successfully: ${loaded.bookTitle} (${loaded.bookName})`);
       }
 
-      if (!isBookSaved(bookId)) {
+      if (!(await isBookSaved(bookId))) {
         console.error(`Book not recognized as saved: ${bookId}`);
       } else {
         console.log(`Book correctly recognized as saved: ${bookId}`);
@@ -29,10 +29,10 @@ export function runSanityCheck(books) {
 
   if (Array.isArray(books)) {
     console.log("\nChecking all BOOKS array items:");
-    books.forEach(b => {
-      const exists = isBookSaved(b);
+    for (const b of books) {
+      const exists = await isBookSaved(b);
       console.log(`- ${b}: ${exists ? "Saved" : "New"}`);
-    });
+    }
   }
 
   console.log("=== SANITY CHECK END ===");
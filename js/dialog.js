@@ -0,0 +1,90 @@
+/* dialog.js
+   Small modal dialog used by library and chart tools.
+
+   Reuses the look of the settings modal, but is built on demand
+   so pages do not need any extra markup.
+*/
+
+import { createEl } from "./domUtils.js";
+
+// Open dialogs, newest last: Escape closes only the top one
+const openStack = [];
+
+/**
+ * Open a modal dialog.
+ *
+ * @param {Object} opts
+ * @param {string} opts.title
+ * @param {string} [opts.eyebrow] - small label above the title
+ * @param {Node|string} [opts.body] - content node or plain text
+ * @param {Array} [opts.actions] - [{ label, primary, onClick }]
+ *        onClick may return false (or a promise of false) to keep the dialog open.
+ * @param {Function} [opts.onClose]
+ * @param {boolean} [opts.wide] - use the wider layout for tables and lists
+ * @returns {{ el: HTMLElement, body: HTMLElement, close: Function }}
+ */
+export function openDialog({ title, eyebrow = "", body = null, actions = [], onClose = null, wide = false }) {
+  const backdrop = createEl('div', { className: 'dlg-backdrop' });
+  const dialog = createEl('div', {
+    className: `dlg-modal${wide ? ' dlg-wide' : ''}`,
+    attrs: { role: 'dialog', 'aria-modal': 'true' }
+  });
+
+  const closeBtn = createEl('button', {
+    className: 'dlg-close',
+    text: '✖',
+    attrs: { 'aria-label': 'Close', type: 'button' }
+  });
+
+  if (eyebrow) dialog.appendChild(createEl('p', { className: 'dlg-eyebrow', text: eyebrow }));
+  dialog.appendChild(createEl('h2', { className: 'dlg-title', text: title }));
+
+  const bodyEl = createEl('div', { className: 'dlg-body' });
+  if (typeof body === 'string') {
+    bodyEl.textContent = body;
+  } else if (body) {
+    bodyEl.appendChild(body);
+  }
+
+  const footer = createEl('div', { className: 'dlg-actions' });
+
+  let closed = false;
+  function close() {
+    if (closed) return;
+    closed = true;
+    openStack.splice(openStack.indexOf(dialog), 1);
+    document.removeEventListener('keydown', onKey);
+    backdrop.remove();
+    dialog.remove();
+    if (onClose) onClose();
+  }
+
+  function onKey(e) {
+    if (e.key === 'Escape' && openStack[openStack.length - 1] === dialog) close();
+  }
+
+  actions.forEach(action => {
+    const btn = createEl('button', {
+      className: `btn action-btn${action.primary ? ' primary' : ''}`,
+      text: action.label,
+      attrs: { type: 'button' }
+    });
+    btn.onclick = async () => {
+      const keepOpen = action.onClick ? (await action.onClick()) === false : false;
+      if (!keepOpen) close();
+    };
+    footer.appendChild(btn);
+  });
+
+  closeBtn.onclick = close;
+  backdrop.onclick = close;
+  document.addEventListener('keydown', onKey);
+
+  dialog.append(closeBtn, bodyEl);
+  if (actions.length) dialog.appendChild(footer);
+
+  document.body.append(backdrop, dialog);
+  openStack.push(dialog);
+
+  return { el: dialog, body: bodyEl, close };
+}
@@ -3,14 +3,14 @@ import { buildSegmentPage } from "./pages/segmentPage.js";
 import { computeSegStart } from "./helpers/segmentMath.js";
 import { safeText } from "./helpers/textUtils.js";
 
-export function exportWord(state) {
+export function exportWord(state, verses = null) {
   const docx = window.docx;
 
   const segmentsSorted = [...state.segments]
     .sort((a, b) => computeSegStart(a) - computeSegStart(b));
 
   // buildOverviewPage now returns an array: [title, keyVerse, table]
-  const overviewElements = buildOverviewPage(docx, state);
+  const overviewElements = buildOverviewPage(docx, state, verses);
 
   const segmentSections = segmentsSorted.map(seg => ({
     children: [buildSegmentPage(docx, state, seg, segmentsSorted)]
@@ -20,7 +20,8 @@ EXAMPLE:
     Segment B: paragraphs 25-39 (ends before C starts)
     Segment C: paragraphs 40-49 (extends to end)
 
-USED BY: overviewPage.js and segmentPage.js
+USED BY: segmentPage.js, chartCompare.js (the overview table uses overviewRows
+         in js/levels.js)
 ========================================================================
 */
 
@@ -9,6 +9,8 @@ USED BY: overviewPage.js and segmentPage.js
 ========================================================================
 */
 
+import { paragraphSpanLabel } from "../../references.js";
+
 /**
  * Safely converts any value to a string, handling null/undefined
  *
@@ -39,7 +41,8 @@ export function safeText(v) {
  * HOW IT WORKS:
  *   1. Gets the START verse from paragraphs[startIdx].range
  *   2. Gets the END verse from paragraphs[endIdx].range
- *   3. Combines them with an en-dash (–)
+ *   3. Formats them like every other reference (references.js):
+ *      the chapter is not repeated within one chapter
  *
  * EXAMPLE:
  *   paragraphs[0].range = "1:1–1:5"    // First paragraph covers verses 1-5
@@ -47,6 +50,8 @@ export function safeText(v) {
  *
  *   humanRangeFromIdx(0, 4, paragraphs)
  *   → Returns "1:1–2:10" (start of first to end of fifth)
+ *   humanRangeFromIdx(0, 0, paragraphs)
+ *   → Returns "1:1–5"
  *
  * EDGE CASES:
  *   - If paragraph doesn't exist, returns empty string
@@ -54,16 +59,5 @@ export function safeText(v) {
  *   - Handles multi-verse ranges like "1:1–1:21"
  */
 export function humanRangeFromIdx(startIdx, endIdx, paragraphs) {
-  // Safety check: ensure paragraphs exist at these indexes
-  if (!paragraphs[startIdx] || !paragraphs[endIdx]) return "";
-
-  // Extract starting verse (everything before the dash in first paragraph)
-  const start = paragraphs[startIdx].range.split("–")[0];
-
-  // Extract ending verse (everything after the dash in last paragraph, or the whole range if no dash)
-  const endRaw = paragraphs[endIdx].range;
-  const end = endRaw.includes("–") ? endRaw.split("–")[1] : endRaw;
-
-  // Combine with en-dash
-  return `${start}–${end}`;
+  return paragraphSpanLabel(paragraphs, startIdx, endIdx);
 }
@@ -20,20 +20,23 @@ TABLE STRUCTURE:
   +----------+----------+----------+------------------+
 
 KEY FEATURES:
-- Divisions/Sections use vertical merge (span multiple rows)
+- One column per level of the chart (see js/levels.js); the diagram
+  shows the default Division / Section / Segment levels
+- Higher levels use vertical merge (span multiple rows)
 - Each segment gets its own row
 - Key verse column spans entire table height
 - Rows auto-size based on content (no fixed heights)
 
 EDITING TIPS:
-- Column widths: See DIV_W, SEC_W, SEG_W, KEY_W constants
+- Column widths: See COL_W (the page width shared by the levels)
 - Cell spacing: See compactBorderedCell margins (currently 60/80 DXA)
 - Font size: Currently 18pt (see fontSize variable)
 ========================================================================
 */
 
-import { computeSegStart, computeSegEnd } from "../helpers/segmentMath.js";
 import { humanRangeFromIdx, safeText } from "../helpers/textUtils.js";
+import { getLevels, overviewRows } from "../../levels.js";
+import { lookupPassage } from "../../references.js";
 
 /*
 ------------------------------------------------------------------------
@@ -176,10 +179,12 @@ PARAMETERS:
   docx - The docx library instance (window.docx)
   state - The application state object containing:
     - state.paragraphs: Array of paragraph objects
-    - state.segments: Array of segment objects
-    - state.sections: Array of section objects
-    - state.divisions: Array of division objects
-    - state.keyVerse: String for the key verse
+    - state.levels: The chart's levels, top to bottom ({ key, name })
+    - state[level.key]: Array of items for each level
+      (state.segments is always the bottom level)
+    - state.keyVerse: String for the key verse or passage
+  verses: Verse data of the chart's translation (js/verses.js), for
+    the key passage's text; without it only the reference is shown
 
 RETURNS:
   An array of docx elements: [title, keyVerse, table]
@@ -187,99 +192,42 @@ RETURNS:
 HOW IT WORKS:
   1. Create title paragraph
   2. Create key verse paragraph (separate from table)
-  3. Sort segments by starting paragraph
-  4. Use position-based lookup for divisions/sections
-  5. Build header row (Division | Section | Segment)
+  3. Sort segments by starting paragraph (overviewRows)
+  4. Use position-based lookup for the higher levels (overviewRows)
+  5. Build header row (one column per level name)
   6. For each segment, add a row with appropriate merging
   7. Return array of elements
 ========================================================================
 */
-export function buildOverviewPage(docx, state) {
-  // Get all paragraphs from state
+export function buildOverviewPage(docx, state, verses = null) {
+  // Get all paragraphs and levels from state
   const paragraphs = state.paragraphs || [];
-  const totalParagraphs = paragraphs.length;
-
-  // Sort segments by their starting paragraph (earliest first)
-  const segmentsSorted = [...state.segments]
-    .sort((a, b) => computeSegStart(a) - computeSegStart(b));
-
-  // Sort divisions and sections by their start position for position-based lookup
-  const divisionsSorted = [...state.divisions].sort((a, b) => {
-    const aStart = Math.min(...a.paragraphIndexes);
-    const bStart = Math.min(...b.paragraphIndexes);
-    return aStart - bStart;
-  });
-
-  const sectionsSorted = [...state.sections].sort((a, b) => {
-    const aStart = Math.min(...a.paragraphIndexes);
-    const bStart = Math.min(...b.paragraphIndexes);
-    return aStart - bStart;
-  });
-
-  // Find division by position (the division whose start is <= segment start)
-  function findDivisionForSegment(segStart) {
-    let result = null;
-    for (const div of divisionsSorted) {
-      const divStart = Math.min(...div.paragraphIndexes);
-      if (divStart <= segStart) {
-        result = div;
-      } else {
-        break;
-      }
-    }
-    return result;
-  }
-
-  // Find section by position (the section whose start is <= segment start)
-  function findSectionForSegment(segStart) {
-    let result = null;
-    for (const sec of sectionsSorted) {
-      const secStart = Math.min(...sec.paragraphIndexes);
-      if (secStart <= segStart) {
-        result = sec;
-      } else {
-        break;
-      }
-    }
-    return result;
-  }
-
-  // Helper to get start position for comparison
-  const getDivStart = (div) => div ? Math.min(...div.paragraphIndexes) : -1;
-  const getSecStart = (sec) => sec ? Math.min(...sec.paragraphIndexes) : -1;
+  const levels = getLevels(state);
+  const bottom = levels[levels.length - 1];
 
   /*
   ---- COLUMN WIDTHS ----
   These are in DXA units (1440 DXA = 1 inch)
-  Now only 3 columns since Key Verse is separate
+  One column per level, sharing the width of the old 3 x 3500 layout
   */
-  const DIV_W = 3500;
-  const SEC_W = 3500;
-  const SEG_W = 3500;
+  const COL_W = Math.floor(10500 / levels.length);
 
   const rows = [];
   const fontSize = 18;
 
-  // ---- Header row (3 columns only) ----
+  // ---- Header row (one column per level) ----
   rows.push(
     new docx.TableRow({
-      children: [
-        compactCenteredCell(docx, "Division", DIV_W, fontSize),
-        compactCenteredCell(docx, "Section", SEC_W, fontSize),
-        compactCenteredCell(docx, "Segment", SEG_W, fontSize)
-      ]
+      children: levels.map(level => compactCenteredCell(docx, safeText(level.name), COL_W, fontSize))
     })
   );
 
-  // Pre-calculate row data with division and section info using position-based lookup
-  const rowData = segmentsSorted.map(seg => {
-    const segStart = computeSegStart(seg);
-    const segEnd = computeSegEnd(seg, segmentsSorted, totalParagraphs);
-    const sec = findSectionForSegment(segStart);
-    const div = findDivisionForSegment(segStart);
-    const paragraphCount = segEnd - segStart + 1;
-    return { seg, sec, div, divStart: getDivStart(div), secStart: getSecStart(sec), paragraphCount };
-  });
+  // Pre-calculate row data: each segment with the item containing it on
+  // every higher level, found by position
+  const rowData = overviewRows(state).map(row => ({
+    ...row,
+    paragraphCount: row.end - row.start + 1
+  }));
 
   // Calculate total "natural" height and apply scaling if needed
   const heightPerParagraph = 200; // Base height per paragraph in DXA
@@ -296,45 +244,35 @@ export function buildOverviewPage(docx, state) {
     ? (maxTableHeight - headerHeight) / (totalNaturalHeight - headerHeight)
     : 1.0;
 
-  let lastDivStart = null;
-  let lastSecStart = null;
+  // Start of the last cell written in each higher-level column
+  const lastStarts = levels.slice(0, -1).map(() => null);
 
   rowData.forEach(row => {
-    const { seg, sec, div, divStart, secStart, paragraphCount } = row;
-
-    const segStart = computeSegStart(seg);
-    const segEnd = computeSegEnd(seg, segmentsSorted, totalParagraphs);
-    const range = humanRangeFromIdx(segStart, segEnd, paragraphs);
+    const { item: seg, start, end, containers, paragraphCount } = row;
+    const range = humanRangeFromIdx(start, end, paragraphs);
 
     // Calculate row height based on paragraph count, scaled to fit page
     const naturalHeight = Math.max(minRowHeight, paragraphCount * heightPerParagraph);
     const rowHeight = Math.round(naturalHeight * heightScale);
 
+    // Higher-level cells - compare by start position instead of ID (top-left aligned)
+    const cells = containers.map((cell, col) =>
+      cell.start !== lastStarts[col]
+        ? compactTopLeftCell(
+            docx,
+            safeText(cell.item?.title) || `${cell.level.name} ${cell.item?.id}`,
+            COL_W,
+            fontSize,
+            "restart"
+          )
+        : compactMergedCell(docx, "continue", COL_W)
+    );
+
     rows.push(
       new docx.TableRow({
         height: { value: rowHeight, rule: docx.HeightRule.ATLEAST },
         children: [
-          // Division cell - compare by start position instead of ID (top-left aligned)
-          divStart !== lastDivStart
-            ? compactTopLeftCell(
-                docx,
-                safeText(div?.title) || `Division ${div?.id}`,
-                DIV_W,
-                fontSize,
-                "restart"
-              )
-            : compactMergedCell(docx, "continue", DIV_W),
-
-          // Section cell - compare by start position instead of ID (top-left aligned)
-          secStart !== lastSecStart
-            ? compactTopLeftCell(
-                docx,
-                safeText(sec?.title) || `Section ${sec?.id}`,
-                SEC_W,
-                fontSize,
-                "restart"
-              )
-            : compactMergedCell(docx, "continue", SEC_W),
+          ...cells,
 
           // Segment cell
           compactBorderedCell(
@@ -344,7 +282,7 @@ export function buildOverviewPage(docx, state) {
                 spacing: { before: 0, after: 0, line: 240, lineRule: docx.LineRuleType.AUTO },
                 children: [
                   new docx.TextRun({
-                    text: safeText(seg.title) || `Segment ${seg.id}`,
+                    text: safeText(seg.title) || `${bottom.name} ${seg.id}`,
                     bold: true,
                     size: fontSize
                   })
@@ -362,7 +300,7 @@ export function buildOverviewPage(docx, state) {
             ],
             {
               width: {
-                size: SEG_W,
+                size: COL_W,
                 type: docx.WidthType.DXA
               }
             }
@@ -371,8 +309,7 @@ export function buildOverviewPage(docx, state) {
       })
     );
 
-    lastDivStart = divStart;
-    lastSecStart = secStart;
+    containers.forEach((cell, col) => { lastStarts[col] = cell.start; });
   });
 
   // Build the title paragraph
@@ -398,19 +335,7 @@ export function buildOverviewPage(docx, state) {
       left: { style: docx.BorderStyle.SINGLE, size: 4, color: "000000" },
       right: { style: docx.BorderStyle.SINGLE, size: 4, color: "000000" }
     },
-    children: [
-      new docx.TextRun({
-        text: "Key verse: ",
-        bold: true,
-        italics: true,
-        size: 18
-      }),
-      new docx.TextRun({
-        text: safeText(state.keyVerse) || "",
-        italics: true,
-        size: 18
-      })
-    ]
+    children: keyVerseRuns(docx, state, verses)
   });
 
   // Build the table
@@ -425,4 +350,29 @@ export function buildOverviewPage(docx, state) {
 
   // Return array of elements: title, key verse, then table
   return [titleParagraph, keyVerseParagraph, table];
-}
\ No newline at end of file
+}
+
+/*
+  Key verse label and reference, then the passage's text on a new
+  line with verse numbers as superscripts (when the verse data has it)
+*/
+function keyVerseRuns(docx, state, verses) {
+  const keyVerse = safeText(state.keyVerse);
+  const passage = keyVerse ? lookupPassage(keyVerse, state.book, verses) : null;
+  const style = { italics: true, size: 18 };
+
+  const runs = [
+    new docx.TextRun({ text: passage?.verses.length > 1 ? "Key passage: " : "Key verse: ", bold: true, ...style }),
+    new docx.TextRun({ text: keyVerse, ...style })
+  ];
+  if (!passage) return runs;
+
+  runs.push(new docx.TextRun({ text: '"', break: 1, ...style }));
+  passage.verses.forEach((verse, i) => {
+    if (i) runs.push(new docx.TextRun({ text: " ", ...style }));
+    runs.push(new docx.TextRun({ text: String(verse.number), superScript: true, size: 18 }));
+    runs.push(new docx.TextRun({ text: verse.text, ...style }));
+  });
+  runs.push(new docx.TextRun({ text: '"', ...style }));
+  return runs;
+}
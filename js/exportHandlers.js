@@ -1,6 +1,8 @@
 import { state } from "./state.js";
 import { getById } from "./domUtils.js";
 import { exportWord } from "./exportWord.js";
+import { loadVerses } from "./verses.js";
+import { translationOf } from "./translations.js";
 
 export function initExportButtons() {
   const previewBtn = getById('export-preview');
@@ -16,6 +18,7 @@ export function initExportButtons() {
 
   const wordBtn = getById('export-word');
   if (wordBtn) {
-    wordBtn.onclick = () => exportWord(state);
+    // The key passage text comes from the chart's translation
+    wordBtn.onclick = async () => exportWord(state, await loadVerses(state.book, translationOf(state)));
   }
 }
@@ -1,5 +1,8 @@
 // Word export - generates .docx from book structure
 
+import { BOTTOM_LEVEL, getLevels, levelName, overviewRows } from "./levels.js";
+import { paragraphSpanLabel, lookupPassage } from "./references.js";
+
 // ---- Segment math helpers ----
 
 function computeSegStart(seg) {
@@ -18,14 +21,6 @@ function safeText(v) {
   return v == null ? "" : String(v);
 }
 
-function humanRangeFromIdx(startIdx, endIdx, paragraphs) {
-  if (!paragraphs[startIdx] || !paragraphs[endIdx]) return "";
-  const start = paragraphs[startIdx].range.split("–")[0];
-  const endRaw = paragraphs[endIdx].range;
-  const end = endRaw.includes("–") ? endRaw.split("–")[1] : endRaw;
-  return `${start}–${end}`;
-}
-
 // ---- DOCX cell helpers ----
 
 function borderedCell(docx, children, opts = {}) {
@@ -414,79 +409,27 @@ function compactTopLeftCell(docx, text, widthDXA, fontSize, mergeType = null) {
   );
 }
 
-function buildOverviewPage(docx, state) {
+function buildOverviewPage(docx, state, verses) {
   const paragraphs = state.paragraphs || [];
-  const totalParagraphs = paragraphs.length;
-
-  const segmentsSorted = [...state.segments]
-    .sort((a, b) => computeSegStart(a) - computeSegStart(b));
-
-  const divisionsSorted = [...state.divisions].sort((a, b) => {
-    const aStart = Math.min(...a.paragraphIndexes);
-    const bStart = Math.min(...b.paragraphIndexes);
-    return aStart - bStart;
-  });
-
-  const sectionsSorted = [...state.sections].sort((a, b) => {
-    const aStart = Math.min(...a.paragraphIndexes);
-    const bStart = Math.min(...b.paragraphIndexes);
-    return aStart - bStart;
-  });
-
-  function findDivisionForSegment(segStart) {
-    let result = null;
-    for (const div of divisionsSorted) {
-      const divStart = Math.min(...div.paragraphIndexes);
-      if (divStart <= segStart) {
-        result = div;
-      } else {
-        break;
-      }
-    }
-    return result;
-  }
-
-  function findSectionForSegment(segStart) {
-    let result = null;
-    for (const sec of sectionsSorted) {
-      const secStart = Math.min(...sec.paragraphIndexes);
-      if (secStart <= segStart) {
-        result = sec;
-      } else {
-        break;
-      }
-    }
-    return result;
-  }
+  const levels = getLevels(state);
+  const bottom = levels[levels.length - 1];
 
-  const getDivStart = (div) => div ? Math.min(...div.paragraphIndexes) : -1;
-  const getSecStart = (sec) => sec ? Math.min(...sec.paragraphIndexes) : -1;
-
-  const DIV_W = 3500;
-  const SEC_W = 3500;
-  const SEG_W = 3500;
+  // One column per level, sharing the page width
+  const COL_W = Math.floor(10500 / levels.length);
 
   const rows = [];
   const fontSize = 18;
 
   rows.push(
     new docx.TableRow({
-      children: [
-        compactCenteredCell(docx, "Division", DIV_W, fontSize),
-        compactCenteredCell(docx, "Section", SEC_W, fontSize),
-        compactCenteredCell(docx, "Segment", SEG_W, fontSize)
-      ]
+      children: levels.map(level => compactCenteredCell(docx, safeText(level.name), COL_W, fontSize))
     })
   );
 
-  const rowData = segmentsSorted.map(seg => {
-    const segStart = computeSegStart(seg);
-    const segEnd = computeSegEnd(seg, segmentsSorted, totalParagraphs);
-    const sec = findSectionForSegment(segStart);
-    const div = findDivisionForSegment(segStart);
-    const paragraphCount = segEnd - segStart + 1;
-    return { seg, sec, div, divStart: getDivStart(div), secStart: getSecStart(sec), paragraphCount };
-  });
+  const rowData = overviewRows(state).map(row => ({
+    ...row,
+    paragraphCount: row.end - row.start + 1
+  }));
 
   const heightPerParagraph = 200;
   const minRowHeight = 400;
@@ -501,42 +444,33 @@ function buildOverviewPage(docx, state) {
     ? (maxTableHeight - headerHeight) / (totalNaturalHeight - headerHeight)
     : 1.0;
 
-  let lastDivStart = null;
-  let lastSecStart = null;
+  // Start of the last cell written in each higher-level column
+  const lastStarts = levels.slice(0, -1).map(() => null);
 
   rowData.forEach(row => {
-    const { seg, sec, div, divStart, secStart, paragraphCount } = row;
-
-    const segStart = computeSegStart(seg);
-    const segEnd = computeSegEnd(seg, segmentsSorted, totalParagraphs);
-    const range = humanRangeFromIdx(segStart, segEnd, paragraphs);
+    const { item: seg, start, end, containers, paragraphCount } = row;
+    const range = paragraphSpanLabel(paragraphs, start, end);
 
     const naturalHeight = Math.max(minRowHeight, paragraphCount * heightPerParagraph);
     const rowHeight = Math.round(naturalHeight * heightScale);
 
+    const cells = containers.map((cell, col) =>
+      cell.start !== lastStarts[col]
+        ? compactTopLeftCell(
+            docx,
+            safeText(cell.item?.title) || `${cell.level.name} ${cell.item?.id}`,
+            COL_W,
+            fontSize,
+            "restart"
+          )
+        : compactMergedCell(docx, "continue", COL_W)
+    );
+
     rows.push(
       new docx.TableRow({
         height: { value: rowHeight, rule: docx.HeightRule.ATLEAST },
         children: [
-          divStart !== lastDivStart
-            ? compactTopLeftCell(
-                docx,
-                safeText(div?.title) || `Division ${div?.id}`,
-                DIV_W,
-                fontSize,
-                "restart"
-              )
-            : compactMergedCell(docx, "continue", DIV_W),
-
-          secStart !== lastSecStart
-            ? compactTopLeftCell(
-                docx,
-                safeText(sec?.title) || `Section ${sec?.id}`,
-                SEC_W,
-                fontSize,
-                "restart"
-              )
-            : compactMergedCell(docx, "continue", SEC_W),
+          ...cells,
 
           compactBorderedCell(
             docx,
@@ -545,7 +479,7 @@ function buildOverviewPage(docx, state) {
                 spacing: { before: 0, after: 0, line: 240, lineRule: docx.LineRuleType.AUTO },
                 children: [
                   new docx.TextRun({
-                    text: safeText(seg.title) || `Segment ${seg.id}`,
+                    text: safeText(seg.title) || `${bottom.name} ${seg.id}`,
                     bold: true,
                     size: fontSize
                   })
@@ -563,7 +497,7 @@ function buildOverviewPage(docx, state) {
             ],
             {
               width: {
-                size: SEG_W,
+                size: COL_W,
                 type: docx.WidthType.DXA
               }
             }
@@ -572,8 +506,7 @@ function buildOverviewPage(docx, state) {
       })
     );
 
-    lastDivStart = divStart;
-    lastSecStart = secStart;
+    containers.forEach((cell, col) => { lastStarts[col] = cell.start; });
   });
 
   const titleParagraph = new docx.Paragraph({
@@ -597,19 +530,7 @@ function buildOverviewPage(docx, state) {
       left: { style: docx.BorderStyle.SINGLE, size: 4, color: "000000" },
       right: { style: docx.BorderStyle.SINGLE, size: 4, color: "000000" }
     },
-    children: [
-      new docx.TextRun({
-        text: "Key verse: ",
-        bold: true,
-        italics: true,
-        size: 18
-      }),
-      new docx.TextRun({
-        text: safeText(state.keyVerse) || "",
-        italics: true,
-        size: 18
-      })
-    ]
+    children: keyVerseRuns(docx, state, verses)
   });
 
   const table = new docx.Table({
@@ -624,6 +545,29 @@ function buildOverviewPage(docx, state) {
   return [titleParagraph, keyVerseParagraph, table];
 }
 
+// Key verse label and reference, then the passage's text on a new
+// line with verse numbers as superscripts (when the verse data has it)
+function keyVerseRuns(docx, state, verses) {
+  const keyVerse = safeText(state.keyVerse);
+  const passage = keyVerse ? lookupPassage(keyVerse, state.book, verses) : null;
+  const style = { italics: true, size: 18 };
+
+  const runs = [
+    new docx.TextRun({ text: passage?.verses.length > 1 ? "Key passage: " : "Key verse: ", bold: true, ...style }),
+    new docx.TextRun({ text: keyVerse, ...style })
+  ];
+  if (!passage) return runs;
+
+  runs.push(new docx.TextRun({ text: '"', break: 1, ...style }));
+  passage.verses.forEach((verse, i) => {
+    if (i) runs.push(new docx.TextRun({ text: " ", ...style }));
+    runs.push(new docx.TextRun({ text: String(verse.number), superScript: true, size: 18 }));
+    runs.push(new docx.TextRun({ text: verse.text, ...style }));
+  });
+  runs.push(new docx.TextRun({ text: '"', ...style }));
+  return runs;
+}
+
 // ---- Segment page ----
 
 function buildSegmentPage(docx, state, seg, segmentsSorted) {
@@ -632,11 +576,11 @@ function buildSegmentPage(docx, state, seg, segmentsSorted) {
 
   const segStart = computeSegStart(seg);
   const segEnd = computeSegEnd(seg, segmentsSorted, totalParagraphs);
-  const range = humanRangeFromIdx(segStart, segEnd, paragraphs);
+  const range = paragraphSpanLabel(paragraphs, segStart, segEnd);
 
   const rows = [];
 
-  const segTitle = safeText(seg.title) || `Segment ${seg.id}`;
+  const segTitle = safeText(seg.title) || `${levelName(state, BOTTOM_LEVEL)} ${seg.id}`;
   rows.push(new docx.TableRow({
     children: [
       borderedCell(docx, [
@@ -672,7 +616,7 @@ function buildSegmentPage(docx, state, seg, segmentsSorted) {
           new docx.Paragraph({
             alignment: docx.AlignmentType.CENTER,
             children: [new docx.TextRun({
-              text: `${p.range}${p.title ? " — " + p.title : ""}`,
+              text: `${paragraphSpanLabel(paragraphs, i)}${p.title ? " — " + p.title : ""}`,
               bold: true
             })]
           })
@@ -700,13 +644,17 @@ function buildSegmentPage(docx, state, seg, segmentsSorted) {
 
 // ---- Main export function ----
 
-export function exportWord(state) {
+/**
+ * verses: verse data of the chart's translation (verses.js) for the
+ * key passage's text; without it only the reference is shown.
+ */
+export function exportWord(state, verses = null) {
   const docx = window.docx;
 
   const segmentsSorted = [...state.segments]
     .sort((a, b) => computeSegStart(a) - computeSegStart(b));
 
-  const overviewElements = buildOverviewPage(docx, state);
+  const overviewElements = buildOverviewPage(docx, state, verses);
 
   const segmentSections = segmentsSorted.map(seg => ({
     children: [buildSegmentPage(docx, state, seg, segmentsSorted)]
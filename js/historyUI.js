@@ -0,0 +1,136 @@
+/* historyUI.js
+   Version history panel shared by the Charter Builder and Chart Editor.
+   Lists snapshots, previews one read-only, and restores it.
+*/
+
+import { createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { listSnapshots, getSnapshot, restoreSnapshot } from "./versionHistory.js";
+import { getLevels, pluralName } from "./levels.js";
+
+const REASON_LABELS = {
+  manual: "Saved",
+  autosave: "Autosave",
+  "before-restore": "Before restore",
+  restore: "Restored"
+};
+
+function describeChanges(changes) {
+  const parts = [...changes.levels, { name: "title", count: changes.titles }]
+    .filter(({ count }) => count)
+    .map(({ name, count }) => `${count} ${count === 1 ? name : pluralName(name)}`);
+
+  return parts.length ? parts.join(" · ") : "No structural changes";
+}
+
+/**
+ * Open the history panel.
+ *
+ * @param {Object} opts
+ * @param {string} opts.bookId
+ * @param {Function} [opts.hasUnsavedChanges] - returns true when restoring would discard edits
+ * @param {Function} [opts.onRestored] - called with the restored book record
+ */
+export async function openHistoryPanel({ bookId, hasUnsavedChanges = () => false, onRestored }) {
+  const snapshots = await listSnapshots(bookId);
+  const body = createEl('div');
+
+  if (!snapshots.length) {
+    body.appendChild(createEl('p', {
+      className: 'muted',
+      text: 'No snapshots yet. One is taken every time you save.'
+    }));
+  }
+
+  const table = createEl('table');
+  const tbody = createEl('tbody');
+
+  snapshots.forEach(snap => {
+    const tr = createEl('tr');
+    tr.appendChild(createEl('td', { text: new Date(snap.createdAt).toLocaleString() }));
+    tr.appendChild(createEl('td', { text: REASON_LABELS[snap.reason] || snap.reason }));
+    tr.appendChild(createEl('td', { className: 'muted', text: describeChanges(snap.changes) }));
+
+    const actions = createEl('td');
+    const previewBtn = createEl('button', { className: 'btn small', text: 'Preview' });
+    const restoreBtn = createEl('button', { className: 'btn small', text: 'Restore' });
+
+    previewBtn.onclick = async () => {
+      const full = await getSnapshot(snap.id);
+      if (full) showSnapshotPreview(full);
+    };
+
+    restoreBtn.onclick = async () => {
+      const warning = hasUnsavedChanges()
+        ? "Restore this snapshot? Your unsaved changes will be lost."
+        : "Restore this snapshot? The current version is kept in history.";
+      if (!confirm(warning)) return;
+
+      try {
+        const restored = await restoreSnapshot(snap.id);
+        dialog.close();
+        if (onRestored) onRestored(restored);
+      } catch (err) {
+        console.error("Restore failed:", err);
+        alert("Could not restore this snapshot.");
+      }
+    };
+
+    actions.append(previewBtn, restoreBtn);
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  });
+
+  table.appendChild(tbody);
+  if (snapshots.length) body.appendChild(table);
+
+  const dialog = openDialog({
+    title: 'Version history',
+    eyebrow: 'Snapshots',
+    body,
+    wide: true,
+    actions: [{ label: 'Close' }]
+  });
+}
+
+/* ================================
+   Read-only preview
+================================ */
+
+function showSnapshotPreview(snapshot) {
+  const book = snapshot.data;
+  const paragraphs = book.paragraphs || [];
+  const body = createEl('div', { className: 'history-preview' });
+
+  body.appendChild(createEl('p', {
+    className: 'muted',
+    text: `${book.bookName || book.bookId} · ${new Date(snapshot.createdAt).toLocaleString()}`
+  }));
+
+  if (book.keyVerse) {
+    body.appendChild(createEl('p', { text: `Key verse: ${book.keyVerse}` }));
+  }
+
+  getLevels(book).forEach(level => {
+    const items = book[level.key] || [];
+    body.appendChild(createEl('h4', { text: `${pluralName(level.name)} (${items.length})` }));
+    const list = createEl('ul');
+
+    [...items]
+      .sort((a, b) => Math.min(...a.paragraphIndexes) - Math.min(...b.paragraphIndexes))
+      .forEach(item => {
+        const range = paragraphs[Math.min(...item.paragraphIndexes)]?.range || '';
+        list.appendChild(createEl('li', { text: `${range} — ${item.title || '(untitled)'}` }));
+      });
+
+    body.appendChild(list);
+  });
+
+  openDialog({
+    title: 'Snapshot preview',
+    eyebrow: 'Read-only',
+    body,
+    wide: true,
+    actions: [{ label: 'Close' }]
+  });
+}
@@ -1,5 +1,13 @@
 import { BOOKS } from "./books.js";
-import { listBooks, loadBook, deleteBook } from "./storage.js";
+import { listBooks, loadBook, deleteBook, saveBook } from "./storage.js";
+import { initBackupActions } from "./backupUI.js";
+import { initChartFileActions } from "./chartFileUI.js";
+import { openStoragePanel } from "./storageUI.js";
+import { groupChartsByBook, chartLabel, bookOfChart } from "./charts.js";
+import { openDialog } from "./dialog.js";
+import { initTextImport } from "./textImportUI.js";
+import { registerImportedTranslations } from "./importedTexts.js";
+import { DEFAULT_TRANSLATION, getTranslation } from "./translations.js";
 
 let currentTab = "all";
 const undoStack = [];
@@ -12,6 +20,23 @@ document.addEventListener("DOMContentLoaded", () => {
   if (!grid) return;
 
   createUndoToast();
+  initBackupActions({ onRestored: () => renderGrid() });
+  initTextImport({ onImported: () => renderGrid() });
+  initChartFileActions({
+    onOpened: chart => {
+      window.location.href = `book.html?bookId=${encodeURIComponent(chart.bookId)}`;
+    }
+  });
+
+  const storageBtn = document.getElementById("storageBtn");
+  if (storageBtn) {
+    storageBtn.addEventListener("click", () => openStoragePanel({ onDelete: deleteWithUndo }));
+  }
+
+  // Linked from the "storage is full" banner on the chart pages
+  if (new URLSearchParams(window.location.search).has("storage")) {
+    openStoragePanel({ onDelete: deleteWithUndo });
+  }
 
   document.querySelectorAll(".tab-btn").forEach(btn => {
     btn.addEventListener("click", () => {
@@ -24,17 +49,21 @@ document.addEventListener("DOMContentLoaded", () => {
 
   renderGrid();
 
-  function renderGrid() {
+  let imported = []; // translations imported from USFM / OSIS files
+
+  async function renderGrid() {
+    const index = await listBooks();
+    imported = await registerImportedTranslations();
     grid.innerHTML = "";
     if (currentTab === "all") {
-      renderAllBooks();
+      renderAllBooks(index);
     } else {
-      renderLibrary();
+      renderLibrary(index);
     }
   }
 
-  function renderAllBooks() {
-    const index = listBooks();
+  function renderAllBooks(index) {
+    const chartsByBook = groupChartsByBook(index);
 
     BOOKS.forEach((bookCanonicalId, tileIdx) => {
       const tile = document.createElement("div");
@@ -42,9 +71,11 @@ document.addEventListener("DOMContentLoaded", () => {
       tile.setAttribute("aria-label", `Open ${bookCanonicalId}`);
       tile.style.animationDelay = `${Math.min(tileIdx * 30, 300)}ms`;
 
-      const savedMeta = index[bookCanonicalId];
-      const isSaved = !!savedMeta;
-      const displayName = savedMeta?.bookTitle || bookCanonicalId;
+      const charts = chartsByBook.get(bookCanonicalId) || [];
+      const latest = charts[0];
+      const isSaved = charts.length > 0;
+      const displayName = latest?.bookTitle || bookCanonicalId;
+      const hasSeveral = charts.length > 1;
 
       if (isSaved) {
         tile.classList.add("saved");
@@ -52,6 +83,7 @@ document.addEventListener("DOMContentLoaded", () => {
           <div class="saved-card">
             <div class="saved-card-body">
               <span class="saved-title">${displayName}</span>
+              <button class="saved-chart-count" title="Choose a chart or start a new one">${charts.length} chart${hasSeveral ? "s" : ""}</button>
             </div>
             <div class="saved-card-actions">
               <button class="saved-btn-builder" title="Open Charter Builder">Builder</button>
@@ -70,27 +102,135 @@ document.addEventListener("DOMContentLoaded", () => {
         `;
 
         tile.querySelector(".saved-btn-builder").addEventListener("click", () => {
-          window.location.href = `book.html?bookId=${bookCanonicalId}`;
+          if (hasSeveral) openChartPicker(bookCanonicalId, charts);
+          else window.location.href = `book.html?bookId=${encodeURIComponent(latest.bookId)}`;
         });
 
         tile.querySelector(".saved-btn-chart").addEventListener("click", () => {
-          window.location.href = `preview.html?bookId=${bookCanonicalId}`;
+          if (hasSeveral) openChartPicker(bookCanonicalId, charts);
+          else window.location.href = `preview.html?bookId=${encodeURIComponent(latest.bookId)}`;
+        });
+
+        tile.querySelector(".saved-chart-count").addEventListener("click", () => {
+          openChartPicker(bookCanonicalId, charts);
         });
       } else {
         tile.classList.add("new");
         tile.innerHTML = `<span class="pill-label">${displayName}</span>`;
 
-        tile.addEventListener("click", () => {
-          window.location.href = `book.html?name=${bookCanonicalId}`;
-        });
+        tile.addEventListener("click", () => startChart(bookCanonicalId, ""));
+      }
+
+      const texts = importedFor(bookCanonicalId);
+      if (texts.length) {
+        const label = document.createElement("span");
+        label.className = "tile-translations";
+        label.textContent = texts.map(t => t.abbreviation).join(" · ");
+        label.title = `Also imported: ${texts.map(t => t.name).join(", ")}`;
+        tile.appendChild(label);
       }
 
       grid.appendChild(tile);
     });
   }
 
-  function renderLibrary() {
-    const books = listBooks();
+  // Chart picker for a book's saved charts
+  function openChartPicker(book, charts) {
+    const list = document.createElement("ul");
+    list.className = "chart-picker";
+
+    charts.forEach(chart => {
+      const li = document.createElement("li");
+      const modified = chart.lastModified ? new Date(chart.lastModified).toLocaleString() : "";
+      li.innerHTML = `
+        <div class="chart-picker-info">
+          <span class="chart-picker-name"></span>
+          <span class="chart-picker-date muted">${modified}</span>
+        </div>
+        <div class="chart-picker-actions">
+          <button class="btn small" data-page="book.html">Builder</button>
+          <button class="btn small" data-page="preview.html">Chart</button>
+        </div>
+      `;
+      li.querySelector(".chart-picker-name").textContent = chartLabel(chart, chart.bookId);
+      li.querySelectorAll("button").forEach(btn => {
+        btn.addEventListener("click", () => {
+          window.location.href = `${btn.dataset.page}?bookId=${encodeURIComponent(chart.bookId)}`;
+        });
+      });
+      list.appendChild(li);
+    });
+
+    openDialog({
+      title: book,
+      eyebrow: `${charts.length} chart${charts.length > 1 ? "s" : ""}`,
+      body: list,
+      actions: [
+        { label: "Close" },
+        {
+          label: "Compare",
+          onClick: () => {
+            // With one chart, the other side is picked from a file there
+            const [a, b] = charts;
+            const params = new URLSearchParams({ book, a: a.bookId });
+            if (b) params.set("b", b.bookId);
+            window.location.href = `compare.html?${params}`;
+          }
+        },
+        {
+          label: "New chart",
+          primary: true,
+          onClick: () => {
+            const name = prompt(`Name for the new ${book} chart:`, "");
+            if (name === null) return false;
+            startChart(book, name.trim());
+          }
+        }
+      ]
+    });
+  }
+
+  function importedFor(book) {
+    return imported.filter(t => t.books.includes(book));
+  }
+
+  // New chart of a book, in a translation of the user's choice when
+  // texts for it were imported
+  function startChart(book, chartName) {
+    const open = translation => {
+      const params = new URLSearchParams({ name: book, new: "1" });
+      if (chartName) params.set("chartName", chartName);
+      if (translation !== DEFAULT_TRANSLATION) params.set("translation", translation);
+      window.location.href = `book.html?${params}`;
+    };
+
+    const texts = importedFor(book);
+    if (!texts.length) {
+      open(DEFAULT_TRANSLATION);
+      return;
+    }
+
+    const select = document.createElement("select");
+    select.className = "translation-choice";
+    [getTranslation(DEFAULT_TRANSLATION), ...texts].forEach(t => {
+      const option = document.createElement("option");
+      option.value = t.id;
+      option.textContent = `${t.abbreviation} — ${t.name}`;
+      select.appendChild(option);
+    });
+
+    openDialog({
+      title: `New ${book} chart`,
+      eyebrow: "Translation",
+      body: select,
+      actions: [
+        { label: "Cancel" },
+        { label: "Start", primary: true, onClick: () => open(select.value) }
+      ]
+    });
+  }
+
+  function renderLibrary(books) {
 
     if (!books || Object.keys(books).length === 0) {
       grid.innerHTML = '<p class="muted" style="text-align:center;padding:2rem;">No books saved yet.</p>';
@@ -104,12 +244,17 @@ document.addEventListener("DOMContentLoaded", () => {
       tile.dataset.bookId = bookId;
       tile.style.animationDelay = `${Math.min(tileIdx++ * 30, 300)}ms`;
 
-      const displayTitle = meta.bookTitle || bookId;
+      const displayTitle = chartLabel(meta, bookId);
+      const book = bookOfChart(meta, bookId);
+      const subtitle = meta.chartName ? `<span class="saved-subtitle">${book}</span>` : "";
 
       tile.innerHTML = `
         <div class="saved-card">
           <div class="saved-card-body">
-            <span class="saved-title">${displayTitle}</span>
+            <div class="saved-heading">
+              <span class="saved-title"></span>
+              ${subtitle}
+            </div>
             <button class="saved-delete delete-book" data-id="${bookId}" aria-label="Delete book">
               <svg viewBox="0 0 24 24" width="13" height="13" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
                 <polyline points="3 6 5 6 21 6"/>
@@ -135,6 +280,8 @@ document.addEventListener("DOMContentLoaded", () => {
         </div>
       `;
 
+      tile.querySelector(".saved-title").textContent = displayTitle;
+
       tile.querySelector(".saved-btn-builder").addEventListener("click", () => {
         window.location.href = `book.html?bookId=${encodeURIComponent(bookId)}`;
       });
@@ -148,25 +295,28 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // Delete handling
-  grid.addEventListener("click", (e) => {
+  grid.addEventListener("click", async (e) => {
     const deleteBtn = e.target.closest(".delete-book");
     if (!deleteBtn) return;
 
     e.preventDefault();
     e.stopPropagation();
 
-    const bookId = deleteBtn.dataset.id;
-    const bookData = loadBook(bookId);
+    await deleteWithUndo(deleteBtn.dataset.id);
+  });
+
+  async function deleteWithUndo(bookId) {
+    const bookData = await loadBook(bookId);
     if (!bookData) return;
 
     const confirmed = confirm("Are you sure you want to permanently delete this book?");
     if (!confirmed) return;
 
     undoStack.push({ bookId, bookData });
-    deleteBook(bookId);
+    await deleteBook(bookId);
     renderGrid();
     showUndoToast();
-  });
+  }
 
   // Undo toast
   function createUndoToast() {
@@ -235,19 +385,12 @@ document.addEventListener("DOMContentLoaded", () => {
     }, 10000);
   }
 
-  function undoDelete() {
+  async function undoDelete() {
     if (!undoStack.length) return;
 
-    const { bookId, bookData } = undoStack.pop();
+    const { bookData } = undoStack.pop();
 
-    localStorage.setItem(bookId, JSON.stringify(bookData));
-
-    const index = JSON.parse(localStorage.getItem("bookIndex")) || {};
-    index[bookId] = {
-      bookTitle: bookData.bookTitle,
-      lastModified: bookData.lastModified
-    };
-    localStorage.setItem("bookIndex", JSON.stringify(index));
+    await saveBook(bookData);
 
     renderGrid();
 
@@ -0,0 +1,115 @@
+/* idb.js
+   Minimal promise wrapper around IndexedDB.
+
+   All persistent chart data lives in one database. Object stores are
+   created in onupgradeneeded; bump DB_VERSION when adding a store.
+*/
+
+const DB_NAME = "sbsCharter";
+const DB_VERSION = 4;
+
+export const STORES = {
+  books: "books",
+  meta: "meta",
+  history: "history",             // snapshot metadata, see versionHistory.js
+  snapshotData: "snapshotData",   // snapshot charts, keyed by history id
+  texts: "texts"      // imported Bible texts, see importedTexts.js
+};
+
+let dbPromise = null;
+
+/* ================================
+   Open / upgrade
+================================ */
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    req.onupgradeneeded = () => {
+      const db = req.result;
+
+      if (!db.objectStoreNames.contains(STORES.books)) {
+        db.createObjectStore(STORES.books, { keyPath: "bookId" });
+      }
+      if (!db.objectStoreNames.contains(STORES.meta)) {
+        db.createObjectStore(STORES.meta);
+      }
+      if (!db.objectStoreNames.contains(STORES.history)) {
+        const history = db.createObjectStore(STORES.history, { keyPath: "id", autoIncrement: true });
+        history.createIndex("bookId", "bookId");
+      }
+      if (!db.objectStoreNames.contains(STORES.snapshotData)) {
+        db.createObjectStore(STORES.snapshotData, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(STORES.texts)) {
+        db.createObjectStore(STORES.texts, { keyPath: "key" });
+      }
+    };
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => console.warn("IndexedDB upgrade blocked by another open tab");
+  });
+
+  // Allow a retry on the next call if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+
+  return dbPromise;
+}
+
+/* ================================
+   Request helpers
+================================ */
+
+/**
+ * Run fn inside a transaction and resolve once the transaction commits.
+ * fn receives the object store(s) and may return a value (or request).
+ */
+export async function withStore(storeNames, mode, fn) {
+  const db = await openDb();
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = names.map(n => tx.objectStore(n));
+
+    let result;
+    try {
+      result = fn(...stores);
+    } catch (err) {
+      tx.abort();
+      reject(err);
+      return;
+    }
+
+    tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+export function idbGet(store, key) {
+  return withStore(store, "readonly", s => s.get(key));
+}
+
+export function idbGetAll(store) {
+  return withStore(store, "readonly", s => s.getAll());
+}
+
+export function idbPut(store, value, key) {
+  return withStore(store, "readwrite", s =>
+    key === undefined ? s.put(value) : s.put(value, key)
+  );
+}
+
+export function idbDelete(store, key) {
+  return withStore(store, "readwrite", s => s.delete(key));
+}
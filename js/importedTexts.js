@@ -0,0 +1,111 @@
+/* importedTexts.js
+   Bible texts imported from USFM or OSIS files (textImport.js),
+   kept in IndexedDB and offered as translations (translations.js).
+
+   Each book is one record in the "texts" store, keyed
+   "<translation id>:<book>", holding { verses, paragraphs }
+   gzip-compressed like charts. The list of imported translations and
+   their books is kept in the meta store.
+*/
+
+import { STORES, withStore, idbGet } from "./idb.js";
+import { encodeJson, decodeJson } from "./compression.js";
+import { registerTranslation, getTranslation, DEFAULT_TRANSLATION } from "./translations.js";
+
+const LIST_KEY = "importedTranslations";
+
+function textKey(id, book) {
+  return `${id}:${book}`;
+}
+
+/**
+ * @returns {Promise<Array<{ id, name, abbreviation, books: string[] }>>}
+ */
+export async function listImportedTranslations() {
+  return (await idbGet(STORES.meta, LIST_KEY)) || [];
+}
+
+/**
+ * Translation id for an abbreviation: "NIV 1984" → "niv-1984".
+ */
+export function translationIdFor(abbreviation) {
+  return String(abbreviation || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+/**
+ * Why an imported translation cannot use this id, or null. Importing
+ * into an imported translation adds or replaces books.
+ */
+export async function translationIdProblem(id) {
+  if (!id) return "Give the translation an abbreviation.";
+  const imported = (await listImportedTranslations()).some(t => t.id === id);
+  if (!imported && getTranslation(id).id === id) return `"${id}" is a built-in translation.`;
+  return null;
+}
+
+/**
+ * Store parsed books (textImport.js) under a translation and make
+ * it available on this page.
+ * @param {{ id, name, abbreviation }} translation
+ * @param {Array<{ book, verses, paragraphs }>} books
+ */
+export async function saveImportedTexts(translation, books) {
+  // Compress before opening the transaction: it would auto-commit
+  // while waiting on the compression stream.
+  const records = await Promise.all(books.map(async ({ book, verses, paragraphs }) => ({
+    key: textKey(translation.id, book),
+    translation: translation.id,
+    book,
+    ...(await encodeJson({ verses, paragraphs }))
+  })));
+
+  const list = await listImportedTranslations();
+  const existing = list.find(t => t.id === translation.id);
+  const entry = {
+    id: translation.id,
+    name: translation.name,
+    abbreviation: translation.abbreviation,
+    books: [...new Set([...(existing?.books || []), ...books.map(b => b.book)])]
+  };
+  const updated = [...list.filter(t => t.id !== translation.id), entry];
+
+  await withStore([STORES.texts, STORES.meta], "readwrite", (texts, meta) => {
+    records.forEach(record => texts.put(record));
+    meta.put(updated, LIST_KEY);
+  });
+
+  register(entry);
+  return entry;
+}
+
+async function loadText(id, book) {
+  const record = await idbGet(STORES.texts, textKey(id, book));
+  return record ? decodeJson(record) : null;
+}
+
+function register({ id, name, abbreviation }) {
+  if (id === DEFAULT_TRANSLATION) return;
+  registerTranslation({
+    id,
+    name,
+    abbreviation,
+    loadVerses: async book => (await loadText(id, book))?.verses || null,
+    loadParagraphs: async book => (await loadText(id, book))?.paragraphs || null
+  });
+}
+
+/**
+ * Register every imported translation. Pages that offer a choice of
+ * translation call this before rendering.
+ * @returns {Promise<Array>} the imported translations
+ */
+export async function registerImportedTranslations() {
+  try {
+    const list = await listImportedTranslations();
+    list.forEach(register);
+    return list;
+  } catch (err) {
+    console.warn("Imported translations unavailable:", err);
+    return [];
+  }
+}
@@ -0,0 +1,140 @@
+/* levels.js
+   The chart's hierarchy: a list of named levels, top to bottom.
+
+   Each level is { key, name }. `key` is the chart field holding the
+   level's items ("divisions", "sections", "segments" for the default
+   three, "level1", "level2"… for levels added later); `name` is what
+   the builder, Chart Editor and exports show.
+
+   The bottom level is always "segments": its items carry the notes
+   and get a page of their own. An item links to the item above it
+   through `<parent>Id` (divisionId, sectionId, level1Id), kept in
+   step with positions by structureLogic.js.
+*/
+
+export const BOTTOM_LEVEL = "segments";
+export const MAX_LEVELS = 6;
+
+export const DEFAULT_LEVELS = [
+  { key: "divisions", name: "Division" },
+  { key: "sections", name: "Section" },
+  { key: "segments", name: "Segment" }
+];
+
+export function defaultLevels() {
+  return DEFAULT_LEVELS.map(level => ({ ...level }));
+}
+
+/**
+ * A chart's levels, top to bottom. Charts saved before levels were
+ * configurable use the default three.
+ */
+export function getLevels(book) {
+  return Array.isArray(book?.levels) && book.levels.length ? book.levels : DEFAULT_LEVELS;
+}
+
+export function levelKeys(book) {
+  return getLevels(book).map(level => level.key);
+}
+
+export function levelName(book, key) {
+  return getLevels(book).find(level => level.key === key)?.name || key;
+}
+
+export function pluralName(name) {
+  if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+  return `${name}s`;
+}
+
+/**
+ * Colour family for a level: the top level is the roof, the bottom
+ * the foundation, everything between the walls.
+ */
+export function levelTier(book, key) {
+  const keys = levelKeys(book);
+  if (key === keys[keys.length - 1]) return "segment";
+  if (key === keys[0]) return "division";
+  return "section";
+}
+
+// Counter in book.ids and prefix of the link field: "sections" → "section"
+export function counterKey(key) {
+  return key.endsWith("s") ? key.slice(0, -1) : key;
+}
+
+export function linkField(key) {
+  return `${counterKey(key)}Id`;
+}
+
+/**
+ * Key for a new level that no level of the chart uses yet.
+ */
+export function freeLevelKey(levels) {
+  const used = new Set(levels.map(level => level.key));
+  let n = 1;
+  while (used.has(`level${n}`)) n++;
+  return `level${n}`;
+}
+
+/**
+ * The levels and each level's items, as stored with a chart.
+ */
+export function structureFields(book) {
+  const fields = { levels: getLevels(book).map(level => ({ ...level })) };
+  levelKeys(book).forEach(key => { fields[key] = book[key] || []; });
+  return fields;
+}
+
+/* ================================
+   Positions
+================================ */
+
+export function startOf(item) {
+  return Math.min(...(item.paragraphIndexes || [Infinity]));
+}
+
+export function sortByStart(items = []) {
+  return [...items].sort((a, b) => startOf(a) - startOf(b));
+}
+
+/**
+ * Nearest item of `sorted` starting at or before `start`.
+ */
+export function containerAt(sorted, start) {
+  let result = null;
+  for (const item of sorted) {
+    if (startOf(item) <= start) result = item;
+    else break;
+  }
+  return result;
+}
+
+/**
+ * Rows of the overview table: one per bottom-level item, with the
+ * item containing it on each higher level (top first).
+ *
+ * @returns {Array<{ item, start, end, containers: Array<{ level, item, start }> }>}
+ *   container item is null (start -1) where no item contains the row
+ */
+export function overviewRows(book) {
+  const levels = getLevels(book);
+  const upper = levels.slice(0, -1).map(level => ({ level, sorted: sortByStart(book[level.key]) }));
+  const items = sortByStart(book[levels[levels.length - 1].key]);
+  const total = book.paragraphs?.length || 0;
+
+  return items.map(item => {
+    const start = startOf(item);
+    const next = items.find(other => startOf(other) > start);
+
+    return {
+      item,
+      start,
+      end: next ? startOf(next) - 1 : total - 1,
+      containers: upper.map(({ level, sorted }) => {
+        const container = containerAt(sorted, start);
+        return { level, item: container, start: container ? startOf(container) : -1 };
+      })
+    };
+  });
+}
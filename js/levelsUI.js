@@ -0,0 +1,93 @@
+/* levelsUI.js
+   Levels dialog in the Charter Builder: name the chart's levels,
+   add a level above any of them, or remove one.
+   Every change is undoable like any other structure edit.
+*/
+
+import { state } from "./state.js";
+import { createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { addLevel, renameLevel, removeLevel } from "./structureLogic.js";
+import { recordChange } from "./commandHistory.js";
+import { BOTTOM_LEVEL, MAX_LEVELS, getLevels, pluralName } from "./levels.js";
+
+export function openLevelsDialog() {
+  const body = createEl('div', { className: 'levels-editor' });
+
+  function render() {
+    body.innerHTML = '';
+    body.appendChild(createEl('p', {
+      className: 'muted',
+      text: 'Top to bottom. Each level starts where the level below it starts; the bottom level gets a page of its own in the Chart Editor.'
+    }));
+
+    const levels = getLevels(state);
+    const full = levels.length >= MAX_LEVELS;
+    const list = createEl('ol', { className: 'levels-list' });
+
+    levels.forEach((level, index) => {
+      const row = createEl('li', { className: 'levels-row' });
+
+      const name = createEl('input', { attrs: { placeholder: 'Level name', 'aria-label': 'Level name' } });
+      name.value = level.name;
+      name.oninput = () => {
+        const value = name.value.trim();
+        if (!value) return;
+        recordChange('Rename level', () => renameLevel(level.key, value), { mergeKey: `level:${level.key}:name` });
+      };
+      name.onblur = () => {
+        if (!name.value.trim()) name.value = getLevels(state).find(l => l.key === level.key)?.name || '';
+      };
+
+      const count = (state[level.key] || []).length;
+      row.append(name, createEl('span', {
+        className: 'muted',
+        text: `${count} ${count === 1 ? level.name.toLowerCase() : pluralName(level.name).toLowerCase()}`
+      }));
+
+      const add = createEl('button', {
+        className: 'btn small',
+        text: 'Add level above',
+        attrs: { type: 'button' }
+      });
+      add.disabled = full;
+      add.onclick = () => {
+        recordChange('Add level', () => addLevel(index, 'New level'));
+        render();
+        body.querySelectorAll('.levels-row input')[index]?.select();
+      };
+      row.appendChild(add);
+
+      if (level.key !== BOTTOM_LEVEL) {
+        const remove = createEl('button', {
+          className: 'btn small delete-btn',
+          text: '✖',
+          attrs: { type: 'button', title: `Remove the ${level.name} level` }
+        });
+        remove.onclick = () => {
+          if (count && !confirm(`Remove the ${level.name} level and its ${count} item(s)? Their titles will be lost.`)) return;
+          recordChange('Remove level', () => removeLevel(level.key));
+          render();
+        };
+        row.appendChild(remove);
+      }
+
+      list.appendChild(row);
+    });
+
+    body.appendChild(list);
+
+    if (full) {
+      body.appendChild(createEl('p', { className: 'muted', text: `A chart can have up to ${MAX_LEVELS} levels.` }));
+    }
+  }
+
+  render();
+
+  return openDialog({
+    title: 'Levels',
+    eyebrow: 'Structure',
+    body,
+    actions: [{ label: 'Done', primary: true }]
+  });
+}
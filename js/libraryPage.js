@@ -1,4 +1,4 @@
-import { listBooks, loadBook, deleteBook } from "./storage.js";
+import { listBooks, loadBook, deleteBook, saveBook } from "./storage.js";
 
 const undoStack = [];
 let undoTimer = null;
@@ -14,8 +14,8 @@ document.addEventListener("DOMContentLoaded", () => {
   /* ============================
      Render library
   ============================ */
-  function renderLibrary() {
-    const books = listBooks();
+  async function renderLibrary() {
+    const books = await listBooks();
 
     if (!books || Object.keys(books).length === 0) {
       grid.innerHTML = "<p>No books saved yet.</p>";
@@ -49,7 +49,7 @@ document.addEventListener("DOMContentLoaded", () => {
   /* ============================
      Delete handling
   ============================ */
-  grid.addEventListener("click", (e) => {
+  grid.addEventListener("click", async (e) => {
     const deleteBtn = e.target.closest(".delete-book");
     if (!deleteBtn) return;
 
@@ -57,7 +57,7 @@ document.addEventListener("DOMContentLoaded", () => {
     e.stopPropagation();
 
     const bookId = deleteBtn.dataset.id;
-    const bookData = loadBook(bookId);
+    const bookData = await loadBook(bookId);
     if (!bookData) return;
 
     const confirmed = confirm("Are you sure you want to permanently delete this book?");
@@ -67,7 +67,7 @@ document.addEventListener("DOMContentLoaded", () => {
     undoStack.push({ bookId, bookData });
 
     // Delete from storage
-    deleteBook(bookId);
+    await deleteBook(bookId);
     renderLibrary();
 
     // Show undo toast
@@ -164,21 +164,13 @@ function showUndoToast() {
   }, 10000);
 }
 
-function undoDelete() {
+async function undoDelete() {
   if (!undoStack.length) return;
 
-  const { bookId, bookData } = undoStack.pop();
-
-  // Restore book data
-  localStorage.setItem(bookId, JSON.stringify(bookData));
+  const { bookData } = undoStack.pop();
 
-  // Restore index entry
-  const index = JSON.parse(localStorage.getItem("bookIndex")) || {};
-  index[bookId] = {
-    bookTitle: bookData.bookTitle,
-    lastModified: bookData.lastModified
-  };
-  localStorage.setItem("bookIndex", JSON.stringify(index));
+  // Restore book data and its index entry
+  await saveBook(bookData);
 
   renderLibrary();
 
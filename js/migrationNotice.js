@@ -0,0 +1,39 @@
+/* migrationNotice.js
+   Tells the user when loading a chart needed repairs that could
+   not be completed automatically (see migrations.js).
+*/
+
+import { createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { isNewerSchema } from "./migrations.js";
+
+export function showMigrationWarnings(book) {
+  const warnings = (book?.migrationReport || []).filter(r => r.level === "warning");
+  if (!warnings.length) return;
+
+  const newer = isNewerSchema(book);
+  const body = createEl('div');
+  body.appendChild(createEl('p', {
+    text: newer
+      ? 'This chart comes from a newer version of the app:'
+      : 'This chart was saved in an older format. Some parts could not be upgraded automatically:'
+  }));
+
+  const list = createEl('ul');
+  warnings.forEach(w => list.appendChild(createEl('li', { text: w.message })));
+  body.appendChild(list);
+
+  if (book.unmigrated?.length) {
+    body.appendChild(createEl('p', {
+      className: 'muted',
+      text: `${book.unmigrated.length} item(s) were set aside. They stay with the saved chart and are included in library backups.`
+    }));
+  }
+
+  openDialog({
+    title: newer ? 'Chart from a newer version' : 'Chart upgraded with warnings',
+    eyebrow: 'Migration',
+    body,
+    actions: [{ label: 'OK', primary: true }]
+  });
+}
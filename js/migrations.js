@@ -0,0 +1,180 @@
+/* migrations.js
+   Schema versioning for saved charts.
+
+   Every persisted chart carries `schemaVersion`. On load, older
+   records are upgraded one step at a time by the MIGRATIONS below.
+   A migration never silently drops data: anything it cannot repair
+   is moved to `book.unmigrated` and reported as a warning.
+
+   To change the saved format, append a migration and bump
+   SCHEMA_VERSION to its version number.
+*/
+
+import { startOf, sortByStart, containerAt } from "./levels.js";
+
+export const SCHEMA_VERSION = 3;
+
+// The three fixed levels charts had before schema version 3
+const LEVELS = [
+  { key: "divisions", counter: "division", name: "Division" },
+  { key: "sections", counter: "section", name: "Section" },
+  { key: "segments", counter: "segment", name: "Segment" }
+];
+
+/* ================================
+   Migration steps
+================================ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Fill missing fields and set aside unusable structure items",
+    up(book, report) {
+      book.paragraphs = Array.isArray(book.paragraphs) ? book.paragraphs : [];
+      book.unmigrated = Array.isArray(book.unmigrated) ? book.unmigrated : [];
+
+      book.paragraphs = book.paragraphs.map(p => ({
+        ...p,
+        range: p?.range || "",
+        title: p?.title || "",
+        text: p?.text || "",
+        content: p?.content || ""
+      }));
+
+      const total = book.paragraphs.length;
+
+      LEVELS.forEach(({ key }) => {
+        const items = Array.isArray(book[key]) ? book[key] : [];
+        const kept = [];
+        const seenIds = new Set();
+
+        items.forEach(item => {
+          const indexes = (item?.paragraphIndexes || [])
+            .filter(i => Number.isInteger(i) && i >= 0 && i < total);
+
+          if (!item || !indexes.length) {
+            book.unmigrated.push({ level: key, item, reason: "No valid paragraph position" });
+            report.warn(`A ${key.slice(0, -1)} "${item?.title || item?.id}" has no valid paragraph and was set aside.`);
+            return;
+          }
+
+          const migrated = { ...item, title: item.title || "", paragraphIndexes: indexes };
+
+          if (!Number.isInteger(migrated.id) || seenIds.has(migrated.id)) {
+            migrated.id = null; // reassigned once counters are known (v2)
+            report.info(`Reassigning duplicate or missing ${key} id.`);
+          } else {
+            seenIds.add(migrated.id);
+          }
+
+          if (key === "segments") {
+            migrated.leftNote = migrated.leftNote || "";
+            migrated.rightNote = migrated.rightNote || "";
+          }
+
+          kept.push(migrated);
+        });
+
+        book[key] = kept;
+      });
+    }
+  },
+  {
+    version: 2,
+    description: "Persist ID counters and recompute sectionId/divisionId links",
+    up(book, report) {
+      const ids = {};
+
+      LEVELS.forEach(({ key, counter }) => {
+        const max = book[key].reduce((m, item) => Math.max(m, item.id || 0), 0);
+        ids[counter] = Math.max(max, book.ids?.[counter] || 0);
+
+        book[key].forEach(item => {
+          if (item.id === null) item.id = ++ids[counter];
+        });
+      });
+
+      book.ids = ids;
+
+      const divisions = sortByStart(book.divisions);
+      const sections = sortByStart(book.sections);
+
+      let relinked = 0;
+
+      book.sections.forEach(section => {
+        const division = containerAt(divisions, startOf(section));
+        const divisionId = division ? division.id : null;
+        if (section.divisionId !== divisionId) relinked++;
+        section.divisionId = divisionId;
+      });
+
+      book.segments.forEach(segment => {
+        const section = containerAt(sections, startOf(segment));
+        const sectionId = section ? section.id : null;
+        if (segment.sectionId !== sectionId) relinked++;
+        segment.sectionId = sectionId;
+      });
+
+      if (relinked) report.info(`Recomputed ${relinked} stale section/division link(s).`);
+    }
+  },
+  {
+    version: 3,
+    description: "Store the hierarchy as a list of named levels",
+    up(book) {
+      if (Array.isArray(book.levels) && book.levels.length) return;
+      book.levels = LEVELS.map(({ key, name }) => ({ key, name }));
+    }
+  }
+];
+
+/* ================================
+   Pipeline
+================================ */
+
+/**
+ * Whether a chart was saved by a newer version of the app. Such a
+ * chart can be read but is never saved here (see storage.js): this
+ * version would drop whatever it does not know.
+ */
+export function isNewerSchema(data) {
+  return Number.isInteger(data?.schemaVersion) && data.schemaVersion > SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a chart record to SCHEMA_VERSION.
+ *
+ * @param {Object} data - chart record as stored
+ * @returns {{ book: Object, report: Array<{ version, level, message }> }}
+ *          `book` is a new object; `data` is never modified.
+ */
+export function migrateBook(data) {
+  const report = [];
+  const from = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+
+  if (isNewerSchema(data)) {
+    report.push({
+      version: from,
+      level: "warning",
+      message: "This chart was saved by a newer version of the app. You can read it here, but changes are not saved; open it in the newer version to edit it."
+    });
+    return { book: data, report };
+  }
+
+  if (from === SCHEMA_VERSION) return { book: data, report };
+
+  const book = JSON.parse(JSON.stringify(data));
+
+  MIGRATIONS
+    .filter(m => m.version > from)
+    .forEach(m => {
+      const log = {
+        info: message => report.push({ version: m.version, level: "info", message }),
+        warn: message => report.push({ version: m.version, level: "warning", message })
+      };
+      m.up(book, log);
+      book.schemaVersion = m.version;
+    });
+
+  return { book, report };
+}
@@ -0,0 +1,231 @@
+/* outlineImport.js
+   Reads a structure outline worked out elsewhere and maps it onto a
+   chart's paragraphs. Two formats:
+
+   Indented text, one item per line; indentation gives the level:
+       1:1–2:11 Prologue
+         1:1–1:18 The Word
+       3:1–4:10 Gospel
+
+   CSV with a level, reference and title column (a header row naming
+   them may reorder the columns). The level is a level name of the
+   chart or its number, 1 being the top:
+       Division,1:1–2:11,Prologue
+       Section,1:1–1:18,The Word
+
+   Ranges use an en dash or a hyphen; the end may be a bare verse
+   ("3:1-12"). The end reference is optional.
+*/
+
+import { getLevels, pluralName } from "./levels.js";
+import { firstVerse, lastVerse, compareRefs } from "./verseAnchors.js";
+
+const REF = /^(\d+):(\d+)$/;
+const RANGE = /^(\d+:\d+)(?:\s*[–—-]\s*(\d+:\d+|\d+))?(?=\s|$)/;
+
+/**
+ * @returns {{ entries: Array<{ line, depth, level, start, end, title }>, issues: Array<{ line, message }> }}
+ *   depth is set for indented text, level (name or number) for CSV
+ */
+export function parseOutline(text) {
+  const lines = (text || "").split(/\r?\n/)
+    .map((raw, i) => ({ raw, line: i + 1 }))
+    .filter(({ raw }) => raw.trim() && !raw.trim().startsWith("#"));
+
+  return isCsv(lines) ? parseCsv(lines) : parseIndented(lines);
+}
+
+/**
+ * Place parsed entries on the chart's paragraphs.
+ *
+ * @returns {{ items: Array<{ level, start, title }>, issues: Array<{ line, message }> }}
+ *   items: level is a level key, start a paragraph index; sorted top
+ *   level first
+ */
+export function mapOutline(book, entries) {
+  const levels = getLevels(book);
+  const paragraphs = (book.paragraphs || []).map(paragraphBounds);
+  const items = [];
+  const issues = [];
+
+  entries.forEach(entry => {
+    const index = levelIndex(levels, entry);
+    if (index < 0) {
+      issues.push({
+        line: entry.line,
+        message: entry.level !== undefined
+          ? `"${entry.level}" is not one of this chart's levels.`
+          : `Indented deeper than this chart's ${levels.length} levels.`
+      });
+      return;
+    }
+    const level = levels[index];
+    const name = level.name.toLowerCase();
+
+    const start = paragraphs.findIndex(p => p && compareRefs(p.first, entry.start) <= 0 && compareRefs(entry.start, p.last) <= 0);
+    if (start < 0) {
+      issues.push({ line: entry.line, message: `${entry.start} is not in any paragraph of this chart.` });
+      return;
+    }
+    if (paragraphs[start].first !== entry.start) {
+      issues.push({
+        line: entry.line,
+        message: `${entry.start} is inside paragraph ${book.paragraphs[start].range}; the ${name} starts at ${paragraphs[start].first}.`
+      });
+    }
+
+    if (entry.end) {
+      const end = paragraphs.find(p => p && compareRefs(p.first, entry.end) <= 0 && compareRefs(entry.end, p.last) <= 0);
+      if (!end) {
+        issues.push({ line: entry.line, message: `${entry.end} is not in any paragraph of this chart.` });
+      } else if (end.last !== entry.end) {
+        issues.push({ line: entry.line, message: `${entry.end} is not the end of a paragraph; the ${name} runs to the next ${name}.` });
+      }
+    }
+
+    if (items.some(item => item.level === level.key && item.start === start)) {
+      issues.push({ line: entry.line, message: `Another ${name} already starts at ${paragraphs[start].first}; skipped.` });
+      return;
+    }
+
+    items.push({ level: level.key, start, title: entry.title, order: index });
+  });
+
+  items.sort((a, b) => a.order - b.order || a.start - b.start);
+  return { items: items.map(({ order, ...item }) => item), issues };
+}
+
+/* ================================
+   Formats
+================================ */
+
+function isCsv(lines) {
+  if (!lines.length) return false;
+  return lines.every(({ raw }) => {
+    const fields = splitCsvLine(raw);
+    return fields.length >= 2 && fields.some(field => parseRange(field)?.rest === "");
+  }) || /^\s*"?(level|reference|range|start|title)"?\s*,/i.test(lines[0].raw);
+}
+
+function parseIndented(lines) {
+  const entries = [];
+  const issues = [];
+  const indents = [];
+
+  lines.forEach(({ raw, line }) => {
+    const width = raw.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+    while (indents.length && indents[indents.length - 1] > width) indents.pop();
+    if (indents[indents.length - 1] !== width) indents.push(width);
+
+    const content = raw.trim().replace(/^([-*•]|\d+[.)])\s+/, "");
+    const range = parseRange(content);
+    if (!range) {
+      issues.push({ line, message: `No reference at the start of "${content}".` });
+      return;
+    }
+
+    entries.push({ line, depth: indents.length - 1, start: range.start, end: range.end, title: range.rest });
+  });
+
+  return { entries, issues };
+}
+
+function parseCsv(lines) {
+  const entries = [];
+  const issues = [];
+  let columns = { level: 0, reference: 1, title: 2 };
+
+  const header = splitCsvLine(lines[0].raw).map(field => field.toLowerCase());
+  if (!header.some(field => RANGE.test(field))) {
+    const find = names => header.findIndex(field => names.includes(field));
+    columns = {
+      level: find(["level"]),
+      reference: find(["reference", "range", "start"]),
+      title: find(["title"])
+    };
+    lines = lines.slice(1);
+    if (columns.level < 0 || columns.reference < 0) {
+      issues.push({ line: 1, message: "The header needs a level and a reference column." });
+      return { entries, issues };
+    }
+  }
+
+  lines.forEach(({ raw, line }) => {
+    const fields = splitCsvLine(raw);
+    const range = parseRange(fields[columns.reference] || "");
+    if (!range || range.rest) {
+      issues.push({ line, message: `"${fields[columns.reference] || ""}" is not a reference.` });
+      return;
+    }
+
+    entries.push({
+      line,
+      level: fields[columns.level] || "",
+      start: range.start,
+      end: range.end,
+      title: (columns.title >= 0 && fields[columns.title]) || ""
+    });
+  });
+
+  return { entries, issues };
+}
+
+// Quoted fields may hold commas; "" inside quotes is a quote
+function splitCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/* ================================
+   References
+================================ */
+
+function parseRange(text) {
+  const match = text.trim().match(RANGE);
+  if (!match) return null;
+
+  let end = match[2] || null;
+  if (end && !end.includes(":")) end = `${match[1].split(":")[0]}:${end}`;
+
+  return { start: match[1], end, rest: text.trim().slice(match[0].length).trim() };
+}
+
+function paragraphBounds(paragraph) {
+  const first = firstVerse(paragraph.range);
+  const last = lastVerse(paragraph.range);
+  return REF.test(first) && REF.test(last) ? { first, last } : null;
+}
+
+function levelIndex(levels, entry) {
+  if (entry.depth !== undefined) return entry.depth < levels.length ? entry.depth : -1;
+
+  const value = String(entry.level).trim().toLowerCase();
+  if (/^\d+$/.test(value)) {
+    const n = Number(value) - 1;
+    return n >= 0 && n < levels.length ? n : -1;
+  }
+  return levels.findIndex(level =>
+    level.name.toLowerCase() === value ||
+    pluralName(level.name).toLowerCase() === value ||
+    level.key === value
+  );
+}
@@ -0,0 +1,107 @@
+/* outlineUI.js
+   "Import outline" dialog in the Charter Builder: paste an outline or
+   pick a CSV / text file, see where each line lands and what does not
+   fit the paragraphs (outlineImport.js), then replace the structure
+   with it as one undoable change.
+*/
+
+import { state } from "./state.js";
+import { createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { parseOutline, mapOutline } from "./outlineImport.js";
+import { importStructure } from "./structureLogic.js";
+import { recordChange } from "./commandHistory.js";
+import { getLevels, levelName } from "./levels.js";
+
+export function openOutlineDialog() {
+  const body = createEl('div', { className: 'outline-import' });
+  const levelNames = getLevels(state).map(level => level.name).join(', ');
+
+  body.appendChild(createEl('p', {
+    className: 'muted',
+    text: `One item per line: a reference range and a title, indented one step per level (${levelNames}). ` +
+      'Or CSV with level, reference and title columns.'
+  }));
+
+  const input = createEl('textarea', {
+    className: 'outline-input',
+    attrs: { rows: '10', spellcheck: 'false', placeholder: '1:1–2:11 Prologue\n  1:1–1:18 The Word\n3:1–4:10 Gospel' }
+  });
+
+  const file = createEl('input', { attrs: { type: 'file', accept: '.csv,.txt,text/csv,text/plain' } });
+  file.onchange = async () => {
+    const picked = file.files[0];
+    file.value = '';
+    if (!picked) return;
+    input.value = await picked.text();
+    refresh();
+  };
+
+  const preview = createEl('div', { className: 'outline-preview' });
+  body.append(input, file, preview);
+
+  let mapped = { items: [], issues: [] };
+
+  function refresh() {
+    const parsed = parseOutline(input.value);
+    const placed = mapOutline(state, parsed.entries);
+    mapped = { items: placed.items, issues: [...parsed.issues, ...placed.issues].sort((a, b) => a.line - b.line) };
+
+    preview.innerHTML = '';
+    if (!input.value.trim()) return;
+
+    if (mapped.issues.length) {
+      preview.appendChild(createEl('p', { className: 'outline-issues-heading', text: `Check these lines (${mapped.issues.length})` }));
+      const list = createEl('ul', { className: 'outline-issues' });
+      mapped.issues.forEach(issue => {
+        list.appendChild(createEl('li', { text: `Line ${issue.line}: ${issue.message}` }));
+      });
+      preview.appendChild(list);
+    }
+
+    const table = createEl('table');
+    const head = createEl('tr');
+    ['Level', 'Starts at', 'Title'].forEach(text => head.appendChild(createEl('th', { text })));
+    table.appendChild(head);
+
+    mapped.items.forEach(item => {
+      const tr = createEl('tr');
+      tr.append(
+        createEl('td', { text: levelName(state, item.level) }),
+        createEl('td', { text: state.paragraphs[item.start]?.range || '' }),
+        createEl('td', { text: item.title || '(untitled)' })
+      );
+      table.appendChild(tr);
+    });
+
+    if (mapped.items.length) preview.appendChild(table);
+  }
+
+  input.oninput = refresh;
+
+  openDialog({
+    title: 'Import outline',
+    eyebrow: 'Structure',
+    body,
+    wide: true,
+    actions: [
+      { label: 'Cancel' },
+      {
+        label: 'Replace structure',
+        primary: true,
+        onClick: () => {
+          if (!mapped.items.length) {
+            alert('Nothing to import yet.');
+            return false;
+          }
+          const hasStructure = getLevels(state).some(level => state[level.key].some(item => item.title));
+          if (hasStructure && !confirm('Replace the current structure with this outline? You can undo this.')) return false;
+
+          recordChange('Import outline', () => importStructure(mapped.items));
+        }
+      }
+    ]
+  });
+
+  input.focus();
+}
@@ -0,0 +1,112 @@
+/* paragraphLogic.js
+   Splitting and merging paragraphs at verse boundaries.
+
+   Structure items point at paragraphs by index, so both actions
+   remap every level's paragraphIndexes in the same store update:
+   items keep their titles and notes and stay on the same verses.
+   `range` is recomputed from the verse data (verses.js); `text` is
+   cut from or joined with the paragraphs' own text (splitTextAt).
+*/
+
+import { store, state } from "./state.js";
+import { getLevels, levelKeys } from "./levels.js";
+import { versesInRange, formatRange, textOf, splitTextAt } from "./verses.js";
+
+/**
+ * Verses a paragraph can be split before (all but its first).
+ */
+export function splitPoints(index, verses) {
+  const paragraph = state.paragraphs[index];
+  return paragraph ? versesInRange(verses, paragraph.range).slice(1) : [];
+}
+
+/**
+ * Split paragraph `index` so that a new paragraph starts at `verseRef`.
+ * The first half keeps the title and writing space.
+ */
+export function splitParagraph(index, verseRef, verses) {
+  const paragraph = state.paragraphs[index];
+  const refs = paragraph ? versesInRange(verses, paragraph.range) : [];
+  const at = refs.indexOf(verseRef);
+  if (at < 1) return;
+
+  const before = refs.slice(0, at);
+  const after = refs.slice(at);
+
+  const [firstText, secondText] = splitTextAt(paragraph.text, verses, verseRef) ||
+    [textOf(verses, before), textOf(verses, after)];
+
+  store.update({ type: "structure/split", index }, () => {
+    state.paragraphs.splice(index, 1,
+      { ...paragraph, range: formatRange(before), text: firstText },
+      { range: formatRange(after), title: "", text: secondText, content: "" }
+    );
+    remapIndexes(p => (p > index ? p + 1 : p));
+  });
+}
+
+/**
+ * Why paragraph `index` cannot merge with the next one, or null.
+ * Merging would remove the boundary between them, so no structure
+ * item may start at the next paragraph.
+ */
+export function mergeBlocker(index) {
+  if (index >= state.paragraphs.length - 1) return "This is the last paragraph.";
+
+  for (const level of getLevels(state)) {
+    const item = state[level.key].find(i => Math.min(...i.paragraphIndexes) === index + 1);
+    if (item) {
+      const name = level.name.toLowerCase();
+      return `A ${name} starts at ${state.paragraphs[index + 1].range}; move or delete it first.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Merge paragraph `index` with the next one. Titles, writing
+ * spaces and tags are joined. `verses` may be null when the book has no
+ * verse data; range and text are then joined as they are.
+ */
+export function mergeWithNext(index, verses) {
+  if (mergeBlocker(index)) return;
+
+  const first = state.paragraphs[index];
+  const second = state.paragraphs[index + 1];
+
+  const refs = verses
+    ? [...new Set([...versesInRange(verses, first.range), ...versesInRange(verses, second.range)])]
+    : [];
+
+  const merged = {
+    ...first,
+    range: refs.length ? formatRange(refs) : joinRanges(first.range, second.range),
+    text: [first.text, second.text].filter(Boolean).join(" "),
+    title: [first.title, second.title].filter(Boolean).join(" / "),
+    ...(first.tags || second.tags ? { tags: mergeTags(first.tags, second.tags) } : {}),
+    content: [first.content, second.content].filter(Boolean).join("<br>")
+  };
+
+  store.update({ type: "structure/merge", index }, () => {
+    state.paragraphs.splice(index, 2, merged);
+    remapIndexes(p => (p > index ? p - 1 : p));
+  });
+}
+
+function mergeTags(a = [], b = []) {
+  return [...a, ...b.filter(tag => !a.some(t => t.toLowerCase() === tag.toLowerCase()))];
+}
+
+function joinRanges(a, b) {
+  const start = a.split("–")[0];
+  const end = b.split("–").pop();
+  return start === end ? start : `${start}–${end}`;
+}
+
+function remapIndexes(map) {
+  levelKeys(state).forEach(key => {
+    state[key].forEach(item => {
+      item.paragraphIndexes = [...new Set(item.paragraphIndexes.map(map))];
+    });
+  });
+}
@@ -1,11 +1,31 @@
 /* paragraphUI.js
-   Renders paragraph rows
+   Renders paragraph rows.
+   Items starting at a paragraph show as markers that can be
+   dragged to another paragraph to move the boundary.
+   Markers and add buttons use the first letter of each level's name.
+   Paragraphs can be split at a verse or merged with the next one
+   (see paragraphLogic.js), and selected for bulk actions
+   (see selectionUI.js). Tags are edited under each row (see tagUI.js).
 */
 
-import { state } from "./state.js";
+import { store, state } from "./state.js";
 import { getById, createEl } from "./domUtils.js";
-import { addDivision, addSection, addSegment } from "./structureLogic.js";
-import { renderStructure } from "./structureUI.js";
+import { addItem, moveBoundary, allowedStarts } from "./structureLogic.js";
+import { recordChange } from "./commandHistory.js";
+import { getLevels, levelTier } from "./levels.js";
+import { splitPoints, splitParagraph, mergeBlocker, mergeWithNext } from "./paragraphLogic.js";
+import { loadVerses } from "./verses.js";
+import { translationOf } from "./translations.js";
+import { openDialog } from "./dialog.js";
+import { isSelected, toggleSelection, syncSelection } from "./selectionUI.js";
+import { renderTagEditor, applyTagFilter } from "./tagUI.js";
+
+// Boundary being dragged: { level, id, type, allowed: Set }
+let dragging = null;
+
+function levelLetter(level) {
+  return (level.name.trim()[0] || '?').toUpperCase();
+}
 
 export function renderParagraphRows() {
   const container = getById('paragraphRows');
@@ -15,10 +35,19 @@ export function renderParagraphRows() {
   state.paragraphs.forEach((p, i) => {
     const row = createEl('div', { className: 'paragraph-row compact' });
 
+    const select = createEl('input', {
+      className: 'paragraph-select',
+      attrs: { type: 'checkbox', 'aria-label': `Select ${p.range}`, title: 'Select (shift-click for a range)' }
+    });
+    select.checked = isSelected(i);
+    select.onclick = e => toggleSelection(i, select.checked, e.shiftKey);
+
     const range = createEl('div', {
       className: 'verse-label small',
       text: p.range
     });
+    range.prepend(select);
+    range.append(...renderMarkers(i));
 
     const editorRow = createEl('div', { className: 'paragraph-editor' });
 
@@ -27,7 +56,11 @@ export function renderParagraphRows() {
       attrs: { placeholder: 'Paragraph title' }
     });
     title.value = p.title || '';
-    title.oninput = e => (p.title = e.target.value);
+    title.oninput = e => recordChange(
+      'Edit paragraph title',
+      () => store.setParagraphField(i, 'title', e.target.value),
+      { mergeKey: `paragraph:${i}:title` }
+    );
 
     const show = createEl('button', {
       className: 'btn small compact-btn',
@@ -44,25 +77,163 @@ export function renderParagraphRows() {
       text.style.display = text.style.display === 'none' ? 'block' : 'none';
     };
 
-    editorRow.append(title, show);
+    const split = createEl('button', {
+      className: 'btn small compact-btn',
+      text: '✂',
+      attrs: { title: 'Split at a verse' }
+    });
+    split.onclick = () => openSplitDialog(i);
+
+    const blocker = mergeBlocker(i);
+    const merge = createEl('button', {
+      className: 'btn small compact-btn',
+      text: '⤵',
+      attrs: { title: blocker ? `Merge with next — ${blocker}` : 'Merge with next' }
+    });
+    merge.disabled = !!blocker;
+    merge.onclick = async () => {
+      const verses = await loadVerses(state.book, translationOf(state));
+      recordChange('Merge paragraphs', () => mergeWithNext(i, verses));
+    };
+
+    editorRow.append(title, show, split, merge);
 
-    [
-      ['D', () => addDivision(i)],
-      ['S', () => addSection(i)],
-      ['G', () => addSegment(i)]
-    ].forEach(([label, fn]) => {
+    getLevels(state).forEach(level => {
+      const command = `Add ${level.name.toLowerCase()}`;
       const btn = createEl('button', {
         className: 'btn small compact-btn',
-        text: label
+        text: levelLetter(level),
+        attrs: { title: command }
       });
-      btn.onclick = () => {
-        fn();
-        renderStructure();
-      };
+      btn.onclick = () => recordChange(command, () => addItem(level.key, i));
       editorRow.appendChild(btn);
     });
 
-    row.append(range, editorRow, text);
+    row.append(range, editorRow, renderTagEditor(i), text);
+    enableDrop(row, i);
     container.appendChild(row);
   });
+
+  syncSelection();
+  applyTagFilter();
+}
+
+/**
+ * Scroll a paragraph row into view and flash it.
+ */
+export function jumpToParagraph(index) {
+  const row = document.querySelectorAll('#paragraphRows .paragraph-row')[index];
+  if (!row) return;
+
+  row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  row.classList.remove('flash');
+  void row.offsetWidth; // restart the animation
+  row.classList.add('flash');
+}
+
+async function openSplitDialog(index) {
+  const verses = await loadVerses(state.book, translationOf(state));
+  if (!verses) {
+    alert(`No verse data is available for ${state.book || 'this book'}.`);
+    return;
+  }
+
+  const points = splitPoints(index, verses);
+  if (!points.length) {
+    alert('This paragraph has only one verse.');
+    return;
+  }
+
+  const select = createEl('select', { attrs: { 'aria-label': 'First verse of the new paragraph' } });
+  points.forEach(ref => {
+    const option = createEl('option', { text: ref });
+    option.value = ref;
+    select.appendChild(option);
+  });
+
+  const body = createEl('div');
+  body.append(
+    createEl('p', { text: `Start a new paragraph in ${state.paragraphs[index].range} at verse:` }),
+    select
+  );
+
+  openDialog({
+    title: 'Split paragraph',
+    eyebrow: 'Paragraphs',
+    body,
+    actions: [
+      { label: 'Cancel' },
+      {
+        label: 'Split',
+        primary: true,
+        onClick: () => recordChange('Split paragraph', () => splitParagraph(index, select.value, verses))
+      }
+    ]
+  });
+}
+
+function renderMarkers(index) {
+  const markers = [];
+
+  getLevels(state).forEach(({ key: level, name }) => {
+    const item = state[level].find(s => s.paragraphIndexes[0] === index);
+    if (!item) return;
+
+    const type = name.toLowerCase();
+    const movable = allowedStarts(level, item.id).length > 1;
+    const marker = createEl('span', {
+      className: `boundary-marker ${levelTier(state, level)}-marker`,
+      text: levelLetter({ name }),
+      attrs: {
+        title: movable
+          ? `${item.title || type} — drag to move where this ${type} starts`
+          : `${item.title || type} starts here`,
+        draggable: movable ? 'true' : 'false'
+      }
+    });
+
+    if (movable) {
+      marker.addEventListener('dragstart', e => {
+        dragging = { level, id: item.id, type, allowed: new Set(allowedStarts(level, item.id)) };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', `${level}:${item.id}`);
+        getById('paragraphRows')?.classList.add('dragging-boundary');
+        document.querySelectorAll('.paragraph-row').forEach((row, i) => {
+          row.classList.toggle('drop-allowed', dragging.allowed.has(i) && i !== index);
+        });
+      });
+      marker.addEventListener('dragend', endDrag);
+    }
+
+    markers.push(marker);
+  });
+
+  return markers;
+}
+
+function enableDrop(row, index) {
+  row.addEventListener('dragover', e => {
+    if (!dragging?.allowed.has(index)) return;
+    e.preventDefault();
+    row.classList.add('drop-target');
+  });
+
+  row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+
+  row.addEventListener('drop', e => {
+    if (!dragging?.allowed.has(index)) return;
+    e.preventDefault();
+
+    const { level, id, type } = dragging;
+    endDrag();
+    recordChange(`Move ${type}`, () => moveBoundary(level, id, index));
+  });
+}
+
+function endDrag() {
+  dragging = null;
+  getById('paragraphRows')?.classList.remove('dragging-boundary');
+  document.querySelectorAll('.paragraph-row').forEach(row => {
+    row.classList.remove('drop-allowed', 'drop-target');
+  });
 }
@@ -1,51 +1,48 @@
 // Chart Editor - editable book structure chart
 
-import { loadBook } from "./storage.js";
+import { loadBook, saveBook } from "./storage.js";
 import { exportWord } from "./exportWord.js";
-
-// Current book state (loaded from storage)
-let bookState = null;
+import { takeSnapshot } from "./versionHistory.js";
+import { openHistoryPanel } from "./historyUI.js";
+import { showMigrationWarnings } from "./migrationNotice.js";
+import { initSync, scheduleEditBroadcast } from "./sync.js";
+import { promptConflicts } from "./conflictUI.js";
+import { createStore } from "./state.js";
+import { reportSaveFailure, clearSaveFailure } from "./saveFailureUI.js";
+import { BOTTOM_LEVEL, getLevels, levelName, overviewRows } from "./levels.js";
+import { loadVerses } from "./verses.js";
+import { tagsOf } from "./tags.js";
+import { getTranslation, translationOf } from "./translations.js";
+import { fillTranslationSelect, loadTranslation, confirmRoundTrip } from "./translationUI.js";
+import { roundTripLosses } from "./verseAnchors.js";
+import { applyTranslation } from "./structureLogic.js";
+import { registerImportedTranslations } from "./importedTexts.js";
+import { parseReference, formatReference, lookupPassage, paragraphSpanLabel, normalizeReferences } from "./references.js";
+
+// Current book state (loaded from storage); written only through `editor` actions
+const editor = createStore();
+const bookState = editor.state;
 let isDirty = false;
 let currentEditableElement = null;
 
-// Verse lookup map: "chapter:verse" → text
-let verseMap = null;
+// Verse data for the key verse lookup (see verses.js)
+let verses = null;
 
-// Load raw verse data and build a lookup map
-async function loadVerseMap(bookId) {
-  const path = `Books/raw/${encodeURIComponent(bookId)}.json`;
-  try {
-    const res = await fetch(path);
-    if (!res.ok) return null;
-    const raw = await res.json();
-    const map = new Map();
-    for (const entry of raw) {
-      if (entry.h) continue; // skip headers
-      // Reference format: "esv:BookName:Chapter:Verse"
-      const parts = entry.r.split(":");
-      if (parts.length >= 4) {
-        const chapter = parts[2];
-        const verse = parts[3];
-        if (verse === "0") continue; // skip chapter-level entries
-        const ref = `${chapter}:${verse}`;
-        // Strip *p paragraph markers from text
-        const text = (entry.t || "").replace(/\*p\s*/g, "");
-        map.set(ref, text);
-      }
-    }
-    return map;
-  } catch (err) {
-    console.error("Error loading raw verse data:", err);
-    return null;
-  }
+// Look up the key verse or passage (a range or list of verses)
+function lookupKeyVerse(keyVerse) {
+  return keyVerse ? lookupPassage(keyVerse, bookState.book, verses) : null;
 }
 
-// Look up a key verse reference and return { found, text }
-function lookupKeyVerse(keyVerse) {
-  if (!keyVerse || !verseMap) return { found: false, text: "" };
-  const text = verseMap.get(keyVerse);
-  if (text) return { found: true, text };
-  return { found: false, text: "" };
+// The passage's text with verse numbers as superscripts
+function passageHtml(passage) {
+  const text = passage.verses
+    .map(v => `<sup class="verse-number">${safeText(v.number)}</sup>${safeText(v.text)}`)
+    .join(" ");
+  return `"${text}"`;
+}
+
+function keyVerseLabel(passage) {
+  return passage?.verses.length > 1 ? "Key passage:" : "Key verse:";
 }
 
 // Update the key verse text display in the overview page
@@ -53,17 +50,20 @@ function updateKeyVerseDisplay() {
   const textEl = document.getElementById("keyVerseText");
   if (!textEl) return;
   const keyVerse = bookState.keyVerse || "";
+  const passage = lookupKeyVerse(keyVerse);
+  const label = document.getElementById("keyVerseLabel");
+  if (label) label.textContent = keyVerseLabel(passage);
+
   if (!keyVerse) {
     textEl.textContent = "";
     textEl.className = "key-verse-text";
     return;
   }
-  const result = lookupKeyVerse(keyVerse);
-  if (result.found) {
-    textEl.textContent = `"${result.text}"`;
+  if (passage) {
+    textEl.innerHTML = passageHtml(passage);
     textEl.className = "key-verse-text found";
   } else {
-    textEl.textContent = `Verse ${keyVerse} not found in this book`;
+    textEl.textContent = `${keyVerse} not found in this book`;
     textEl.className = "key-verse-text not-found";
   }
 }
@@ -253,7 +253,6 @@ function initFormatToolbar() {
       } else {
         document.execCommand('formatBlock', false, 'div');
       }
-      markDirty();
       e.target.value = ''; // Reset to show placeholder
     });
   }
@@ -269,7 +268,6 @@ function initFormatToolbar() {
       if (value) {
         document.execCommand('fontSize', false, value);
       }
-      markDirty();
       e.target.value = ''; // Reset to show placeholder
     });
   }
@@ -315,7 +313,6 @@ function initFormatToolbar() {
         currentEditableElement.focus();
       }
       document.execCommand(cmd, false, null);
-      markDirty();
       updateToolbarState();
     }
   });
@@ -340,19 +337,16 @@ function initFormatToolbar() {
         case 'b':
           e.preventDefault();
           document.execCommand('bold', false, null);
-          markDirty();
           updateToolbarState();
           break;
         case 'i':
           e.preventDefault();
           document.execCommand('italic', false, null);
-          markDirty();
           updateToolbarState();
           break;
         case 'u':
           e.preventDefault();
           document.execCommand('underline', false, null);
-          markDirty();
           updateToolbarState();
           break;
       }
@@ -373,7 +367,6 @@ function applyTextColor(color) {
   if (colorBar) {
     colorBar.style.backgroundColor = color;
   }
-  markDirty();
 }
 
 function updateToolbarState() {
@@ -408,7 +401,6 @@ function applyHighlight(color) {
     };
     document.execCommand('hiliteColor', false, colorMap[color] || color);
   }
-  markDirty();
 }
 
 // Helper functions
@@ -484,6 +476,13 @@ function sanitizeHtml(html) {
   return temp.innerHTML.trim();
 }
 
+// Paragraph tags (see tags.js), read-only here
+function tagChips(para) {
+  const tags = tagsOf(para);
+  if (!tags.length) return "";
+  return `<span class="tag-chips">${tags.map(tag => `<span class="tag-chip">${safeText(tag)}</span>`).join("")}</span>`;
+}
+
 function computeSegStart(seg) {
   return Math.min(...seg.paragraphIndexes);
 }
@@ -497,16 +496,6 @@ function computeSegEnd(seg, segmentsSorted, totalParagraphs) {
   return totalParagraphs - 1;
 }
 
-function humanRangeFromIdx(startIdx, endIdx, paragraphs) {
-  const startPara = paragraphs[startIdx];
-  const endPara = paragraphs[endIdx];
-  if (!startPara || !endPara) return "";
-  const startRange = startPara.range || "";
-  const endRange = endPara.range || "";
-  if (startRange === endRange) return startRange;
-  return `${startRange}–${endRange}`;
-}
-
 // Mark as dirty (unsaved changes)
 function markDirty() {
   isDirty = true;
@@ -534,34 +523,27 @@ function updateSaveStatus() {
 }
 
 // Save book to storage
-function saveBook() {
+async function saveChart() {
   if (!bookState || !bookState.bookId) return;
 
-  const bookKey = bookState.bookId;
-  const index = JSON.parse(localStorage.getItem("bookIndex")) || {};
-
-  const data = {
-    bookId: bookKey,
-    bookName: bookState.bookName || "",
-    bookTitle: bookState.bookTitle || bookState.bookName,
-    keyVerse: bookState.keyVerse || "",
-    paragraphs: bookState.paragraphs || [],
-    divisions: bookState.divisions || [],
-    sections: bookState.sections || [],
-    segments: bookState.segments || [],
-    lastModified: Date.now()
-  };
-
-  localStorage.setItem(bookKey, JSON.stringify(data));
-
-  index[bookKey] = {
-    bookTitle: data.bookTitle,
-    lastModified: data.lastModified
-  };
-  localStorage.setItem("bookIndex", JSON.stringify(index));
+  let saved;
+  try {
+    saved = await saveBook(bookState);
+  } catch (err) {
+    reportSaveFailure(err, { retry: saveChart, getBook: () => bookState });
+    return;
+  }
 
   markClean();
-  console.log("Book saved:", bookKey);
+  clearSaveFailure();
+
+  try {
+    await takeSnapshot(saved, "manual");
+  } catch (err) {
+    console.warn("History snapshot failed:", err);
+  }
+
+  console.log("Book saved:", bookState.bookId);
 }
 
 // Main initialization
@@ -575,18 +557,20 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
 
   // Load book from storage
-  bookState = loadBook(bookId);
+  await registerImportedTranslations();
+  const loaded = await loadBook(bookId);
 
-  if (!bookState) {
+  if (!loaded) {
     showError(`Book "${bookId}" not found. Please go back to the library.`);
     return;
   }
 
   // Load raw verse data for key verse lookup
-  verseMap = await loadVerseMap(bookId);
+  verses = await loadVerses(loaded.book, translationOf(loaded));
 
   // Update page title
-  document.title = `${bookState.bookName || "Book"} — Chart Editor`;
+  const chartSuffix = loaded.chartName ? ` (${loaded.chartName})` : "";
+  document.title = `${loaded.bookName || "Book"}${chartSuffix} — Chart Editor`;
 
   // Update back link
   const backLink = document.getElementById("backToBookLink");
@@ -597,18 +581,87 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Initialize formatting toolbar
   initFormatToolbar();
 
+  // Dirty tracking, tab sync and rendering follow store changes.
+  // Cell edits are already on screen, so only whole-chart changes re-render.
+  editor.subscribe(change => {
+    if (change.type.startsWith("chart/") || change.type === "structure/translation") {
+      renderPreview();
+      fillTranslationSelect(document.getElementById("translationSelect"), bookState);
+    }
+    if (change.persist) {
+      markDirty();
+      scheduleEditBroadcast(bookState);
+    }
+  });
+
   // Render the preview
-  renderPreview();
+  editor.load(loaded);
 
   // Setup button handlers
   document.getElementById("printBtn").onclick = () => window.print();
-  document.getElementById("exportWordBtn").onclick = () => exportWord(bookState);
-  document.getElementById("saveBtn").onclick = saveBook;
+  document.getElementById("exportWordBtn").onclick = () => exportWord(bookState, verses);
+  document.getElementById("saveBtn").onclick = saveChart;
+  document.getElementById("translationSelect").onchange = e => changeTranslation(e.target.value);
+  document.getElementById("historyBtn").onclick = () => openHistoryPanel({
+    bookId: bookState.bookId,
+    hasUnsavedChanges: () => isDirty,
+    onRestored: () => window.location.reload()
+  });
 
   // Initial save status
   markClean();
+
+  // Pick up edits made to this chart in other tabs (e.g. the Charter Builder)
+  initSync({
+    getBook: () => bookState,
+    applyBook: remote => {
+      editor.load(remote, "chart/sync");
+      // The other tab may have switched translation
+      loadVerses(remote.book, translationOf(remote)).then(data => {
+        verses = data;
+        updateKeyVerseDisplay();
+      });
+    },
+    resolveConflicts: promptConflicts,
+    onInSyncWithSaved: markClean
+  });
+
+  showMigrationWarnings(bookState);
 });
 
+// Read the chart in another translation, keeping structure and
+// notes on their verses (see verseAnchors.js)
+async function changeTranslation(id) {
+  const select = document.getElementById("translationSelect");
+  const translation = getTranslation(id);
+
+  if (!confirm(`Read this chart in ${translation.name}? Paragraph text is replaced; titles and notes stay on their verses.`)) {
+    select.value = translationOf(bookState);
+    return;
+  }
+
+  let loaded = null;
+  try {
+    loaded = await loadTranslation(id, bookState.book);
+  } catch (err) {
+    console.error("Loading translation failed:", err);
+  }
+  if (!loaded) {
+    alert(`${translation.name} has no text for ${bookState.book}.`);
+    select.value = translationOf(bookState);
+    return;
+  }
+  if (!confirmRoundTrip(translation, roundTripLosses(bookState, loaded.paragraphs, loaded.verses, verses))) {
+    select.value = translationOf(bookState);
+    return;
+  }
+
+  verses = loaded.verses;
+  const report = applyTranslation(id, loaded.paragraphs, loaded.verses, editor);
+
+  if (report.length) alert(`Switched to ${translation.name}.\n\n${report.join("\n")}`);
+}
+
 function showError(message) {
   document.getElementById("previewContent").innerHTML = `
     <div class="preview-page">
@@ -631,198 +684,111 @@ function renderPreview() {
 }
 
 function setupEditableListeners() {
-  // Key verse editing
-  const keyVerseEl = document.querySelector('[data-field="keyVerse"]');
-  if (keyVerseEl) {
-    keyVerseEl.addEventListener("blur", () => {
-      bookState.keyVerse = keyVerseEl.textContent.trim();
-      markDirty();
-      updateKeyVerseDisplay();
-    });
-  }
-
-  // Division title editing
-  document.querySelectorAll('[data-type="division"]').forEach(el => {
-    el.addEventListener("blur", () => {
-      const divId = parseInt(el.dataset.id);
-      const division = bookState.divisions.find(d => d.id === divId);
-      if (division) {
-        division.title = el.textContent.trim();
-        markDirty();
-      }
-    });
-  });
-
-  // Section title editing
-  document.querySelectorAll('[data-type="section"]').forEach(el => {
-    el.addEventListener("blur", () => {
-      const secId = parseInt(el.dataset.id);
-      const section = bookState.sections.find(s => s.id === secId);
-      if (section) {
-        section.title = el.textContent.trim();
-        markDirty();
-      }
-    });
-  });
-
-  // Segment title editing (overview table)
-  document.querySelectorAll('[data-type="segment"]').forEach(el => {
+  document.querySelectorAll('[contenteditable="true"][data-type], [data-field="keyVerse"]').forEach(el => {
+    // Typing and toolbar formatting both fire "input"
+    el.addEventListener("input", () => commitEditable(el));
     el.addEventListener("blur", () => {
-      const segId = parseInt(el.dataset.id);
-      const segment = bookState.segments.find(s => s.id === segId);
-      if (segment) {
-        segment.title = el.textContent.trim();
-        markDirty();
-        // Also update the segment header on segment pages
-        updateSegmentHeaders(segId, segment.title);
-      }
+      normalizeReferencesIn(el);
+      commitEditable(el);
+      if (el.dataset.field === "keyVerse") updateKeyVerseDisplay();
     });
   });
 
-  // Segment header editing (on segment pages)
-  document.querySelectorAll('[data-type="segment-header"]').forEach(el => {
-    el.addEventListener("blur", () => {
-      const segId = parseInt(el.dataset.id);
-      const segment = bookState.segments.find(s => s.id === segId);
-      if (segment) {
-        segment.title = el.textContent.trim();
-        markDirty();
-        // Also update the overview table
-        updateOverviewSegment(segId, segment.title);
-      }
-    });
-  });
-
-  // Paragraph title editing
+  // Clear paragraph title placeholder on focus
   document.querySelectorAll('[data-type="para-title"]').forEach(el => {
-    el.addEventListener("blur", () => {
-      const idx = parseInt(el.dataset.idx);
-      if (bookState.paragraphs[idx]) {
-        const newTitle = el.textContent.trim();
-        // Clear placeholder text if user didn't type anything
-        if (newTitle === "(click to add title)") {
-          bookState.paragraphs[idx].title = "";
-        } else {
-          bookState.paragraphs[idx].title = newTitle;
-        }
-        markDirty();
-      }
-    });
-    // Clear placeholder on focus
     el.addEventListener("focus", () => {
       if (el.textContent.trim() === "(click to add title)") {
         el.textContent = "";
       }
     });
   });
+}
 
-  // Paragraph content (writing space) editing - supports HTML formatting
-  document.querySelectorAll('[data-type="para-content"]').forEach(el => {
-    el.addEventListener("blur", () => {
-      const idx = parseInt(el.dataset.idx);
-      if (bookState.paragraphs[idx]) {
-        bookState.paragraphs[idx].content = sanitizeHtml(el.innerHTML);
-        markDirty();
-      }
-    });
-  });
+// Write references typed in a cell in the standard form
+// (references.js): the key verse as a whole, notes wherever a book
+// name and chapter:verse appear
+function normalizeReferencesIn(el) {
+  if (el.dataset.field === "keyVerse") {
+    const ref = parseReference(el.textContent.trim(), { book: bookState.book });
+    if (ref) el.textContent = formatReference(ref, { book: bookState.book });
+    return;
+  }
+  if (!["para-content", "seg-left", "seg-right"].includes(el.dataset.type)) return;
 
-  // Segment left column notes editing - supports HTML formatting
-  document.querySelectorAll('[data-type="seg-left"]').forEach(el => {
-    el.addEventListener("blur", () => {
-      const segId = parseInt(el.dataset.id);
-      const segment = bookState.segments.find(s => s.id === segId);
-      if (segment) {
-        segment.leftNote = sanitizeHtml(el.innerHTML);
-        markDirty();
-      }
-    });
-  });
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const text = normalizeReferences(node.nodeValue);
+    if (text !== node.nodeValue) node.nodeValue = text;
+  }
+}
 
-  // Segment right column notes editing - supports HTML formatting
-  document.querySelectorAll('[data-type="seg-right"]').forEach(el => {
-    el.addEventListener("blur", () => {
-      const segId = parseInt(el.dataset.id);
-      const segment = bookState.segments.find(s => s.id === segId);
-      if (segment) {
-        segment.rightNote = sanitizeHtml(el.innerHTML);
-        markDirty();
-      }
-    });
-  });
+// Write an edited cell back to the store
+function commitEditable(el) {
+  const id = parseInt(el.dataset.id);
+  const idx = parseInt(el.dataset.idx);
+  const text = el.textContent.trim();
+
+  if (el.dataset.field === "keyVerse") {
+    editor.setField("keyVerse", text);
+    return;
+  }
+
+  switch (el.dataset.type) {
+    case "item":
+      // A cell of a higher level in the overview table
+      editor.setItemField(el.dataset.level, id, "title", text);
+      break;
+    case "segment":
+      editor.setItemField("segments", id, "title", text);
+      // Also update the segment header on segment pages
+      updateSegmentHeaders(id, text);
+      break;
+    case "segment-header":
+      editor.setItemField("segments", id, "title", text);
+      // Also update the overview table
+      updateOverviewSegment(id, text);
+      break;
+    case "para-title":
+      // Ignore the placeholder if the user didn't type anything
+      editor.setParagraphField(idx, "title", text === "(click to add title)" ? "" : text);
+      break;
+    case "para-content":
+      // Writing space supports HTML formatting
+      editor.setParagraphField(idx, "content", sanitizeHtml(el.innerHTML));
+      break;
+    case "seg-left":
+      editor.setItemField("segments", id, "leftNote", sanitizeHtml(el.innerHTML));
+      break;
+    case "seg-right":
+      editor.setItemField("segments", id, "rightNote", sanitizeHtml(el.innerHTML));
+      break;
+  }
 }
 
 // Helper to sync segment title from overview table to segment page headers
 function updateSegmentHeaders(segId, title) {
   document.querySelectorAll(`[data-type="segment-header"][data-id="${segId}"]`).forEach(el => {
-    el.textContent = title || `Segment ${segId}`;
+    el.textContent = title || `${levelName(bookState, BOTTOM_LEVEL)} ${segId}`;
   });
 }
 
 // Helper to sync segment title from segment page header to overview table
 function updateOverviewSegment(segId, title) {
   document.querySelectorAll(`[data-type="segment"][data-id="${segId}"]`).forEach(el => {
-    el.textContent = title || `Segment ${segId}`;
+    el.textContent = title || `${levelName(bookState, BOTTOM_LEVEL)} ${segId}`;
   });
 }
 
 function buildOverviewPage() {
   const paragraphs = bookState.paragraphs || [];
-  const totalParagraphs = paragraphs.length;
-
-  const segmentsSorted = [...bookState.segments]
-    .sort((a, b) => computeSegStart(a) - computeSegStart(b));
-
-  const divisionsSorted = [...bookState.divisions].sort((a, b) => {
-    const aStart = Math.min(...a.paragraphIndexes);
-    const bStart = Math.min(...b.paragraphIndexes);
-    return aStart - bStart;
-  });
-
-  const sectionsSorted = [...bookState.sections].sort((a, b) => {
-    const aStart = Math.min(...a.paragraphIndexes);
-    const bStart = Math.min(...b.paragraphIndexes);
-    return aStart - bStart;
-  });
-
-  function findDivisionForSegment(segStart) {
-    let result = null;
-    for (const div of divisionsSorted) {
-      const divStart = Math.min(...div.paragraphIndexes);
-      if (divStart <= segStart) {
-        result = div;
-      } else {
-        break;
-      }
-    }
-    return result;
-  }
-
-  function findSectionForSegment(segStart) {
-    let result = null;
-    for (const sec of sectionsSorted) {
-      const secStart = Math.min(...sec.paragraphIndexes);
-      if (secStart <= segStart) {
-        result = sec;
-      } else {
-        break;
-      }
-    }
-    return result;
-  }
-
-  const getDivStart = (div) => div ? Math.min(...div.paragraphIndexes) : -1;
-  const getSecStart = (sec) => sec ? Math.min(...sec.paragraphIndexes) : -1;
+  const levels = getLevels(bookState);
+  const bottom = levels[levels.length - 1];
 
   // Pre-calculate row data with paragraph counts for height calculation
-  const rowData = segmentsSorted.map(seg => {
-    const segStart = computeSegStart(seg);
-    const segEnd = computeSegEnd(seg, segmentsSorted, totalParagraphs);
-    const sec = findSectionForSegment(segStart);
-    const div = findDivisionForSegment(segStart);
-    const paragraphCount = segEnd - segStart + 1;
-    return { seg, sec, div, divStart: getDivStart(div), secStart: getSecStart(sec), paragraphCount };
-  });
+  const rowData = overviewRows(bookState).map(row => ({
+    ...row,
+    paragraphCount: row.end - row.start + 1
+  }));
 
   // Calculate height scaling to fit on A4 page
   const heightPerParagraph = 25;
@@ -838,61 +804,47 @@ function buildOverviewPage() {
     ? (maxTableHeight - headerHeight) / (totalNaturalHeight - headerHeight)
     : 1.0;
 
-  // Calculate rowspans
+  // Calculate rowspans: a higher-level cell spans the rows that share its start
   const rowMeta = rowData.map((row, idx) => {
     const prevRow = idx > 0 ? rowData[idx - 1] : null;
-    const isNewDiv = !prevRow || (row.divStart !== prevRow.divStart);
-    const isNewSec = !prevRow || (row.secStart !== prevRow.secStart);
-
-    let divRowspan = 1;
-    if (isNewDiv) {
-      for (let j = idx + 1; j < rowData.length; j++) {
-        if (rowData[j].divStart === row.divStart) divRowspan++;
-        else break;
-      }
-    }
 
-    let secRowspan = 1;
-    if (isNewSec) {
-      for (let j = idx + 1; j < rowData.length; j++) {
-        if (rowData[j].secStart === row.secStart) secRowspan++;
-        else break;
+    return row.containers.map((cell, col) => {
+      const isNew = !prevRow || cell.start !== prevRow.containers[col].start;
+
+      let rowspan = 1;
+      if (isNew) {
+        for (let j = idx + 1; j < rowData.length; j++) {
+          if (rowData[j].containers[col].start === cell.start) rowspan++;
+          else break;
+        }
       }
-    }
 
-    return { isNewDiv, isNewSec, divRowspan, secRowspan };
+      return { isNew, rowspan };
+    });
   });
 
   // Build table rows with editable cells
   let tableRows = "";
   rowData.forEach((row, idx) => {
-    const { seg, sec, div, paragraphCount } = row;
-    const { isNewDiv, isNewSec, divRowspan, secRowspan } = rowMeta[idx];
-
-    const segStart = computeSegStart(seg);
-    const segEnd = computeSegEnd(seg, segmentsSorted, totalParagraphs);
-    const range = humanRangeFromIdx(segStart, segEnd, paragraphs);
+    const { item: seg, start, end, containers, paragraphCount } = row;
+    const range = paragraphSpanLabel(paragraphs, start, end);
 
     const naturalHeight = Math.max(minRowHeight, paragraphCount * heightPerParagraph);
     const rowHeight = Math.round(naturalHeight * heightScale);
 
     tableRows += `<tr style="height: ${rowHeight}px;">`;
 
-    if (isNewDiv) {
-      const divTitle = div?.title || `Division ${div?.id}`;
-      tableRows += `<td rowspan="${divRowspan}">
-        <strong contenteditable="true" data-type="division" data-id="${div?.id}">${safeText(divTitle)}</strong>
-      </td>`;
-    }
+    containers.forEach((cell, col) => {
+      const { isNew, rowspan } = rowMeta[idx][col];
+      if (!isNew) return;
 
-    if (isNewSec) {
-      const secTitle = sec?.title || `Section ${sec?.id}`;
-      tableRows += `<td rowspan="${secRowspan}">
-        <strong contenteditable="true" data-type="section" data-id="${sec?.id}">${safeText(secTitle)}</strong>
+      const title = cell.item?.title || `${cell.level.name} ${cell.item?.id}`;
+      tableRows += `<td rowspan="${rowspan}">
+        <strong contenteditable="true" data-type="item" data-level="${cell.level.key}" data-id="${cell.item?.id}">${safeText(title)}</strong>
       </td>`;
-    }
+    });
 
-    const segTitle = seg.title || `Segment ${seg.id}`;
+    const segTitle = seg.title || `${bottom.name} ${seg.id}`;
     tableRows += `
       <td>
         <strong contenteditable="true" data-type="segment" data-id="${seg.id}">${safeText(segTitle)}</strong>
@@ -904,13 +856,13 @@ function buildOverviewPage() {
   });
 
   const keyVerse = bookState.keyVerse || "";
-  const verseResult = lookupKeyVerse(keyVerse);
+  const passage = lookupKeyVerse(keyVerse);
   let verseTextHtml = "";
   if (keyVerse) {
-    if (verseResult.found) {
-      verseTextHtml = `<div id="keyVerseText" class="key-verse-text found">"${safeText(verseResult.text)}"</div>`;
+    if (passage) {
+      verseTextHtml = `<div id="keyVerseText" class="key-verse-text found">${passageHtml(passage)}</div>`;
     } else {
-      verseTextHtml = `<div id="keyVerseText" class="key-verse-text not-found">Verse ${safeText(keyVerse)} not found in this book</div>`;
+      verseTextHtml = `<div id="keyVerseText" class="key-verse-text not-found">${safeText(keyVerse)} not found in this book</div>`;
     }
   } else {
     verseTextHtml = `<div id="keyVerseText" class="key-verse-text"></div>`;
@@ -921,16 +873,14 @@ function buildOverviewPage() {
       <h1 class="preview-title">${safeText(bookState.bookName)} - Structure Overview</h1>
 
       <div class="preview-key-verse">
-        <strong>Key verse:</strong> <em contenteditable="true" data-field="keyVerse">${safeText(keyVerse)}</em>
+        <strong id="keyVerseLabel">${keyVerseLabel(passage)}</strong> <em contenteditable="true" data-field="keyVerse">${safeText(keyVerse)}</em>
       </div>
       ${verseTextHtml}
 
       <table class="preview-table">
         <thead>
           <tr>
-            <th>Division</th>
-            <th>Section</th>
-            <th>Segment</th>
+            ${levels.map(level => `<th>${safeText(level.name)}</th>`).join("")}
           </tr>
         </thead>
         <tbody>
@@ -953,7 +903,7 @@ function buildSegmentPages() {
   segmentsSorted.forEach(seg => {
     const segStart = computeSegStart(seg);
     const segEnd = computeSegEnd(seg, segmentsSorted, totalParagraphs);
-    const range = humanRangeFromIdx(segStart, segEnd, paragraphs);
+    const range = paragraphSpanLabel(paragraphs, segStart, segEnd);
 
     // Count total rows needed (2 rows per paragraph: header + writing space)
     let paraCount = 0;
@@ -982,7 +932,7 @@ function buildSegmentPages() {
           <tr>
             <td class="side-col" rowspan="${totalRows}" contenteditable="true" data-type="seg-left" data-id="${seg.id}">${leftNote}</td>
             <td class="header-row">
-              <strong>${para.range}</strong> — <span contenteditable="true" data-type="para-title" data-idx="${i}">${safeText(paraTitle) || "(click to add title)"}</span>
+              <strong>${paragraphSpanLabel(paragraphs, i)}</strong> — <span contenteditable="true" data-type="para-title" data-idx="${i}">${safeText(paraTitle) || "(click to add title)"}</span>${tagChips(para)}
             </td>
             <td class="side-col" rowspan="${totalRows}" contenteditable="true" data-type="seg-right" data-id="${seg.id}">${rightNote}</td>
           </tr>
@@ -995,7 +945,7 @@ function buildSegmentPages() {
         rows += `
           <tr>
             <td class="header-row">
-              <strong>${para.range}</strong> — <span contenteditable="true" data-type="para-title" data-idx="${i}">${safeText(paraTitle) || "(click to add title)"}</span>
+              <strong>${paragraphSpanLabel(paragraphs, i)}</strong> — <span contenteditable="true" data-type="para-title" data-idx="${i}">${safeText(paraTitle) || "(click to add title)"}</span>${tagChips(para)}
             </td>
           </tr>
           <tr>
@@ -1005,7 +955,7 @@ function buildSegmentPages() {
       }
     }
 
-    const segTitle = seg.title || `Segment ${seg.id}`;
+    const segTitle = seg.title || `${levelName(bookState, BOTTOM_LEVEL)} ${seg.id}`;
     html += `
       <section class="preview-page">
         <div class="segment-header">
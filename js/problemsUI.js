@@ -0,0 +1,54 @@
+/* problemsUI.js
+   Problems panel in the builder: lists what structureValidator.js
+   finds, with a jump link to the paragraph and a fix when one is clear.
+*/
+
+import { state } from "./state.js";
+import { getById, createEl } from "./domUtils.js";
+import { validateStructure } from "./structureValidator.js";
+import { recordChange } from "./commandHistory.js";
+import { jumpToParagraph } from "./paragraphUI.js";
+
+export function renderProblems() {
+  const panel = getById('problemsPanel');
+  if (!panel) return;
+
+  const problems = validateStructure(state);
+  panel.innerHTML = '';
+  panel.hidden = !problems.length;
+  if (!problems.length) return;
+
+  const errors = problems.filter(p => p.severity === 'error').length;
+  panel.classList.toggle('has-errors', errors > 0);
+
+  panel.appendChild(createEl('div', {
+    className: 'problems-heading',
+    text: `Problems (${problems.length})`
+  }));
+
+  const list = createEl('ul', { className: 'problems-list' });
+
+  problems.forEach(problem => {
+    const item = createEl('li', { className: `problem ${problem.severity}` });
+    item.appendChild(createEl('span', { className: 'problem-message', text: problem.message }));
+
+    const actions = createEl('div', { className: 'problem-actions' });
+
+    if (problem.paragraphIndex !== null) {
+      const jump = createEl('button', { className: 'btn small', text: 'Go to' });
+      jump.onclick = () => jumpToParagraph(problem.paragraphIndex);
+      actions.appendChild(jump);
+    }
+
+    if (problem.fix) {
+      const fix = createEl('button', { className: 'btn small primary', text: problem.fix.label });
+      fix.onclick = () => recordChange(problem.fix.label, problem.fix.run);
+      actions.appendChild(fix);
+    }
+
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+
+  panel.appendChild(list);
+}
@@ -0,0 +1,342 @@
+/* references.js
+   Scripture references: parsing what people type and formatting it
+   one way everywhere.
+
+     "Rom 8:28"           Romans 8:28
+     "1 cor 13:4-7"       1 Corinthians 13:4–7
+     "Ps 23"              Psalms 23           (whole chapter)
+     "Ruth 1:16-2:3"      Ruth 1:16–2:3       (across chapters)
+     "3:16, 18; 4:1-5"    3:16, 18; 4:1–5     (book from context)
+     "Jude 3-5"           Jude 1:3–5          (one-chapter book)
+
+   A parsed reference is { book, passages: [{ start, end }] } where
+   start and end are { chapter, verse } and verse is null for a whole
+   chapter. Paragraph ranges stored in charts ("1:1–1:5") are a
+   narrow case of the same syntax.
+*/
+
+import { BOOKS, USFM_CODES, OSIS_CODES, chapterCount } from "./books.js";
+
+const DASH = "–";
+
+// Common abbreviations, besides the USFM and OSIS codes
+const ABBREVIATIONS = {
+  Genesis: ["gn", "ge"],
+  Exodus: ["ex", "exo"],
+  Leviticus: ["lv", "le"],
+  Numbers: ["nm", "nu"],
+  Deuteronomy: ["dt", "de"],
+  Joshua: ["jsh", "jos"],
+  Judges: ["jdgs", "jg"],
+  Ruth: ["ru", "rth"],
+  "1 Samuel": ["1sm", "1s"],
+  "2 Samuel": ["2sm", "2s"],
+  "1 Kings": ["1kg", "1k"],
+  "2 Kings": ["2kg", "2k"],
+  "1 Chronicles": ["1chron"],
+  "2 Chronicles": ["2chron"],
+  Nehemiah: ["ne"],
+  Esther: ["es"],
+  Job: ["jb"],
+  Psalms: ["psalm", "psa", "pss", "psm"],
+  Proverbs: ["pr", "prv"],
+  Ecclesiastes: ["ec", "qoh"],
+  "Song of Solomon": ["songofsongs", "sos", "canticles", "so"],
+  Isaiah: ["is"],
+  Jeremiah: ["je", "jr"],
+  Lamentations: ["la"],
+  Ezekiel: ["eze", "ezk"],
+  Daniel: ["da", "dn"],
+  Hosea: ["ho"],
+  Joel: ["jl"],
+  Obadiah: ["ob"],
+  Jonah: ["jnh"],
+  Micah: ["mi"],
+  Nahum: ["na"],
+  Zephaniah: ["zep", "zp"],
+  Haggai: ["hg"],
+  Zechariah: ["zc"],
+  Malachi: ["ml"],
+  Matthew: ["mt"],
+  Mark: ["mk", "mr"],
+  Luke: ["lk"],
+  John: ["jn", "jhn"],
+  Acts: ["ac"],
+  Romans: ["ro", "rm"],
+  "1 Corinthians": ["1co"],
+  "2 Corinthians": ["2co"],
+  Philippians: ["php", "pp"],
+  "1 Thessalonians": ["1th"],
+  "2 Thessalonians": ["2th"],
+  "1 Timothy": ["1ti"],
+  "2 Timothy": ["2ti"],
+  Philemon: ["philem", "phm", "pm"],
+  James: ["jm"],
+  "1 Peter": ["1pe", "1pt", "1p"],
+  "2 Peter": ["2pe", "2pt", "2p"],
+  "1 John": ["1jn", "1jo"],
+  "2 John": ["2jn", "2jo"],
+  "3 John": ["3jn", "3jo"],
+  Jude: ["jud", "jd"],
+  Revelation: ["re", "rv", "apocalypse"]
+};
+
+function bookKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/^(iii|ii|i)(?=\s)/, m => String(m.length)) // "II Kings"
+    .replace(/[\s.]+/g, "");
+}
+
+const ALIASES = new Map();
+BOOKS.forEach((book, i) => {
+  [book, USFM_CODES[i], OSIS_CODES[i], ...(ABBREVIATIONS[book] || [])]
+    .forEach(alias => ALIASES.set(bookKey(alias), book));
+});
+
+/**
+ * Canonical book name (as in BOOKS) for a name or abbreviation, or null.
+ * An unambiguous start of a name also counts ("Philipp").
+ */
+export function findBook(name) {
+  const key = bookKey(name);
+  if (!key) return null;
+  if (ALIASES.has(key)) return ALIASES.get(key);
+
+  const matches = BOOKS.filter(book => bookKey(book).startsWith(key));
+  return key.length >= 3 && matches.length === 1 ? matches[0] : null;
+}
+
+/* ================================
+   Parsing
+================================ */
+
+const BOOK_PART = /^\s*((?:[123]|i{1,3})\s*)?([a-z][a-z.]*(?:\s+[a-z][a-z.]*)*)\s*(?=\d)/i;
+
+/**
+ * Parse a reference. Without a book name the reference is in
+ * `options.book`.
+ * @returns {{ book, passages } | null} null when it is not a reference
+ */
+export function parseReference(text, { book = null } = {}) {
+  let rest = String(text || "").trim();
+  let refBook = book;
+
+  const named = BOOK_PART.exec(rest);
+  if (named) {
+    refBook = findBook(`${named[1] || ""}${named[2]}`);
+    if (!refBook) return null;
+    rest = rest.slice(named[0].length);
+  }
+
+  const passages = parsePassages(rest, chapterCount(refBook) === 1);
+  return passages ? { book: refBook, passages } : null;
+}
+
+/**
+ * "3:16, 18; 4:1-5" → passages. After a verse, a number following a
+ * comma is another verse of the chapter; after a semicolon it is a
+ * chapter. In a book with one chapter a bare number is a verse of it.
+ */
+function parsePassages(text, oneChapter = false) {
+  const parts = text.split(/\s*([,;])\s*/);
+  const passages = [];
+  let chapter = null;
+  let inVerses = false;
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const separator = parts[i - 1];
+    if (separator === ";") inVerses = false;
+
+    const match = /^(\d+)(?::(\d+))?(?:\s*[-–—]\s*(\d+)(?::(\d+))?)?$/.exec(parts[i]);
+    if (!match) return null;
+    const [, a, b, c, d] = match.map(n => (n === undefined ? null : Number(n)));
+
+    let start;
+    let end;
+    if (b !== null) {
+      // 3:16, 3:16–18, 3:16–4:2
+      start = { chapter: a, verse: b };
+      end = d !== null ? { chapter: c, verse: d } : { chapter: a, verse: c ?? b };
+    } else if (inVerses && separator === ",") {
+      // the 18 (or 18–20) of "3:16, 18"
+      start = { chapter, verse: a };
+      end = d !== null ? { chapter: c, verse: d } : { chapter, verse: c ?? a };
+    } else if (oneChapter && d === null) {
+      // Jude 3, Jude 3–5
+      start = { chapter: 1, verse: a };
+      end = { chapter: 1, verse: c ?? a };
+    } else if (d !== null) {
+      // 3–4:2
+      start = { chapter: a, verse: null };
+      end = { chapter: c, verse: d };
+    } else {
+      // whole chapters: 3, 3–5
+      start = { chapter: a, verse: null };
+      end = { chapter: c ?? a, verse: null };
+    }
+
+    if (!start.chapter || !end.chapter || compareVerse(start, end) > 0) return null;
+    passages.push({ start, end });
+    chapter = end.chapter;
+    inVerses = end.verse !== null;
+  }
+
+  return passages.length ? passages : null;
+}
+
+function compareVerse(a, b) {
+  return a.chapter - b.chapter || (a.verse ?? 0) - (b.verse ?? 0);
+}
+
+/* ================================
+   Formatting
+================================ */
+
+/**
+ * One passage: "3:16", "3:16–18", "3:16–4:2", "3", "3–5".
+ * With `chapter`, a passage starting in that chapter leaves it out.
+ */
+function formatPassage({ start, end }, chapter = null) {
+  const head = start.verse === null ? `${start.chapter}`
+    : start.chapter === chapter ? `${start.verse}`
+    : `${start.chapter}:${start.verse}`;
+
+  if (compareVerse(start, end) === 0 && (start.verse !== null) === (end.verse !== null)) return head;
+
+  const tail = end.verse === null ? `${end.chapter}`
+    : end.chapter === start.chapter && start.verse !== null ? `${end.verse}`
+    : `${end.chapter}:${end.verse}`;
+
+  return `${head}${DASH}${tail}`;
+}
+
+/**
+ * @param {{ book, passages }} ref
+ * @param {Object} [options]
+ * @param {string|null} [options.book] - the book the text is about;
+ *        references to it leave the book name out
+ */
+export function formatReference(ref, { book = null } = {}) {
+  let text = "";
+  let chapter = null;
+
+  ref.passages.forEach((passage, i) => {
+    const sameChapter = i > 0 && passage.start.verse !== null && passage.start.chapter === chapter;
+    if (i > 0) text += sameChapter ? ", " : "; ";
+    text += formatPassage(passage, sameChapter ? chapter : null);
+    chapter = passage.end.verse !== null ? passage.end.chapter : null;
+  });
+
+  return ref.book && ref.book !== book ? `${ref.book} ${text}` : text;
+}
+
+/**
+ * Label for the verses from `first` to `last` ("chapter:verse"):
+ * "1:1–5", "1:1–2:3", or "3:16" for one verse.
+ */
+export function rangeLabel(first, last = first) {
+  const ref = parseReference(`${first}${DASH}${last}`);
+  return ref ? formatPassage(ref.passages[0]) : [first, last].filter(Boolean).join(DASH);
+}
+
+/**
+ * Label for paragraphs `startIdx`..`endIdx` of a chart, from the
+ * first verse of one to the last verse of the other.
+ */
+export function paragraphSpanLabel(paragraphs, startIdx, endIdx = startIdx) {
+  const first = paragraphs[startIdx]?.range;
+  const last = paragraphs[endIdx]?.range;
+  if (!first || !last) return "";
+  return rangeLabel(first.split(DASH)[0].trim(), last.split(DASH).pop().trim());
+}
+
+/**
+ * Verses ("chapter:verse") a reference covers in a book's verse data
+ * (verses.js), in book order.
+ */
+export function versesOf(ref, verses) {
+  const result = [];
+  ref.passages.forEach(({ start, end }) => {
+    verses.refs.forEach(r => {
+      const [chapter, verse] = r.split(":").map(Number);
+      const at = { chapter, verse };
+      const afterStart = start.verse === null ? chapter >= start.chapter : compareVerse(at, start) >= 0;
+      const beforeEnd = end.verse === null ? chapter <= end.chapter : compareVerse(at, end) <= 0;
+      if (afterStart && beforeEnd && !result.includes(r)) result.push(r);
+    });
+  });
+  return result;
+}
+
+/**
+ * Text of a reference in a book, verse by verse, for showing with
+ * verse numbers: the verse, or "chapter:verse" where a later chapter
+ * begins. Null when the reference is not to `book` or none of its
+ * verses are in the verse data.
+ * @returns {{ ref, verses: Array<{ ref, number, text }> } | null}
+ */
+export function lookupPassage(text, book, verses) {
+  const ref = parseReference(text, { book });
+  if (!ref || ref.book !== book || !verses) return null;
+
+  let chapter = null;
+  const found = versesOf(ref, verses).map((r, i) => {
+    const [c, v] = r.split(":");
+    const number = i > 0 && c !== chapter ? r : v;
+    chapter = c;
+    return { ref: r, number, text: verses.text.get(r) || "" };
+  });
+
+  return found.length ? { ref, verses: found } : null;
+}
+
+/* ================================
+   References in free text
+================================ */
+
+const IN_TEXT = new RegExp(
+  "\\b((?:[123]|I{1,3})\\s?[A-Z][a-z]+\\.?|Song of (?:Solomon|Songs)|[A-Z][a-z]+\\.?)\\s+" +
+  "(\\d+:\\d+(?:\\s*[-–—]\\s*\\d+(?::\\d+)?)?(?:\\s*[,;]\\s*\\d+(?::\\d+)?(?:\\s*[-–—]\\s*\\d+(?::\\d+)?)?)*)",
+  "g"
+);
+
+/**
+ * References with a book name and chapter:verse in running text,
+ * such as notes ("compare Rom 8:28-30").
+ * @returns {Array<{ index, length, text, ref }>} in text order
+ */
+export function findReferences(text) {
+  const found = [];
+  for (const match of String(text || "").matchAll(IN_TEXT)) {
+    const book = findBook(match[1]);
+    if (!book) continue;
+
+    // A trailing ", 5" may be the next sentence's number; keep what parses
+    let body = match[2];
+    let ref = parseReference(body, { book });
+    while (!ref && /[,;]/.test(body)) {
+      body = body.replace(/\s*[,;][^,;]*$/, "");
+      ref = parseReference(body, { book });
+    }
+    if (!ref) continue;
+
+    const length = match[0].length - (match[2].length - body.length);
+    found.push({ index: match.index, length, text: match[0].slice(0, length), ref });
+  }
+  return found;
+}
+
+/**
+ * Rewrite the references in running text in the standard form,
+ * e.g. "1Cor 13:4-7" → "1 Corinthians 13:4–7".
+ */
+export function normalizeReferences(text) {
+  let result = "";
+  let at = 0;
+  findReferences(text).forEach(({ index, length, ref }) => {
+    result += text.slice(at, index) + formatReference(ref);
+    at = index + length;
+  });
+  return result + text.slice(at);
+}
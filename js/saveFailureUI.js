@@ -0,0 +1,72 @@
+/* saveFailureUI.js
+   Banner shown when a chart could not be saved, with ways to
+   recover: retry, keep a copy as a chart file, or free up space.
+*/
+
+import { createEl } from "./domUtils.js";
+import { downloadChartFile } from "./chartFile.js";
+import { isQuotaError } from "./storageUsage.js";
+import { isNewerSchema } from "./migrations.js";
+
+let banner = null;
+
+/**
+ * Show (or refresh) the save failure banner.
+ *
+ * @param {Error} err
+ * @param {Object} opts
+ * @param {Function} opts.retry - tries the save again
+ * @param {Function} opts.getBook - unsaved chart, for "Save chart to file"
+ */
+export function reportSaveFailure(err, { retry, getBook }) {
+  console.error("Save failed:", err);
+  clearSaveFailure();
+
+  const full = isQuotaError(err);
+  const newer = isNewerSchema(getBook());
+
+  banner = createEl('div', {
+    className: 'save-failure-banner',
+    attrs: { role: 'alert' }
+  });
+
+  banner.appendChild(createEl('strong', {
+    text: full ? 'Storage is full — your latest changes are not saved.'
+      : newer ? 'This chart was saved by a newer version of the app — changes are not saved here.'
+      : 'Your latest changes could not be saved.'
+  }));
+  banner.appendChild(createEl('span', {
+    text: full
+      ? ' Keep a copy as a file, then free up space by removing old charts or their history.'
+      : newer ? ' Keep a copy as a file and open it in the newer version.'
+      : ' Keep a copy as a file, then try again.'
+  }));
+
+  const actions = createEl('div', { className: 'save-failure-actions' });
+
+  const fileBtn = createEl('button', { className: 'btn action-btn', text: 'Save chart to file' });
+  fileBtn.onclick = () => downloadChartFile(getBook());
+
+  const retryBtn = createEl('button', { className: 'btn action-btn primary', text: 'Try again' });
+  retryBtn.onclick = () => retry();
+
+  actions.appendChild(fileBtn);
+  if (!newer) actions.appendChild(retryBtn);
+
+  if (full) {
+    const manage = createEl('a', {
+      className: 'btn action-btn',
+      text: 'Free up space',
+      attrs: { href: 'home.html?storage=1', target: '_blank', rel: 'noopener' }
+    });
+    actions.appendChild(manage);
+  }
+
+  banner.appendChild(actions);
+  document.body.prepend(banner);
+}
+
+export function clearSaveFailure() {
+  banner?.remove();
+  banner = null;
+}
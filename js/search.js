@@ -0,0 +1,117 @@
+/* search.js
+   Full-text search over the bundled Bible text (searchIndex.js), and
+   where a verse falls in a saved chart.
+
+   Every word of the query must occur in a verse. Without "whole
+   word" a query word also matches inside longer words ("love" finds
+   "beloved"); with "phrase" the words must stand together, in order.
+*/
+
+import { BOOKS } from "./books.js";
+import { loadSearchIndex, tokenize } from "./searchIndex.js";
+import { getLevels, sortByStart, containerAt } from "./levels.js";
+import { firstVerse, compareRefs } from "./verseAnchors.js";
+
+// Books before Matthew
+const OLD_TESTAMENT = 39;
+
+const WORD = "[\\p{L}\\p{N}]";
+
+/**
+ * Whether a book (BOOKS index) is in a search scope: "all", "ot",
+ * "nt" or a book name.
+ */
+export function inScope(bookIndex, scope = "all") {
+  if (scope === "all") return true;
+  if (scope === "ot") return bookIndex < OLD_TESTAMENT;
+  if (scope === "nt") return bookIndex >= OLD_TESTAMENT;
+  return BOOKS[bookIndex] === scope;
+}
+
+/**
+ * Global pattern for what a query matches in verse text, for
+ * checking phrases and marking matches. Null for an empty query.
+ */
+export function matchPattern(query, { phrase = false, wholeWord = false } = {}) {
+  const terms = tokenize(query);
+  if (!terms.length) return null;
+
+  const bound = text => (wholeWord ? `(?<!${WORD})${text}(?!${WORD})` : text);
+  const source = phrase
+    ? bound(terms.join(`(?:(?!${WORD}).)+`))
+    : terms.map(bound).join("|");
+  return new RegExp(source, "giu");
+}
+
+/**
+ * @param {string} query
+ * @param {{ phrase?, wholeWord?, scope?, onProgress? }} options
+ *        onProgress: see loadSearchIndex, for the first search
+ * @returns {Promise<Array<{ book, ref, text }>>} verses in Bible order
+ */
+export async function searchBible(query, { onProgress, ...options } = {}) {
+  return searchIndex(await loadSearchIndex(onProgress), query, options);
+}
+
+export function searchIndex(index, query, { phrase = false, wholeWord = false, scope = "all" } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!terms.length) return [];
+
+  // Verses holding every word, smallest set first
+  const sets = terms
+    .map(term => versesWith(index.words, term, wholeWord))
+    .sort((a, b) => a.size - b.size);
+  const positions = [...sets[0]]
+    .filter(p => sets.every(set => set.has(p)))
+    .sort((a, b) => a - b);
+
+  const pattern = phrase ? matchPattern(query, { phrase, wholeWord }) : null;
+
+  return positions
+    .map(p => index.verses[p])
+    .filter(([bookIndex, , text]) => inScope(bookIndex, scope) && (!pattern || text.search(pattern) >= 0))
+    .map(([bookIndex, ref, text]) => ({ book: BOOKS[bookIndex], ref, text }));
+}
+
+function versesWith(words, term, wholeWord) {
+  if (wholeWord) return new Set(words[term] || []);
+
+  const result = new Set();
+  Object.keys(words).forEach(word => {
+    if (word.includes(term)) words[word].forEach(p => result.add(p));
+  });
+  return result;
+}
+
+/* ================================
+   Verses in charts
+================================ */
+
+/**
+ * Index of the chart paragraph holding a "chapter:verse", or -1.
+ */
+export function paragraphOfVerse(chart, ref) {
+  return (chart.paragraphs || []).findIndex(p => {
+    const first = firstVerse(p.range);
+    const last = (p.range || "").split("–").pop().trim();
+    return !!first && compareRefs(first, ref) <= 0 && compareRefs(ref, last) <= 0;
+  });
+}
+
+/**
+ * Where a verse falls in a chart: its paragraph and the item holding
+ * that paragraph on each level, top first (levels with no such item
+ * are left out).
+ * @returns {{ index, paragraph, path: Array<{ level, item }> } | null}
+ *          null when no paragraph of the chart holds the verse
+ */
+export function placeInChart(chart, ref) {
+  const index = paragraphOfVerse(chart, ref);
+  if (index < 0) return null;
+
+  const path = getLevels(chart)
+    .map(level => ({ level, item: containerAt(sortByStart(chart[level.key]), index) }))
+    .filter(step => step.item);
+
+  return { index, paragraph: chart.paragraphs[index], path };
+}
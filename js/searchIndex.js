@@ -0,0 +1,86 @@
+/* searchIndex.js
+   Word index over the bundled Bible text (Books/raw, read through
+   verses.js) for full-text search (search.js).
+
+   Built once from the 66 books and kept gzip-compressed in the meta
+   store, so later searches do not fetch the books again. Bump
+   INDEX_VERSION when the bundled text or the tokenizing changes.
+
+     verses  [[book index, "chapter:verse", text], ...] in Bible order
+     words   { word: [verse position, ...] } ascending positions
+*/
+
+import { BOOKS } from "./books.js";
+import { loadVerses } from "./verses.js";
+import { DEFAULT_TRANSLATION } from "./translations.js";
+import { STORES, idbGet, idbPut } from "./idb.js";
+import { encodeJson, decodeJson } from "./compression.js";
+
+const INDEX_KEY = "searchIndex";
+const INDEX_VERSION = 1;
+
+let indexPromise = null;
+
+/**
+ * Lower-case words of a text. Apostrophes and hyphens split words,
+ * so "God's" holds "god" and "s".
+ */
+export function tokenize(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * The search index, from IndexedDB or built from the bundled books.
+ * @param {(done: number, total: number) => void} [onProgress]
+ *        called per book while building
+ * @returns {Promise<{ verses: Array, words: Object }>}
+ */
+export function loadSearchIndex(onProgress) {
+  if (!indexPromise) {
+    indexPromise = readOrBuild(onProgress);
+    indexPromise.catch(() => { indexPromise = null; }); // try again next time
+  }
+  return indexPromise;
+}
+
+async function readOrBuild(onProgress) {
+  try {
+    const record = await idbGet(STORES.meta, INDEX_KEY);
+    if (record?.version === INDEX_VERSION) return decodeJson(record);
+  } catch (err) {
+    console.warn("Stored search index unreadable, rebuilding:", err);
+  }
+
+  const index = await buildIndex(onProgress);
+
+  try {
+    await idbPut(STORES.meta, { version: INDEX_VERSION, ...(await encodeJson(index)) }, INDEX_KEY);
+  } catch (err) {
+    console.warn("Search index not stored:", err); // still usable on this page
+  }
+  return index;
+}
+
+async function buildIndex(onProgress) {
+  const verses = [];
+  const words = {};
+
+  for (let b = 0; b < BOOKS.length; b++) {
+    const data = await loadVerses(BOOKS[b], DEFAULT_TRANSLATION);
+    if (!data) console.warn("Search index leaves out", BOOKS[b]);
+
+    data?.refs.forEach(ref => {
+      const text = data.text.get(ref).replace(/\s+/g, " ").trim();
+      const position = verses.length;
+      verses.push([b, ref, text]);
+
+      new Set(tokenize(text)).forEach(word => {
+        (words[word] ||= []).push(position);
+      });
+    });
+
+    if (onProgress) onProgress(b + 1, BOOKS.length);
+  }
+
+  return { verses, words };
+}
@@ -0,0 +1,208 @@
+/* searchPage.js
+   Bible search (search.html?q=…&scope=…&phrase=1&whole=1): verses
+   matching the query (search.js), each with where it falls in the
+   saved charts of its book, linking to that paragraph in the
+   Charter Builder. bookId, when given, is the chart to go back to.
+*/
+
+import { getById, createEl } from "./domUtils.js";
+import { BOOKS } from "./books.js";
+import { listBooks, loadBook } from "./storage.js";
+import { groupChartsByBook, chartLabel } from "./charts.js";
+import { searchBible, matchPattern, placeInChart } from "./search.js";
+
+const PAGE_SIZE = 100;
+const SNIPPET_LENGTH = 240;
+
+let results = [];
+let shown = 0;
+let pattern = null;
+let searchRun = 0;          // ignores rendering of a superseded search
+let chartsByBook = new Map();
+const charts = new Map();   // bookId → Promise<chart | null>
+
+function showStatus(text) {
+  getById('searchStatus').textContent = text;
+}
+
+function fillScopes(select) {
+  [['all', 'All books'], ['ot', 'Old Testament'], ['nt', 'New Testament'], ...BOOKS.map(b => [b, b])]
+    .forEach(([value, text]) => select.appendChild(createEl('option', { text, attrs: { value } })));
+}
+
+function readForm() {
+  return {
+    query: getById('searchQuery').value.trim(),
+    scope: getById('searchScope').value,
+    phrase: getById('searchPhrase').checked,
+    wholeWord: getById('searchWholeWord').checked
+  };
+}
+
+function writeUrl({ query, scope, phrase, wholeWord }) {
+  const params = new URLSearchParams({ q: query });
+  if (scope !== 'all') params.set('scope', scope);
+  if (phrase) params.set('phrase', '1');
+  if (wholeWord) params.set('whole', '1');
+  const bookId = new URLSearchParams(window.location.search).get('bookId');
+  if (bookId) params.set('bookId', bookId);
+  history.replaceState(null, '', `search.html?${params}`);
+}
+
+async function runSearch() {
+  const form = readForm();
+  writeUrl(form);
+
+  const run = ++searchRun;
+  getById('searchResults').innerHTML = '';
+  getById('searchMoreBtn').hidden = true;
+
+  if (!form.query) {
+    showStatus('Type a word or phrase to search for.');
+    return;
+  }
+
+  showStatus('Searching…');
+  try {
+    results = await searchBible(form.query, {
+      ...form,
+      onProgress: (done, total) => showStatus(`Building the search index (first search only): ${done} of ${total} books…`)
+    });
+  } catch (err) {
+    console.error("Search failed:", err);
+    showStatus('Search is unavailable: the Bible text could not be loaded.');
+    return;
+  }
+  if (run !== searchRun) return;
+
+  pattern = matchPattern(form.query, form);
+  shown = 0;
+  showStatus(results.length ? `${results.length} verse${results.length === 1 ? '' : 's'} found.` : 'No verses found.');
+  await showMore(run);
+}
+
+async function showMore(run = searchRun) {
+  const batch = results.slice(shown, shown + PAGE_SIZE);
+  shown += batch.length;
+
+  const items = await Promise.all(batch.map(renderResult));
+  if (run !== searchRun) return;
+  getById('searchResults').append(...items);
+
+  const more = getById('searchMoreBtn');
+  more.hidden = shown >= results.length;
+  more.textContent = `Show more (${results.length - shown} left)`;
+}
+
+async function renderResult({ book, ref, text }) {
+  const li = createEl('li', { className: 'search-result' });
+  li.append(
+    createEl('div', { className: 'search-ref', text: `${book} ${ref}` }),
+    renderSnippet(text)
+  );
+
+  const places = await placesInCharts(book, ref);
+  if (places.length) {
+    const ul = createEl('ul', { className: 'search-places' });
+    places.forEach(({ meta, place }) => {
+      const item = createEl('li');
+      item.append(
+        createEl('a', {
+          text: chartLabel(meta, meta.bookId),
+          attrs: {
+            href: `book.html?bookId=${encodeURIComponent(meta.bookId)}#paragraph-${place.index + 1}`,
+            title: `Open at ${place.paragraph.range}`
+          }
+        }),
+        createEl('span', {
+          className: 'search-path',
+          text: place.path.map(({ level, item: it }) => it.title || `${level.name} ${it.id}`).join(' › ') ||
+            place.paragraph.title || place.paragraph.range
+        })
+      );
+      ul.appendChild(item);
+    });
+    li.appendChild(ul);
+  }
+
+  return li;
+}
+
+// Verse text around the first match, with every match marked
+function renderSnippet(text) {
+  const p = createEl('p', { className: 'search-snippet' });
+  const snippet = trimAroundMatch(text);
+
+  let last = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    p.append(snippet.slice(last, match.index), createEl('mark', { text: match[0] }));
+    last = match.index + match[0].length;
+  }
+  p.append(snippet.slice(last));
+  return p;
+}
+
+function trimAroundMatch(text) {
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const at = Math.max(0, text.search(pattern));
+  let start = Math.max(0, at - SNIPPET_LENGTH / 3);
+  if (start > 0) start = text.indexOf(' ', start) + 1;
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) end = text.lastIndexOf(' ', end);
+
+  return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+}
+
+async function placesInCharts(book, ref) {
+  const metas = chartsByBook.get(book) || [];
+  const loaded = await Promise.all(metas.map(meta => chartFor(meta.bookId)));
+
+  return metas
+    .map((meta, i) => ({ meta, place: loaded[i] && placeInChart(loaded[i], ref) }))
+    .filter(({ place }) => place);
+}
+
+function chartFor(bookId) {
+  if (!charts.has(bookId)) {
+    charts.set(bookId, loadBook(bookId).catch(err => {
+      console.warn("Chart not searchable:", bookId, err);
+      return null;
+    }));
+  }
+  return charts.get(bookId);
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const params = new URLSearchParams(window.location.search);
+
+  const bookId = params.get('bookId');
+  if (bookId) {
+    const back = getById('backLink');
+    back.href = `book.html?bookId=${encodeURIComponent(bookId)}`;
+    back.textContent = '← Charter Builder';
+  }
+
+  const scope = getById('searchScope');
+  fillScopes(scope);
+  scope.value = params.get('scope') || 'all';
+  if (!scope.value) scope.value = 'all'; // unknown book name
+
+  getById('searchQuery').value = params.get('q') || '';
+  getById('searchPhrase').checked = params.get('phrase') === '1';
+  getById('searchWholeWord').checked = params.get('whole') === '1';
+
+  try {
+    chartsByBook = groupChartsByBook(await listBooks());
+  } catch (err) {
+    console.warn("Saved charts unavailable:", err); // search still works
+  }
+
+  getById('searchForm').onsubmit = e => {
+    e.preventDefault();
+    runSearch();
+  };
+  getById('searchMoreBtn').onclick = () => showMore();
+
+  if (getById('searchQuery').value) runSearch();
+});
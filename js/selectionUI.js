@@ -0,0 +1,149 @@
+/* selectionUI.js
+   Paragraph selection in the Charter Builder and the bulk actions
+   bar above the paragraph list. Paragraphs are picked with the
+   checkbox on each row; shift-click selects the range from the last
+   checkbox clicked.
+*/
+
+import { state } from "./state.js";
+import { getById, createEl } from "./domUtils.js";
+import { recordChange } from "./commandHistory.js";
+import { addItems, clearBoundaries, applyTitlePattern, collapseIntoOne } from "./structureLogic.js";
+import { BOTTOM_LEVEL, getLevels, levelName, pluralName, startOf } from "./levels.js";
+
+const selected = new Set();
+let anchor = null;
+let paragraphCount = 0;
+let bulkLevel = BOTTOM_LEVEL;
+
+export function isSelected(index) {
+  return selected.has(index);
+}
+
+/**
+ * Checkbox click on paragraph `index`; with shift, the whole range
+ * from the previous click takes the new state.
+ */
+export function toggleSelection(index, checked, shiftKey) {
+  if (shiftKey && anchor !== null) {
+    const [lo, hi] = anchor < index ? [anchor, index] : [index, anchor];
+    for (let i = lo; i <= hi; i++) {
+      if (checked) selected.add(i);
+      else selected.delete(i);
+    }
+  } else if (checked) {
+    selected.add(index);
+  } else {
+    selected.delete(index);
+  }
+  anchor = index;
+  refreshSelection();
+}
+
+export function clearSelection() {
+  selected.clear();
+  anchor = null;
+  refreshSelection();
+}
+
+/**
+ * Called after the paragraph rows are rendered. Splitting or merging
+ * paragraphs shifts indexes, so the selection is dropped then.
+ */
+export function syncSelection() {
+  if (state.paragraphs.length !== paragraphCount) {
+    paragraphCount = state.paragraphs.length;
+    selected.clear();
+    anchor = null;
+  }
+  refreshSelection();
+}
+
+function refreshSelection() {
+  document.querySelectorAll('#paragraphRows .paragraph-row').forEach((row, i) => {
+    row.classList.toggle('selected', selected.has(i));
+    const box = row.querySelector('.paragraph-select');
+    if (box) box.checked = selected.has(i);
+  });
+  renderSelectionBar();
+}
+
+/* ================================
+   Bulk actions bar
+================================ */
+
+function sortedSelection() {
+  return [...selected].sort((a, b) => a - b);
+}
+
+function renderSelectionBar() {
+  const bar = getById('selectionBar');
+  if (!bar) return;
+
+  bar.innerHTML = '';
+  bar.hidden = !selected.size;
+  if (!selected.size) return;
+
+  const indexes = sortedSelection();
+  const levels = getLevels(state);
+  if (!levels.some(level => level.key === bulkLevel)) bulkLevel = BOTTOM_LEVEL;
+
+  const name = levelName(state, bulkLevel).toLowerCase();
+  const plural = pluralName(levelName(state, bulkLevel)).toLowerCase();
+  const startsWithin = (state[bulkLevel] || []).filter(item => selected.has(startOf(item)));
+
+  bar.appendChild(createEl('span', {
+    className: 'selection-count',
+    text: `${indexes.length} paragraph${indexes.length === 1 ? '' : 's'} selected`
+  }));
+
+  const levelSelect = createEl('select', { attrs: { 'aria-label': 'Level for bulk actions' } });
+  levels.forEach(level => {
+    const option = createEl('option', { text: pluralName(level.name), attrs: { value: level.key } });
+    levelSelect.appendChild(option);
+  });
+  levelSelect.value = bulkLevel;
+  levelSelect.onchange = () => {
+    bulkLevel = levelSelect.value;
+    renderSelectionBar();
+  };
+
+  const start = button(`Start ${plural}`, `Start a ${name} at every selected paragraph`, () => {
+    recordChange(`Start ${plural}`, () => addItems(bulkLevel, indexes));
+  });
+
+  const clear = button('Clear boundaries', `Remove the ${plural} that start in the selection`, () => {
+    if (startsWithin.length > 1 && !confirm(`Remove ${startsWithin.length} ${plural}? Their titles will be lost.`)) return;
+    recordChange(`Clear ${plural}`, () => clearBoundaries(bulkLevel, indexes));
+  });
+  clear.disabled = !startsWithin.some(item => startOf(item) !== 0);
+
+  const title = button('Title…', `Title the ${plural} that start in the selection`, () => {
+    const pattern = prompt(
+      `Title for each ${name} starting in the selection.\n` +
+      '{n} = number, {range} = verses, {title} = paragraph title',
+      `${levelName(state, bulkLevel)} {n}`
+    );
+    if (pattern === null) return;
+    recordChange(`Title ${plural}`, () => applyTitlePattern(bulkLevel, indexes, pattern));
+  });
+  title.disabled = !startsWithin.length;
+
+  const from = indexes[0];
+  const to = indexes[indexes.length - 1];
+  const bottomName = levelName(state, BOTTOM_LEVEL).toLowerCase();
+  const collapse = button(`Collapse into one ${bottomName}`,
+    `Make ${state.paragraphs[from]?.range} to ${state.paragraphs[to]?.range} a single ${bottomName}`,
+    () => recordChange(`Collapse into one ${bottomName}`, () => collapseIntoOne(from, to)));
+  collapse.disabled = from === to;
+
+  const done = button('✖', 'Clear selection', clearSelection);
+
+  bar.append(levelSelect, start, clear, title, collapse, done);
+}
+
+function button(text, title, onClick) {
+  const btn = createEl('button', { className: 'btn small', text, attrs: { type: 'button', title } });
+  btn.onclick = onClick;
+  return btn;
+}
@@ -72,6 +72,7 @@
         var isActive =
           (page === 'landing'  && (filename === 'index.html' || filename === '')) ||
           (page === 'home'     && filename === 'home.html') ||
+          (page === 'search'   && filename === 'search.html') ||
           (page === 'settings' && filename === 'settings.html');
         if (isActive) item.classList.add('active');
       });
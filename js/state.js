@@ -1,15 +1,102 @@
 /* state.js
-   Central application state for a book page.
+   Central application state, wrapped in an observable store.
 
-   This object is intentionally mutable and shared.
-   All UI modules read from and write to this state.
+   Reads go straight to `store.state` (exported as `state` for the
+   Charter Builder). Every write goes through an action, which
+   mutates the state and then notifies subscribers with a change
+   record: { type, persist, ... }.
+
+   Change types used by the pages:
+     chart/load, chart/sync   whole chart replaced (persist: false)
+     info/edit                book title, chart name, key verse
+     paragraphs/edit          paragraph title or writing space
+     <level>/edit             item title or notes; level is a key
+                              of the chart's levels (see levels.js)
+     structure/add, structure/delete, structure/move,
+     structure/relink, structure/levels,
+     structure/replace, structure/import,
+     structure/retitle, structure/collapse,
+     structure/translation              (see structureLogic.js)
+     structure/split, structure/merge   (see paragraphLogic.js)
+     history/undo, history/redo         (see commandHistory.js)
 */
 
 // state.js
-export const state = {
-  bookId: null,
+import { SCHEMA_VERSION } from "./migrations.js";
+import { defaultLevels } from "./levels.js";
+import { DEFAULT_TRANSLATION } from "./translations.js";
+
+/**
+ * Create an observable store around a state object.
+ * The state object itself is never replaced, so references to
+ * `store.state` stay valid after a chart is loaded.
+ */
+export function createStore(initial = {}) {
+  const state = initial;
+  const listeners = new Set();
+
+  /**
+   * Apply `mutate` to the state and notify subscribers.
+   * The field setters below skip the update when nothing changes.
+   * change.persist defaults to true: the change belongs in storage.
+   */
+  function update(change, mutate) {
+    mutate(state);
+    const record = { persist: true, ...change };
+    listeners.forEach(fn => fn(record, state));
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return {
+    state,
+    update,
+    subscribe,
+
+    /* ---- Actions ---- */
+
+    load(book, type = "chart/load") {
+      update({ type, persist: false }, s => Object.assign(s, book));
+    },
+
+    setField(field, value) {
+      if (state[field] === value) return;
+      update({ type: "info/edit", field }, s => { s[field] = value; });
+    },
+
+    setParagraphField(index, field, value) {
+      if (state.paragraphs[index]?.[field] === value) return;
+      update({ type: "paragraphs/edit", index, field }, s => {
+        if (s.paragraphs[index]) s.paragraphs[index][field] = value;
+      });
+    },
+
+    /**
+     * level: a key of the chart's levels, e.g. "sections"
+     */
+    setItemField(level, id, field, value) {
+      if (state[level].find(i => i.id === id)?.[field] === value) return;
+      update({ type: `${level}/edit`, id, field }, s => {
+        const item = s[level].find(i => i.id === id);
+        if (item) item[field] = value;
+      });
+    }
+  };
+}
+
+export const store = createStore({
+  schemaVersion: SCHEMA_VERSION,
+  bookId: null,      // unique chart ID
+  book: '',          // canonical Bible book (see charts.js)
+  chartName: '',
   bookName: '',
+  keyVerse: '',
+  translation: DEFAULT_TRANSLATION,
   paragraphs: [],
+  levels: defaultLevels(),
   divisions: [],
   sections: [],
   segments: [],
@@ -18,9 +105,15 @@ export const state = {
     section: 0,
     segment: 0
   }
-};
+});
+
+export const state = store.state;
 
 
+/* ================================
+   Dirty tracking (Charter Builder)
+================================ */
+
 export let isDirty = false;
 
 export function markDirty() {
@@ -32,4 +125,3 @@ export function clearDirty() {
   isDirty = false;
   document.getElementById('dirtyStatus')?.classList.remove('visible');
 }
-
@@ -1,90 +1,218 @@
 // storage.js
+// Persists charts in IndexedDB (see idb.js), gzip-compressed
+// (see compression.js). Every function is async; callers must await them.
 import { state } from "./state.js";
+import { STORES, withStore, idbGet } from "./idb.js";
+import { SCHEMA_VERSION, migrateBook, isNewerSchema } from "./migrations.js";
+import { structureFields } from "./levels.js";
+import { broadcastBook } from "./sync.js";
+import { encodeJson, decodeJson } from "./compression.js";
+import { translationOf } from "./translations.js";
+
+const INDEX_KEY = "bookIndex";
+const MIGRATED_KEY = "migratedFromLocalStorage";
 
 /* ================================
    Utilities
 ================================ */
 
-function getBookIndex() {
-  return JSON.parse(localStorage.getItem("bookIndex")) || {};
+async function getBookIndex() {
+  await ready();
+  return (await idbGet(STORES.meta, INDEX_KEY)) || {};
 }
 
-function saveBookIndex(index) {
-  localStorage.setItem("bookIndex", JSON.stringify(index));
+function normalizeBook(data, bookId) {
+  return {
+    schemaVersion: data.schemaVersion,
+    bookId: data.bookId || bookId,
+    book: data.book || data.bookId || bookId,   // canonical Bible book
+    chartName: data.chartName || "",
+    bookName: data.bookName || bookId,
+    bookTitle: data.bookTitle || bookId,
+    keyVerse: data.keyVerse || "",
+    translation: translationOf(data),
+    paragraphs: data.paragraphs || [],
+    ...structureFields(data),
+    ids: data.ids,
+    unmigrated: data.unmigrated || [],
+    lastModified: data.lastModified || Date.now()
+  };
+}
+
+/* ================================
+   One-time migration from localStorage
+================================ */
+
+let readyPromise = null;
+
+/**
+ * Resolves once legacy localStorage charts have been copied into
+ * IndexedDB. Runs at most once per browser profile.
+ */
+export function ready() {
+  if (!readyPromise) {
+    readyPromise = migrateFromLocalStorage().catch(err => {
+      readyPromise = null;
+      throw err;
+    });
+  }
+  return readyPromise;
+}
+
+async function migrateFromLocalStorage() {
+  if (await idbGet(STORES.meta, MIGRATED_KEY)) return;
+
+  let legacyIndex = {};
+  try {
+    legacyIndex = JSON.parse(localStorage.getItem(INDEX_KEY)) || {};
+  } catch {
+    console.warn("Ignoring unreadable legacy bookIndex");
+  }
+
+  // Compressed up front: a transaction cannot wait for compression
+  const records = [];
+  const index = {};
+
+  for (const [bookId, entry] of Object.entries(legacyIndex)) {
+    const raw = localStorage.getItem(bookId);
+    if (!raw) continue;
+
+    try {
+      const data = normalizeBook(JSON.parse(raw), bookId);
+      const { encoding, payload, size } = await encodeJson(data);
+      records.push({ bookId, encoding, payload, size, lastModified: data.lastModified });
+      index[bookId] = entry;
+    } catch {
+      console.warn("Skipping unreadable legacy chart:", bookId);
+    }
+  }
+
+  const migratedIds = records.map(record => record.bookId);
+
+  await withStore([STORES.books, STORES.meta], "readwrite", (books, meta) => {
+    records.forEach(record => books.put(record));
+    meta.put(index, INDEX_KEY);
+    meta.put(Date.now(), MIGRATED_KEY);
+  });
+
+  // Only clear localStorage once the transaction has committed
+  migratedIds.forEach(id => localStorage.removeItem(id));
+  localStorage.removeItem(INDEX_KEY);
 }
 
 /* ================================
    Save Book
 ================================ */
 
-export function saveBook() {
-  if (!state.bookId) {
+export async function saveBook(book = state) {
+  if (!book.bookId) {
     console.warn("Cannot save book: missing bookId");
     return;
   }
 
-  const bookKey = state.bookId; // canonical ID
-  const index = getBookIndex();
+  const [data] = await saveBooks([book]);
+  return data;
+}
 
-  const data = {
-    bookId: bookKey,                     // canonical ID
-    bookName: state.bookName || "",      // editable
-    bookTitle: state.bookTitle || state.bookName, // display
-    keyVerse: state.keyVerse || "",
-    paragraphs: state.paragraphs || [],
-    divisions: state.divisions || [],
-    sections: state.sections || [],
-    segments: state.segments || [],
-    lastModified: Date.now()
-  };
+/**
+ * Save several charts in one transaction: either all are written or
+ * none is. With keepModified each chart keeps its own lastModified
+ * (restoring a backup) instead of being stamped now.
+ * @returns {Promise<Array>} the saved records, as saveBook returns them
+ */
+export async function saveBooks(books, { keepModified = false } = {}) {
+  await ready();
+
+  // Compress before opening the transaction: it would auto-commit
+  // while waiting on the compression stream.
+  const prepared = await Promise.all(books.map(book =>
+    prepareRecord(book, keepModified && book.lastModified ? book.lastModified : Date.now())
+  ));
+
+  // Book records and index entries are written in one transaction
+  await withStore([STORES.books, STORES.meta], "readwrite", (store, meta) => {
+    prepared.forEach(({ record }) => store.put(record));
+
+    const req = meta.get(INDEX_KEY);
+    req.onsuccess = () => {
+      const index = req.result || {};
+      prepared.forEach(({ data, record }) => {
+        index[data.bookId] = {
+          book: data.book,
+          chartName: data.chartName,
+          bookTitle: data.bookTitle,
+          lastModified: data.lastModified,
+          size: record.size
+        };
+      });
+      meta.put(index, INDEX_KEY);
+    };
+  });
+
+  prepared.forEach(({ data }) => broadcastBook("saved", data));
+  return prepared.map(({ data }) => data);
+}
+
+async function prepareRecord(book, lastModified) {
+  if (isNewerSchema(book)) {
+    throw new Error(`"${book.bookTitle || book.bookId}" was saved by a newer version of the app and cannot be saved here.`);
+  }
+
+  // Records from older sources (snapshots, backups) are upgraded first
+  if (book.schemaVersion !== SCHEMA_VERSION) {
+    book = migrateBook(normalizeBook(book, book.bookId)).book;
+  }
 
-  // Always overwrite existing save for the same bookId
-  localStorage.setItem(bookKey, JSON.stringify(data));
+  const bookKey = book.bookId; // unique chart ID
 
-  // Update index
-  index[bookKey] = {
-    bookTitle: data.bookTitle,
-    lastModified: data.lastModified
+  const data = {
+    schemaVersion: SCHEMA_VERSION,
+    bookId: bookKey,                     // unique chart ID
+    book: book.book || bookKey,          // canonical Bible book
+    chartName: book.chartName || "",     // distinguishes charts of one book
+    bookName: book.bookName || "",       // editable
+    bookTitle: book.bookTitle || book.bookName, // display
+    keyVerse: book.keyVerse || "",
+    translation: translationOf(book),    // see translations.js
+    paragraphs: book.paragraphs || [],
+    ...structureFields(book),
+    ids: book.ids,
+    unmigrated: book.unmigrated || [],
+    lastModified
   };
-  saveBookIndex(index);
+
+  const { encoding, payload, size } = await encodeJson(data);
+  return { data, record: { bookId: bookKey, encoding, payload, size, lastModified } };
 }
 
 /* ================================
    Load Book
 ================================ */
 
-export function loadBook(bookId) {
+export async function loadBook(bookId) {
   if (!bookId) return null;
 
-  const raw = localStorage.getItem(bookId);
-  if (!raw) return null;
+  await ready();
 
-  let data;
-  try {
-    data = JSON.parse(raw);
-  } catch {
-    localStorage.removeItem(bookId);
-    return null;
+  const record = await idbGet(STORES.books, bookId);
+  if (!record) return null;
+
+  const { book, report } = migrateBook(normalizeBook(await decodeJson(record), bookId));
+
+  // Not persisted: lets pages tell the user what the upgrade did
+  if (report.length) {
+    book.migrationReport = report;
+    report.forEach(r => console.info(`Migration v${r.version} (${bookId}): ${r.message}`));
   }
 
-  return {
-    bookId: data.bookId || bookId,
-    bookName: data.bookName || bookId,
-    bookTitle: data.bookTitle || bookId,
-    keyVerse: data.keyVerse || "",
-    paragraphs: data.paragraphs || [],
-    divisions: data.divisions || [],
-    sections: data.sections || [],
-    segments: data.segments || [],
-    lastModified: data.lastModified || Date.now()
-  };
+  return book;
 }
 
 /* ================================
    List Books
 ================================ */
 
-export function listBooks() {
+export async function listBooks() {
   return getBookIndex();
 }
 
@@ -92,19 +220,27 @@ export function listBooks() {
    Delete Book
 ================================ */
 
-export function deleteBook(bookId) {
-  localStorage.removeItem(bookId);
+export async function deleteBook(bookId) {
+  await ready();
+
+  await withStore([STORES.books, STORES.meta], "readwrite", (books, meta) => {
+    books.delete(bookId);
 
-  const index = getBookIndex();
-  delete index[bookId];
-  saveBookIndex(index);
+    const req = meta.get(INDEX_KEY);
+    req.onsuccess = () => {
+      const index = req.result || {};
+      delete index[bookId];
+      meta.put(index, INDEX_KEY);
+    };
+  });
 }
 
 /* ================================
    Utility: check saved
 ================================ */
 
-export function isBookSaved(bookId) {
-  const index = getBookIndex();
-  return !!index[bookId] && !!localStorage.getItem(bookId);
+export async function isBookSaved(bookId) {
+  const index = await getBookIndex();
+  if (!index[bookId]) return false;
+  return !!(await idbGet(STORES.books, bookId));
 }
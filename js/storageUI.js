@@ -0,0 +1,119 @@
+/* storageUI.js
+   Storage panel on the home page: total usage and the largest
+   charts, with ways to prune them.
+*/
+
+import { createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { chartLabel } from "./charts.js";
+import { clearSnapshots } from "./versionHistory.js";
+import { getStorageUsage } from "./storageUsage.js";
+import { formatBytes } from "./compression.js";
+
+const LARGEST_SHOWN = 10;
+
+/**
+ * @param {Object} opts
+ * @param {Function} opts.onDelete - (bookId) → Promise; deletes a chart
+ *        the way the library does (confirmation and undo)
+ */
+export async function openStoragePanel({ onDelete }) {
+  const body = createEl('div');
+  const dialog = openDialog({
+    title: 'Storage',
+    eyebrow: 'Library',
+    body,
+    wide: true,
+    actions: [{ label: 'Close' }]
+  });
+
+  async function render() {
+    body.innerHTML = '';
+    body.appendChild(createEl('p', { className: 'muted', text: 'Measuring…' }));
+
+    let usage;
+    try {
+      usage = await getStorageUsage();
+    } catch (err) {
+      console.error("Could not measure storage:", err);
+      body.innerHTML = '';
+      body.appendChild(createEl('p', { text: 'Could not measure storage use.' }));
+      return;
+    }
+
+    body.innerHTML = '';
+
+    const summary = usage.quota
+      ? `This site uses ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} available (${Math.round((usage.usage / usage.quota) * 100)}%).`
+      : `Saved charts and history use ${formatBytes(usage.libraryBytes)}.`;
+    body.appendChild(createEl('p', { text: summary }));
+    if (usage.quota) {
+      body.appendChild(createEl('p', {
+        className: 'muted',
+        text: `Charts and their history account for ${formatBytes(usage.libraryBytes)} of that.`
+      }));
+    }
+
+    if (!usage.books.length) {
+      body.appendChild(createEl('p', { className: 'muted', text: 'No saved charts yet.' }));
+      return;
+    }
+
+    body.appendChild(createEl('h4', { text: 'Largest charts' }));
+
+    const table = createEl('table');
+    const head = createEl('tr');
+    ['Chart', 'Saved', 'History', 'Total', ''].forEach(h =>
+      head.appendChild(createEl('th', { text: h }))
+    );
+    const thead = createEl('thead');
+    thead.appendChild(head);
+    table.appendChild(thead);
+
+    const tbody = createEl('tbody');
+
+    usage.books.slice(0, LARGEST_SHOWN).forEach(b => {
+      const tr = createEl('tr');
+      const label = b.meta
+        ? (b.meta.chartName ? `${b.meta.book || b.bookId} — ${b.meta.chartName}` : chartLabel(b.meta, b.bookId))
+        : `${b.bookId} (deleted)`;
+
+      tr.appendChild(createEl('td', { text: label }));
+      tr.appendChild(createEl('td', { text: b.chartBytes ? formatBytes(b.chartBytes) : '—' }));
+      tr.appendChild(createEl('td', {
+        text: b.snapshots ? `${formatBytes(b.historyBytes)} (${b.snapshots})` : '—'
+      }));
+      tr.appendChild(createEl('td', { text: formatBytes(b.totalBytes) }));
+
+      const actions = createEl('td');
+
+      if (b.snapshots) {
+        const clearBtn = createEl('button', { className: 'btn small', text: 'Clear history' });
+        clearBtn.onclick = async () => {
+          if (!confirm(`Delete all ${b.snapshots} history snapshot(s) of "${label}"?`)) return;
+          await clearSnapshots(b.bookId);
+          render();
+        };
+        actions.appendChild(clearBtn);
+      }
+
+      if (b.meta) {
+        const deleteBtn = createEl('button', { className: 'btn small', text: 'Delete chart' });
+        deleteBtn.onclick = async () => {
+          await onDelete(b.bookId);
+          render();
+        };
+        actions.appendChild(deleteBtn);
+      }
+
+      tr.appendChild(actions);
+      tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    body.appendChild(table);
+  }
+
+  await render();
+  return dialog;
+}
@@ -0,0 +1,69 @@
+/* storageUsage.js
+   How much storage the library uses, per chart and in total.
+*/
+
+import { STORES, withStore } from "./idb.js";
+import { listBooks } from "./storage.js";
+import { storedSize } from "./compression.js";
+
+/**
+ * @returns {Promise<{ usage, quota, libraryBytes, books: Array }>}
+ *   usage/quota come from the browser (null when unavailable).
+ *   books: [{ bookId, meta, chartBytes, historyBytes, snapshots, totalBytes }]
+ *   sorted largest first. Charts that were deleted but still have
+ *   history are included with meta = null.
+ */
+export async function getStorageUsage() {
+  const index = await listBooks();
+
+  const [records, snapshots] = await withStore(
+    [STORES.books, STORES.history],
+    "readonly",
+    (books, history) => [books.getAll(), history.getAll()]
+  ).then(([a, b]) => [a.result || [], b.result || []]);
+
+  const byId = new Map();
+  const entry = bookId => {
+    if (!byId.has(bookId)) {
+      byId.set(bookId, {
+        bookId,
+        meta: index[bookId] || null,
+        chartBytes: 0,
+        historyBytes: 0,
+        snapshots: 0
+      });
+    }
+    return byId.get(bookId);
+  };
+
+  records.forEach(r => { entry(r.bookId).chartBytes += storedSize(r); });
+  snapshots.forEach(s => {
+    const e = entry(s.bookId);
+    e.historyBytes += storedSize(s);
+    e.snapshots++;
+  });
+
+  const books = [...byId.values()]
+    .map(b => ({ ...b, totalBytes: b.chartBytes + b.historyBytes }))
+    .sort((a, b) => b.totalBytes - a.totalBytes);
+
+  let estimate = null;
+  try {
+    estimate = await navigator.storage?.estimate?.();
+  } catch (err) {
+    console.warn("Storage estimate unavailable:", err);
+  }
+
+  return {
+    usage: estimate?.usage ?? null,
+    quota: estimate?.quota ?? null,
+    libraryBytes: books.reduce((sum, b) => sum + b.totalBytes, 0),
+    books
+  };
+}
+
+export function isQuotaError(err) {
+  return err?.name === "QuotaExceededError" ||
+    err?.inner?.name === "QuotaExceededError" ||
+    /quota/i.test(err?.message || "");
+}
@@ -1,165 +1,445 @@
 /* structureLogic.js
    Structural logic using a BUILDING MODEL:
 
-   Segments  = foundation
-   Sections  = walls
-   Divisions = roof
+   Bottom level (segments) = foundation
+   Levels between          = walls
+   Top level               = roof
+
+   Every item rests on an item of the level below that starts at
+   the same paragraph. The levels themselves are configurable per
+   chart (see levels.js).
+
+   The exported functions are store actions: each runs its whole
+   cascade inside one store update.
 */
 
-import { state } from "./state.js";
-import { scheduleAutosave } from "./autosave.js";
+import { store, state } from "./state.js";
+import {
+  BOTTOM_LEVEL,
+  MAX_LEVELS,
+  getLevels,
+  levelKeys,
+  linkField,
+  counterKey,
+  freeLevelKey,
+  startOf,
+  sortByStart,
+  containerAt
+} from "./levels.js";
+import { buildTree, findNode } from "./structureTree.js";
+import { switchTranslation } from "./verseAnchors.js";
+
+// Notes a bottom-level item carries
+const NOTE_FIELDS = ["leftNote", "rightNote"];
 
 /* =========================
-   CREATION
+   ACTIONS
 ========================= */
 
-export function addSegment(parIndex, fromRecursion = false) {
-  if (state.segments.some(s => s.paragraphIndexes.includes(parIndex))) return;
+/**
+ * Start an item of `level` at a paragraph, with a foundation on
+ * every level below it. level: a key of getLevels(state)
+ */
+export function addItem(level, parIndex) {
+  structureAction({ type: "structure/add", level }, () => createItem(level, parIndex));
+}
+
+export function deleteItem(level, id) {
+  structureAction({ type: "structure/delete", level, id }, () => removeItem(level, id));
+}
 
-  state.segments.push({
-    id: ++state.ids.segment,
-    title: "",
-    paragraphIndexes: [parIndex],
-    sectionId: null
+/**
+ * Move the start of an item to another paragraph, keeping the item
+ * itself (title, notes).
+ */
+export function moveBoundary(level, id, newStart) {
+  structureAction({ type: "structure/move", level, id }, () => relocate(level, id, newStart));
+}
+
+/**
+ * Replace a level's items with items at the given starts
+ * ({ start, title }). Items already at one of the starts stay,
+ * keeping their notes and any title of their own. An item that is
+ * dropped hands its notes, and its title where there is none, to the
+ * item that now covers its paragraphs. Starts the level above rests
+ * on are kept, and the levels below get foundations.
+ */
+export function replaceLevel(level, entries) {
+  if (!state[level]) return;
+
+  structureAction({ type: "structure/replace", level }, () => {
+    const titles = new Map(entries.map(({ start, title }) => [start, title || ""]));
+    if (!titles.has(0)) titles.set(0, "");
+
+    const keys = levelKeys(state);
+    const above = keys[keys.indexOf(level) - 1];
+    if (above) state[above].forEach(item => {
+      if (!titles.has(startOf(item))) titles.set(startOf(item), "");
+    });
+
+    const current = new Map(state[level].map(item => [startOf(item), item]));
+    const items = [...titles.keys()].sort((a, b) => a - b)
+      .map(start => current.get(start) || newItem(level, start));
+
+    sortByStart(state[level])
+      .filter(item => !titles.has(startOf(item)))
+      .forEach(dropped => {
+        const heir = containerAt(items, startOf(dropped));
+        if (!heir.title) heir.title = dropped.title || "";
+        NOTE_FIELDS.forEach(field => {
+          if (dropped[field]) heir[field] = [heir[field], dropped[field]].filter(Boolean).join("<br>");
+        });
+      });
+
+    items.forEach(item => {
+      if (!item.title) item.title = titles.get(startOf(item));
+    });
+    state[level] = items;
+
+    const below = levelBelow(level);
+    if (below) state[level].forEach(item => createItem(below, startOf(item), true));
   });
+}
 
-  // Also create at first paragraph (index 0) if not already there
-  if (!fromRecursion && parIndex !== 0) {
-    addSegment(0, true);
-  }
+/**
+ * Replace the whole structure with imported items ({ level, start,
+ * title }, top level first). Foundations and the items at the first
+ * paragraph are added as for items created by hand.
+ */
+export function importStructure(items) {
+  structureAction({ type: "structure/import" }, () => {
+    levelKeys(state).forEach(key => { state[key] = []; });
+
+    items.forEach(({ level, start, title }) => {
+      createItem(level, start);
+      const item = itemAt(level, start);
+      if (item && title) item.title = title;
+    });
+  });
+}
+
+/* =========================
+   BULK ACTIONS (SELECTION)
+========================= */
 
-  if (!fromRecursion) scheduleAutosave();
+/**
+ * Start an item of `level` at each of the given paragraphs.
+ */
+export function addItems(level, parIndexes) {
+  structureAction({ type: "structure/add", level }, () => {
+    parIndexes.forEach(i => createItem(level, i));
+  });
 }
 
-export function addSection(parIndex, fromDivision = false, divisionId = null, fromRecursion = false) {
-  if (state.sections.some(s => s.paragraphIndexes.includes(parIndex))) return;
+/**
+ * Delete the items of `level` that start at one of the given
+ * paragraphs. Items at the first paragraph stay.
+ */
+export function clearBoundaries(level, parIndexes) {
+  const within = new Set(parIndexes);
 
-  const sectionId = ++state.ids.section;
+  structureAction({ type: "structure/delete", level }, () => {
+    (state[level] || [])
+      .filter(item => startOf(item) !== 0 && within.has(startOf(item)))
+      .forEach(item => removeItem(level, item.id));
+  });
+}
 
-  state.sections.push({
-    id: sectionId,
-    title: "",
-    paragraphIndexes: [parIndex],
-    divisionId
+/**
+ * Title the items of `level` that start at one of the given
+ * paragraphs from a pattern: {n} numbers them in order, {range} and
+ * {title} are the start paragraph's range and title.
+ */
+export function applyTitlePattern(level, parIndexes, pattern) {
+  const within = new Set(parIndexes);
+  const items = sortByStart((state[level] || []).filter(item => within.has(startOf(item))));
+  if (!items.length) return;
+
+  structureAction({ type: "structure/retitle", level }, () => {
+    items.forEach((item, n) => {
+      const paragraph = state.paragraphs[startOf(item)] || {};
+      item.title = pattern
+        .replace(/\{n\}/g, String(n + 1))
+        .replace(/\{range\}/g, paragraph.range || "")
+        .replace(/\{title\}/g, paragraph.title || "")
+        .trim();
+    });
   });
+}
 
-  // Ensure foundation exists
-  let segment = state.segments.find(s =>
-    s.paragraphIndexes.includes(parIndex)
-  );
-
-  if (!segment) {
-    segment = {
-      id: ++state.ids.segment,
-      title: "",
-      paragraphIndexes: [parIndex],
-      sectionId
-    };
-    state.segments.push(segment);
-  } else if (!segment.sectionId) {
-    segment.sectionId = sectionId;
-  }
+/**
+ * Make paragraphs `from`..`to` one bottom-level item. Items starting
+ * inside the span go, except that on each level the last of them
+ * moves to the paragraph after the span when it ran on past it.
+ * The first removed segment's title and all removed notes move to
+ * the item that stays.
+ */
+export function collapseIntoOne(from, to) {
+  if (from >= to) return;
+
+  structureAction({ type: "structure/collapse" }, () => {
+    const inside = item => startOf(item) > from && startOf(item) <= to;
+    const after = to + 1 < state.paragraphs.length ? to + 1 : null;
+    let removed = [];
+
+    levelKeys(state).forEach(key => {
+      const within = sortByStart(state[key].filter(inside));
+      const last = within[within.length - 1];
+
+      if (last && after !== null && !itemAt(key, after)) {
+        last.paragraphIndexes = [after];
+        within.pop();
+      }
+      state[key] = state[key].filter(item => !within.includes(item));
+      if (key === BOTTOM_LEVEL) removed = within;
+    });
+
+    createItem(BOTTOM_LEVEL, from, true);
+    const kept = itemAt(BOTTOM_LEVEL, from);
+    if (!kept.title) kept.title = removed.find(item => item.title)?.title || "";
+    NOTE_FIELDS.forEach(field => {
+      kept[field] = [kept[field], ...removed.map(item => item[field])].filter(Boolean).join("<br>");
+    });
+  });
+}
 
-  // Also create at first paragraph (index 0) if not already there
-  if (!fromRecursion && parIndex !== 0) {
-    addSection(0, fromDivision, divisionId, true);
-  }
+/**
+ * Read the chart in translation `id`: its paragraphs replace the
+ * chart's, and every item and paragraph note stays on its verse
+ * (see verseAnchors.js). `target` is the store holding the chart;
+ * the Chart Editor keeps its own.
+ * @returns {string[]} what could not be carried over exactly
+ */
+export function applyTranslation(id, paragraphs, verses, target = store) {
+  let report = [];
+  structureAction({ type: "structure/translation", translation: id }, () => {
+    report = switchTranslation(target.state, id, paragraphs, verses);
+  }, target);
+  return report;
+}
 
-  if (!fromDivision && !fromRecursion) scheduleAutosave();
+/**
+ * Recompute the links to parent items from positions.
+ */
+export function relinkStructure() {
+  structureAction({ type: "structure/relink" }, () => {});
+}
+
+// Every structure change ends with links matching positions
+function structureAction(change, mutate, target = store) {
+  target.update(change, () => {
+    mutate();
+    relinkByPosition(target.state);
+  });
 }
 
-export function addDivision(parIndex, fromRecursion = false) {
-  if (state.divisions.some(d => d.paragraphIndexes.includes(parIndex))) return;
+/* =========================
+   LEVELS
+========================= */
+
+/**
+ * Insert an empty level above the level at `index`. The bottom
+ * level always stays at the bottom.
+ */
+export function addLevel(index, name) {
+  const levels = getLevels(state).map(level => ({ ...level }));
+  if (levels.length >= MAX_LEVELS) return;
 
-  const divisionId = ++state.ids.division;
+  const key = freeLevelKey(levels);
+  levels.splice(Math.min(index, levels.length - 1), 0, { key, name });
 
-  state.divisions.push({
-    id: divisionId,
-    title: "",
-    paragraphIndexes: [parIndex]
+  structureAction({ type: "structure/levels", key }, () => {
+    state.levels = levels;
+    state[key] = [];
   });
+}
 
-  // A roof requires walls
-  addSection(parIndex, true, divisionId, false);
+export function renameLevel(key, name) {
+  if (getLevels(state).find(level => level.key === key)?.name === name) return;
 
-  // Also create at first paragraph (index 0) if not already there
-  if (!fromRecursion && parIndex !== 0) {
-    addDivision(0, true);
-  }
+  store.update({ type: "structure/levels", key }, () => {
+    state.levels = getLevels(state).map(level => level.key === key ? { ...level, name } : { ...level });
+  });
+}
+
+/**
+ * Remove a level and its items. The level above then rests on the
+ * level below, which already holds a foundation for every start.
+ */
+export function removeLevel(key) {
+  if (key === BOTTOM_LEVEL || !levelKeys(state).includes(key)) return;
+
+  structureAction({ type: "structure/levels", key }, () => {
+    state.levels = getLevels(state).filter(level => level.key !== key).map(level => ({ ...level }));
+    delete state[key];
+    delete state.ids?.[counterKey(key)];
 
-  if (!fromRecursion) scheduleAutosave();
+    levelKeys(state).forEach(k => state[k].forEach(item => { delete item[linkField(key)]; }));
+  });
 }
 
 /* =========================
-   DELETION
+   CREATION
 ========================= */
 
-export function deleteSegment(id) {
-  if (!state.segments.some(s => s.id === id)) return;
-
-  state.segments = state.segments.filter(s => s.id !== id);
+function levelBelow(level) {
+  const keys = levelKeys(state);
+  return keys[keys.indexOf(level) + 1] || null;
+}
 
-  cleanupSections();
-  cleanupDivisions();
+function nextId(level) {
+  const counter = counterKey(level);
+  state.ids ||= {};
+  state.ids[counter] = (state.ids[counter] || 0) + 1;
+  return state.ids[counter];
+}
 
-  scheduleAutosave();
+function newItem(level, start) {
+  const item = { id: nextId(level), title: "", paragraphIndexes: [start] };
+  if (level === BOTTOM_LEVEL) Object.assign(item, { leftNote: "", rightNote: "" });
+  return item;
 }
 
-export function deleteSection(id) {
-  if (!state.sections.some(s => s.id === id)) return;
+function createItem(level, parIndex, fromRecursion = false) {
+  if (!state[level] || state[level].some(i => i.paragraphIndexes.includes(parIndex))) return;
 
-  state.sections = state.sections.filter(s => s.id !== id);
+  state[level].push(newItem(level, parIndex));
 
-  cleanupDivisions();
+  // Ensure foundation exists
+  const below = levelBelow(level);
+  if (below) createItem(below, parIndex, fromRecursion);
 
-  scheduleAutosave();
+  // Also create at first paragraph (index 0) if not already there
+  if (!fromRecursion && parIndex !== 0) {
+    createItem(level, 0, true);
+  }
 }
 
-export function deleteDivision(id) {
-  state.divisions = state.divisions.filter(d => d.id !== id);
-  scheduleAutosave();
+/* =========================
+   DELETION
+========================= */
+
+function removeItem(level, id) {
+  if (!state[level]?.some(i => i.id === id)) return;
+
+  state[level] = state[level].filter(i => i.id !== id);
+
+  // Bottom-up: whatever rested on the removed item may go with it
+  const keys = levelKeys(state);
+  for (let up = keys.indexOf(level) - 1; up >= 0; up--) {
+    cleanupLevel(keys[up]);
+  }
 }
 
 /* =========================
-   CLEANUP HELPERS
+   MOVING BOUNDARIES
 ========================= */
 
+// Bottom-up, like the building model
+function bottomUp() {
+  return [...levelKeys(state)].reverse();
+}
+
+function itemAt(level, start) {
+  return state[level].find(i => startOf(i) === start);
+}
+
 /**
- * A section is valid ONLY if at least one segment supports it.
+ * Paragraph indexes an item's start may move to, including its
+ * current start. An item can move up to (not onto) its neighbours'
+ * starts; items above that rest on it move too, so their neighbours
+ * limit it as well. Items at the first paragraph cannot move.
  */
-function sectionHasFoundation(section) {
-  return state.segments.some(segment =>
-    segment.sectionId === section.id ||
-    segment.paragraphIndexes.some(p =>
-      section.paragraphIndexes.includes(p)
-    )
-  );
+export function allowedStarts(level, id) {
+  const item = state[level]?.find(i => i.id === id);
+  if (!item) return [];
+
+  const start = startOf(item);
+  if (start === 0) return [0];
+
+  const levels = bottomUp();
+  let lo = 0;
+  let hi = state.paragraphs.length;
+
+  for (let up = levels.indexOf(level); up < levels.length; up++) {
+    if (up > levels.indexOf(level) && !itemAt(levels[up], start)) break;
+
+    state[levels[up]].forEach(other => {
+      const s = startOf(other);
+      if (s < start) lo = Math.max(lo, s);
+      if (s > start) hi = Math.min(hi, s);
+    });
+  }
+
+  const starts = [];
+  for (let i = lo + 1; i < hi; i++) starts.push(i);
+  return starts;
+}
+
+function relocate(level, id, newStart) {
+  const item = state[level]?.find(i => i.id === id);
+  if (!item) return;
+
+  const oldStart = startOf(item);
+  if (newStart === oldStart || !allowedStarts(level, id).includes(newStart)) return;
+
+  const levels = bottomUp();
+  const index = levels.indexOf(level);
+
+  // Walls and roof resting on this boundary move with it
+  const stack = [item];
+  for (let up = index + 1; up < levels.length; up++) {
+    const above = itemAt(levels[up], oldStart);
+    if (!above) break;
+    stack.push(above);
+  }
+  stack.forEach(i => { i.paragraphIndexes = [newStart]; });
+
+  // The new start needs a foundation on every level below
+  for (let down = index - 1; down >= 0; down--) {
+    const lower = levels[down];
+    if (itemAt(lower, newStart)) break;
+
+    const aligned = itemAt(lower, oldStart);
+    if (aligned && allowedStarts(lower, aligned.id).includes(newStart)) {
+      aligned.paragraphIndexes = [newStart];
+    } else {
+      state[lower].push(newItem(lower, newStart));
+    }
+  }
 }
 
 /**
- * A division is valid ONLY if at least one section supports it.
+ * Point each item at the item of the level above it that contains
+ * it (see structureTree.js), and drop links to levels that are no
+ * longer its parent.
  */
-function divisionHasWalls(division) {
-  return state.sections.some(section =>
-    section.divisionId === division.id ||
-    section.paragraphIndexes.some(p =>
-      division.paragraphIndexes.includes(p)
-    )
-  );
+function relinkByPosition(book = state) {
+  const keys = levelKeys(book);
+  const tree = buildTree(book);
+
+  keys.forEach((key, index) => {
+    const parent = keys[index - 1];
+
+    book[key].forEach(item => {
+      keys.forEach(other => {
+        if (other !== parent) delete item[linkField(other)];
+      });
+      if (parent) item[linkField(parent)] = findNode(tree, key, item.id)?.parent?.item.id ?? null;
+    });
+  });
 }
 
 /* =========================
    CLEANUP (BOTTOM-UP)
 ========================= */
 
-function cleanupSections() {
-  state.sections = state.sections.filter(section =>
-    sectionHasFoundation(section)
-  );
-}
-
-function cleanupDivisions() {
-  state.divisions = state.divisions.filter(division =>
-    divisionHasWalls(division)
-  );
+/**
+ * An item is valid ONLY if it still holds at least one item of the
+ * level below. Containment comes from positions, not from the stored
+ * links, which are stale until the action ends.
+ */
+function cleanupLevel(level) {
+  const tree = buildTree(state);
+  state[level] = state[level].filter(item => findNode(tree, level, item.id)?.children.length);
 }
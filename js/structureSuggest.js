@@ -0,0 +1,127 @@
+/* structureSuggest.js
+   Structure suggested by the headings of the chart's translation
+   (verses.js):
+
+   bottom level        a segment at every pericope heading (h: 2)
+   level above it      a section at every chapter (h: 1), titled
+                       with the pericope headings it gathers
+
+   Headings that fall inside a paragraph suggest the paragraph that
+   contains them. Higher levels get no suggestion.
+*/
+
+import { getLevels, levelKeys, startOf } from "./levels.js";
+
+/**
+ * @returns {Array<{ level, entries: Array<{ start, title }> }>}
+ *   bottom level last; entries sorted by start, always one at 0
+ */
+export function suggestStructure(book, verses) {
+  const levels = getLevels(book);
+  const locate = paragraphLocator(book.paragraphs || [], verses);
+
+  const pericopes = collect(verses.headings.filter(h => h.level === 2), locate);
+  const chapters = groupChapters(verses.headings, locate);
+
+  const suggestions = [{ level: levels[levels.length - 1], entries: pericopes }];
+  if (levels.length > 1) suggestions.unshift({ level: levels[levels.length - 2], entries: chapters });
+  return suggestions;
+}
+
+/**
+ * Compare a suggestion with a level's current items.
+ *
+ * @returns {Array<{ start, status, current, suggested }>}
+ *   status: "same" | "retitle" | "add" | "remove", or "kept" for an
+ *   item the suggestion drops but the level above rests on
+ */
+export function diffLevel(book, level, entries) {
+  const levels = getLevels(book);
+  const above = levels[levels.findIndex(l => l.key === level.key) - 1];
+  const needed = new Set((above ? book[above.key] || [] : []).map(startOf));
+
+  const current = new Map((book[level.key] || []).map(item => [startOf(item), item]));
+  const suggested = new Map(entries.map(entry => [entry.start, entry]));
+  const starts = [...new Set([...current.keys(), ...suggested.keys()])].sort((a, b) => a - b);
+
+  return starts.map(start => {
+    const item = current.get(start);
+    const entry = suggested.get(start);
+    let status = "same";
+    if (!item) status = "add";
+    else if (!entry) status = needed.has(start) ? "kept" : "remove";
+    else if (!item.title && entry.title) status = "retitle";
+
+    return { start, status, current: item?.title ?? null, suggested: entry?.title ?? null };
+  });
+}
+
+/**
+ * The chart as far as diffLevel sees it once replaceLevel has applied
+ * `entries` to `level`: that level's starts, and foundations below.
+ * The level below is previewed against this when both are ticked.
+ */
+export function previewReplace(book, level, entries) {
+  const keys = levelKeys(book);
+  const at = keys.indexOf(level.key);
+  const above = at > 0 ? book[keys[at - 1]] || [] : [];
+  const starts = [...new Set([0, ...entries.map(e => e.start), ...above.map(startOf)])];
+
+  const preview = { ...book, [level.key]: starts.map(start => ({ title: "", paragraphIndexes: [start] })) };
+
+  const below = keys[at + 1];
+  if (below) {
+    const have = new Set((book[below] || []).map(startOf));
+    preview[below] = [
+      ...(book[below] || []),
+      ...starts.filter(start => !have.has(start)).map(start => ({ title: "", paragraphIndexes: [start] }))
+    ];
+  }
+  return preview;
+}
+
+// verse ref → index of the paragraph containing it
+function paragraphLocator(paragraphs, verses) {
+  const firsts = paragraphs.map(p => verses.refs.indexOf((p.range || "").split("–")[0]));
+
+  return ref => {
+    const at = verses.refs.indexOf(ref);
+    if (at < 0) return -1;
+    let index = -1;
+    firsts.forEach((first, i) => { if (first >= 0 && first <= at) index = i; });
+    return index;
+  };
+}
+
+function collect(headings, locate) {
+  const byStart = new Map([[0, []]]);
+
+  headings.forEach(heading => {
+    const start = locate(heading.ref);
+    if (start < 0) return;
+    if (!byStart.has(start)) byStart.set(start, []);
+    byStart.get(start).push(heading.text);
+  });
+
+  return [...byStart]
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, titles]) => ({ start, title: titles.join(" / ") }));
+}
+
+// One entry per chapter, titled with the pericopes it starts or holds
+function groupChapters(headings, locate) {
+  const chapters = [];
+
+  headings.forEach(heading => {
+    if (heading.level === 1) {
+      chapters.push({ ref: heading.ref, titles: [] });
+    } else if (chapters.length) {
+      chapters[chapters.length - 1].titles.push(heading.text);
+    }
+  });
+
+  return collect(
+    chapters.map(chapter => ({ ref: chapter.ref, text: chapter.titles.join("; ") })),
+    locate
+  );
+}
@@ -0,0 +1,100 @@
+/* structureTree.js
+   Containment derived from paragraph positions: which item holds
+   which, down to the paragraphs.
+
+       division → sections → segments → paragraphs
+
+   An item holds the items of the level below that start between its
+   own start and the start of the next item of its level. Nothing
+   here is stored: the tree is rebuilt from positions whenever it is
+   needed, so it cannot go stale. The stored `<parent>Id` links are
+   written from it after every structure change (structureLogic.js).
+*/
+
+import { getLevels, sortByStart, startOf } from "./levels.js";
+
+/**
+ * @typedef {Object} TreeNode
+ * @property {string} level      level key
+ * @property {Object} item       the chart's item
+ * @property {number} start      first paragraph index
+ * @property {number} end        last paragraph index
+ * @property {TreeNode|null} parent
+ * @property {TreeNode[]} children  items of the level below, in order
+ */
+
+/**
+ * @returns {{ roots: TreeNode[], nodes: Map<string, TreeNode> }}
+ *   roots: top-level items, then lower items no item contains;
+ *   nodes: keyed by nodeKey(level, id)
+ */
+export function buildTree(book) {
+  const levels = getLevels(book);
+  const total = book.paragraphs?.length || 0;
+  const nodes = new Map();
+  const roots = [];
+  let above = [];
+
+  levels.forEach(({ key }) => {
+    const sorted = sortByStart(book[key]);
+
+    const layer = sorted.map((item, i) => {
+      const next = sorted.slice(i + 1).find(other => startOf(other) > startOf(item));
+      const node = {
+        level: key,
+        item,
+        start: startOf(item),
+        end: next ? startOf(next) - 1 : total - 1,
+        parent: containerNode(above, startOf(item)),
+        children: []
+      };
+      nodes.set(nodeKey(key, item.id), node);
+      return node;
+    });
+
+    layer.forEach(node => {
+      if (node.parent) node.parent.children.push(node);
+      else roots.push(node);
+    });
+
+    above = layer;
+  });
+
+  return { roots, nodes };
+}
+
+// Nearest node of a sorted layer starting at or before `start`
+function containerNode(layer, start) {
+  let result = null;
+  for (const node of layer) {
+    if (node.start <= start) result = node;
+    else break;
+  }
+  return result;
+}
+
+export function nodeKey(level, id) {
+  return `${level}#${id}`;
+}
+
+export function findNode(tree, level, id) {
+  return tree.nodes.get(nodeKey(level, id)) || null;
+}
+
+/**
+ * Containing nodes, nearest first.
+ */
+export function ancestorsOf(node) {
+  const result = [];
+  for (let n = node?.parent; n; n = n.parent) result.push(n);
+  return result;
+}
+
+/**
+ * Paragraph indexes a node covers.
+ */
+export function paragraphsOf(node) {
+  const indexes = [];
+  for (let i = node.start; i <= node.end; i++) indexes.push(i);
+  return indexes;
+}
@@ -1,21 +1,24 @@
 /* structureUI.js
-   Renders the stacked structure panel:
-   Divisions → Sections → Segments
+   Renders the stacked structure panel, one group per level:
+   e.g. Divisions → Sections → Segments
+   Each item shows the verses it spans and what it holds, from the
+   containment tree (structureTree.js).
 */
 
-import { state } from "./state.js";
+import { store, state } from "./state.js";
 import { getById, createEl } from "./domUtils.js";
-import {
-  deleteDivision,
-  deleteSection,
-  deleteSegment
-} from "./structureLogic.js";
+import { deleteItem, moveBoundary, allowedStarts } from "./structureLogic.js";
+import { recordChange } from "./commandHistory.js";
+import { getLevels, levelTier, levelName, pluralName } from "./levels.js";
+import { buildTree, findNode, paragraphsOf } from "./structureTree.js";
+import { paragraphSpanLabel } from "./references.js";
 
 export function renderStructure() {
   const container = getById('structureList');
   if (!container) return;
 
   container.innerHTML = '';
+  const tree = buildTree(state);
 
   function addHeading(text) {
     const heading = createEl('div', {
@@ -25,7 +28,9 @@ export function renderStructure() {
     container.appendChild(heading);
   }
 
-  function renderGroup(items = [], type) {
+  function renderGroup(level) {
+    const items = state[level.key];
+    const type = level.name.toLowerCase();
     if (!Array.isArray(items)) return;
 
     items
@@ -33,24 +38,22 @@ export function renderStructure() {
       .sort((a, b) => a.paragraphIndexes[0] - b.paragraphIndexes[0])
       .forEach(item => {
         const box = createEl('div', {
-          className: `structure-box ${type}-box`
+          className: `structure-box ${levelTier(state, level.key)}-box`
         });
 
         const row = createEl('div', { className: 'structure-row' });
 
-        const range =
-          state.paragraphs?.[item.paragraphIndexes[0]]?.range || '';
-
-        const rangeLabel = createEl('div', {
-          className: 'verse-label small',
-          text: range
-        });
+        const rangeLabel = renderStartPicker(item, level.key, type);
 
         const title = createEl('input', {
           attrs: { placeholder: `${type} title` }
         });
         title.value = item.title || '';
-        title.oninput = e => (item.title = e.target.value);
+        title.oninput = e => recordChange(
+          `Edit ${type} title`,
+          () => store.setItemField(level.key, item.id, 'title', e.target.value),
+          { mergeKey: `${level.key}:${item.id}:title` }
+        );
 
         const del = createEl('button', {
           className: 'btn small delete-btn',
@@ -59,33 +62,71 @@ export function renderStructure() {
         });
 
         del.onclick = () => {
-          if (type === 'division') deleteDivision(item.id);
-          if (type === 'section') deleteSection(item.id);
-          if (type === 'segment') deleteSegment(item.id);
-          renderStructure();
+          recordChange(`Delete ${type}`, () => deleteItem(level.key, item.id));
         };
 
         row.append(rangeLabel, title, del);
         box.appendChild(row);
+
+        const node = findNode(tree, level.key, item.id);
+        if (node) box.appendChild(createEl('div', { className: 'structure-span muted', text: describeNode(node) }));
+
         container.appendChild(box);
       });
   }
 
-  // ---- Render with headings ----
-  addHeading('Divisions');
-  renderGroup(state.divisions, 'division');
+  // "1:1–2:11 · 3 sections", or paragraphs on the bottom level
+  function describeNode(node) {
+    const span = paragraphSpanLabel(state.paragraphs, node.start, node.end);
+
+    const count = node.children.length || paragraphsOf(node).length;
+    const what = node.children.length ? levelName(state, node.children[0].level) : 'paragraph';
+    return `${span} · ${count} ${(count === 1 ? what : pluralName(what)).toLowerCase()}`;
+  }
+
+  // Start paragraph: a dropdown when the boundary can move
+  function renderStartPicker(item, key, type) {
+    const start = item.paragraphIndexes[0];
+    const starts = allowedStarts(key, item.id);
 
-  container.appendChild(
-    createEl('hr', { className: 'structure-separator' })
-  );
+    if (starts.length < 2) {
+      return createEl('div', {
+        className: 'verse-label small',
+        text: state.paragraphs?.[start]?.range || ''
+      });
+    }
+
+    const select = createEl('select', {
+      className: 'verse-label small boundary-select',
+      attrs: { title: `Move where this ${type} starts` }
+    });
+
+    starts.forEach(i => {
+      const option = createEl('option', {
+        text: state.paragraphs[i]?.range || `#${i + 1}`,
+        attrs: { value: i }
+      });
+      option.selected = i === start;
+      select.appendChild(option);
+    });
 
-  addHeading('Sections');
-  renderGroup(state.sections, 'section');
+    select.onchange = () => recordChange(
+      `Move ${type}`,
+      () => moveBoundary(key, item.id, Number(select.value))
+    );
 
-  container.appendChild(
-    createEl('hr', { className: 'structure-separator' })
-  );
+    return select;
+  }
 
-  addHeading('Segments');
-  renderGroup(state.segments, 'segment');
+  // ---- Render with headings ----
+  getLevels(state).forEach((level, index) => {
+    if (index > 0) {
+      container.appendChild(
+        createEl('hr', { className: 'structure-separator' })
+      );
+    }
+
+    addHeading(pluralName(level.name));
+    renderGroup(level);
+  });
 }
@@ -0,0 +1,158 @@
+/* structureValidator.js
+   Checks a chart's structure against the building model
+   (see structureLogic.js):
+
+   - every item starts at a valid paragraph
+   - every item starts where an item of the level below starts
+   - the first paragraph is covered on every level that is used
+   - no two items on one level share a start or an ID
+   - links to the level above point at the item that contains it
+
+   Problems carry a `fix` when one is clear; fixes are store actions.
+*/
+
+import { addItem, deleteItem, relinkStructure } from "./structureLogic.js";
+import { getLevels, linkField, pluralName, startOf, sortByStart, containerAt } from "./levels.js";
+
+function isEmpty(item) {
+  return !item.title && !item.leftNote && !item.rightNote;
+}
+
+/**
+ * @returns {Array<{ key, severity, message, level, itemId, paragraphIndex, fix? }>}
+ *   severity: "error" (the Chart Editor cannot place it) or "warning"
+ *   fix: { label, run }
+ */
+export function validateStructure(book) {
+  const problems = [];
+  const paragraphs = book.paragraphs || [];
+  const rangeOf = i => paragraphs[i]?.range || `paragraph ${i + 1}`;
+
+  const levels = getLevels(book).map(({ key, name }) => ({ key, type: name.toLowerCase(), plural: pluralName(name).toLowerCase() }));
+  const valid = {};
+
+  // ---- Positions and duplicates ----
+  levels.forEach(({ key, type, plural }) => {
+    const items = book[key] || [];
+    const seenIds = new Map();
+    const seenStarts = new Map();
+    valid[key] = [];
+
+    items.forEach(item => {
+      const indexes = item.paragraphIndexes || [];
+      const inRange = indexes.length && indexes.every(i => Number.isInteger(i) && i >= 0 && i < paragraphs.length);
+
+      if (!inRange) {
+        problems.push({
+          key: `${key}#${item.id}:position`,
+          severity: "error",
+          level: key,
+          itemId: item.id,
+          paragraphIndex: null,
+          message: `The ${type} "${item.title || item.id}" has no valid starting paragraph.`,
+          fix: { label: `Delete ${type}`, run: () => deleteItem(key, item.id) }
+        });
+        return;
+      }
+
+      if (seenIds.has(item.id)) {
+        problems.push({
+          key: `${key}#${item.id}:id`,
+          severity: "error",
+          level: key,
+          itemId: item.id,
+          paragraphIndex: startOf(item),
+          message: `Two ${plural} share the ID ${item.id}; edits to one will affect the other.`
+        });
+      }
+      seenIds.set(item.id, item);
+
+      const start = startOf(item);
+      const twin = seenStarts.get(start);
+      if (twin) {
+        const removable = isEmpty(item) ? item : isEmpty(twin) ? twin : null;
+        problems.push({
+          key: `${key}#${item.id}:duplicate`,
+          severity: "warning",
+          level: key,
+          itemId: item.id,
+          paragraphIndex: start,
+          message: `Two ${plural} start at ${rangeOf(start)}.`,
+          fix: removable && item.id !== twin.id
+            ? { label: `Remove the empty ${type}`, run: () => deleteItem(key, removable.id) }
+            : undefined
+        });
+      } else {
+        seenStarts.set(start, item);
+        valid[key].push(item);
+      }
+    });
+  });
+
+  // ---- Nesting ----
+  levels.slice(0, -1).forEach(({ key, type }, index) => {
+    const below = levels[index + 1];
+    const belowStarts = new Set(valid[below.key].map(startOf));
+
+    valid[key].forEach(item => {
+      const start = startOf(item);
+      if (belowStarts.has(start)) return;
+      problems.push({
+        key: `${key}#${item.id}:foundation`,
+        severity: "error",
+        level: key,
+        itemId: item.id,
+        paragraphIndex: start,
+        message: `The ${type} "${item.title || rangeOf(start)}" starts in the middle of a ${below.type}.`,
+        fix: { label: `Start a ${below.type} here`, run: () => addItem(below.key, start) }
+      });
+    });
+  });
+
+  // ---- Coverage ----
+  levels.forEach(({ key, type }, index) => {
+    if (!valid[key].length || valid[key].some(i => startOf(i) === 0)) return;
+    problems.push({
+      key: `${key}:coverage`,
+      severity: "warning",
+      level: key,
+      itemId: null,
+      paragraphIndex: 0,
+      message: `The first paragraph (${rangeOf(0)}) is not in any ${type}.`,
+      fix: index > 0 ? { label: `Start a ${type} at ${rangeOf(0)}`, run: () => addItem(key, 0) } : undefined
+    });
+  });
+
+  // ---- Stale links ----
+  const relink = { label: "Relink by position", run: () => relinkStructure() };
+
+  levels.slice(1).forEach(({ key }, index) => {
+    const { key: parentKey, type: parentType } = levels[index];
+    const field = linkField(parentKey);
+    const parentIds = new Set((book[parentKey] || []).map(p => p.id));
+    const parents = sortByStart(valid[parentKey]);
+
+    valid[key].forEach(item => {
+      const linked = item[field];
+      const expected = containerAt(parents, startOf(item))?.id ?? null;
+      if (linked === expected || linked === undefined) return;
+
+      const label = `"${item.title || rangeOf(startOf(item))}"`;
+      let message = `${label} is linked to a ${parentType} it does not sit in.`;
+      if (linked === null) message = `${label} is not linked to the ${parentType} it sits in.`;
+      else if (!parentIds.has(linked)) message = `${label} points at a deleted ${parentType}.`;
+
+      problems.push({
+        key: `${key}#${item.id}:${field}`,
+        severity: "warning",
+        level: key,
+        itemId: item.id,
+        paragraphIndex: startOf(item),
+        message,
+        fix: relink
+      });
+    });
+  });
+
+  return problems;
+}
@@ -0,0 +1,128 @@
+/* suggestUI.js
+   "Suggest structure" dialog in the Charter Builder: previews the
+   structure suggested by the translation's headings (structureSuggest.js)
+   against the chart, level by level. Only the ticked levels are
+   applied, as one undoable change; a level is previewed against the
+   structure the ticked levels above it leave.
+*/
+
+import { state } from "./state.js";
+import { createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { loadVerses } from "./verses.js";
+import { getTranslation, translationOf } from "./translations.js";
+import { suggestStructure, diffLevel, previewReplace } from "./structureSuggest.js";
+import { replaceLevel } from "./structureLogic.js";
+import { recordChange } from "./commandHistory.js";
+import { pluralName } from "./levels.js";
+
+const STATUS_LABELS = {
+  same: "Unchanged",
+  retitle: "Title added",
+  add: "Added",
+  remove: "Removed",
+  kept: "Kept (level above starts here)"
+};
+
+export async function openSuggestDialog() {
+  const verses = await loadVerses(state.book, translationOf(state));
+  if (!verses?.headings.length) {
+    alert(`No heading data is available for ${state.book || 'this book'}.`);
+    return;
+  }
+  if (!state.paragraphs.length) {
+    alert('This chart has no paragraphs yet.');
+    return;
+  }
+
+  const suggestions = suggestStructure(state, verses);
+  const body = createEl('div', { className: 'suggest-preview' });
+
+  body.appendChild(createEl('p', {
+    className: 'muted',
+    text: `Suggested from the ${getTranslation(translationOf(state)).abbreviation} headings. ` +
+      'Existing titles and notes stay; those of removed items move to the item that takes over their verses ' +
+      '(a title only where that item has none). Tick the levels to apply.'
+  }));
+
+  // Top level first
+  const choices = suggestions.map(({ level, entries }) => {
+    const box = createEl('input', { attrs: { type: 'checkbox' } });
+    const summary = createEl('span');
+    const label = createEl('label', { className: 'suggest-level' });
+    label.append(box, summary);
+
+    const table = createEl('table', { className: 'suggest-table' });
+    body.append(label, table);
+    return { level, entries, box, summary, table };
+  });
+
+  function renderChoices(initial) {
+    let book = state;
+    choices.forEach(choice => {
+      const rows = diffLevel(book, choice.level, choice.entries);
+      const changed = rows.some(row => row.status !== 'same' && row.status !== 'kept');
+
+      if (initial || !changed) choice.box.checked = changed;
+      choice.box.disabled = !changed;
+      choice.summary.textContent = ` ${pluralName(choice.level.name)} — ${summarize(rows)}`;
+      renderRows(choice.table, rows);
+
+      if (choice.box.checked) book = previewReplace(book, choice.level, choice.entries);
+    });
+  }
+
+  choices.forEach(choice => { choice.box.onchange = () => renderChoices(false); });
+  renderChoices(true);
+
+  openDialog({
+    title: 'Suggest structure',
+    eyebrow: 'Structure',
+    body,
+    wide: true,
+    actions: [
+      { label: 'Cancel' },
+      {
+        label: 'Apply ticked levels',
+        primary: true,
+        onClick: () => {
+          // Top-down, so each level keeps the starts of the one above
+          const picked = choices.filter(choice => choice.box.checked);
+          if (!picked.length) return;
+          recordChange('Apply suggested structure', () => {
+            picked.forEach(({ level, entries }) => replaceLevel(level.key, entries));
+          });
+        }
+      }
+    ]
+  });
+}
+
+function renderRows(table, rows) {
+  table.innerHTML = '';
+  const head = createEl('tr');
+  ['Starts at', 'Now', 'Suggested', ''].forEach(text => head.appendChild(createEl('th', { text })));
+  table.appendChild(head);
+
+  rows.forEach(row => {
+    const tr = createEl('tr', { className: `suggest-${row.status}` });
+    tr.append(
+      createEl('td', { text: state.paragraphs[row.start]?.range || '' }),
+      createEl('td', { text: row.current ?? '—' }),
+      createEl('td', { text: row.suggested ?? '—' }),
+      createEl('td', { className: 'muted', text: STATUS_LABELS[row.status] })
+    );
+    table.appendChild(tr);
+  });
+}
+
+function summarize(rows) {
+  const count = status => rows.filter(row => row.status === status).length;
+  const parts = [
+    [count('add'), 'added'],
+    [count('remove'), 'removed'],
+    [count('retitle'), 'titled']
+  ].filter(([n]) => n).map(([n, what]) => `${n} ${what}`);
+
+  return parts.length ? parts.join(', ') : 'no changes';
+}
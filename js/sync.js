@@ -0,0 +1,366 @@
+/* sync.js
+   Live change propagation between open tabs (BroadcastChannel).
+
+   Every tab that edits a chart keeps a `base` copy: the version it
+   last had in common with the other tabs. When another tab announces
+   an edit or a save, the three versions (base, mine, theirs) are
+   merged field by field:
+
+     - changed only in theirs → taken
+     - changed only in mine   → kept
+     - changed differently in both → conflict, resolved by the user
+
+   Paragraphs are matched by position, and structure items point at
+   those positions. When the tabs end up with different paragraphs
+   (one split, merged or switched translation) and both changed
+   paragraphs or structure, nothing of either lines up with the
+   other: paragraphs and structure together become one conflict.
+*/
+
+import { levelKeys, levelName } from "./levels.js";
+
+const CHANNEL_NAME = "sbs-charter-sync";
+const EDIT_BROADCAST_DELAY = 400;
+
+// `levels` (names and order) merges as one value; items per level
+const SCALAR_FIELDS = ["bookName", "bookTitle", "chartName", "keyVerse", "translation", "levels"];
+
+const tabId = Math.random().toString(36).slice(2);
+const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(CHANNEL_NAME) : null;
+const localListeners = new Set();
+
+let editTimer = null;
+
+function clone(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+function itemLevels(...books) {
+  return [...new Set(books.flatMap(book => book ? levelKeys(book) : []))];
+}
+
+/* ================================
+   Broadcasting
+================================ */
+
+/**
+ * Announce a chart to other tabs.
+ * type: "saved" (persisted) or "edit" (unsaved, in memory)
+ */
+export function broadcastBook(type, book) {
+  if (!book?.bookId) return;
+
+  const message = { type, tabId, bookId: book.bookId, book: clone(book) };
+  if (channel) channel.postMessage(message);
+
+  // BroadcastChannel does not deliver to the sending tab
+  localListeners.forEach(fn => fn({ ...message, own: true }));
+}
+
+/**
+ * Debounced "edit" broadcast for pages without autosave.
+ */
+export function scheduleEditBroadcast(book) {
+  clearTimeout(editTimer);
+  editTimer = setTimeout(() => broadcastBook("edit", book), EDIT_BROADCAST_DELAY);
+}
+
+/* ================================
+   Three-way merge
+================================ */
+
+function flatten(book) {
+  const map = new Map();
+  if (!book) return map;
+
+  SCALAR_FIELDS.forEach(f => map.set(f, JSON.stringify(book[f] ?? "")));
+
+  (book.paragraphs || []).forEach((p, i) => {
+    Object.entries(p).forEach(([f, v]) => map.set(`paragraphs.${i}.${f}`, JSON.stringify(v)));
+  });
+
+  levelKeys(book).forEach(level => {
+    (book[level] || []).forEach(item => {
+      map.set(`${level}#${item.id}`, "true");
+      Object.entries(item).forEach(([f, v]) => map.set(`${level}#${item.id}.${f}`, JSON.stringify(v)));
+    });
+  });
+
+  return map;
+}
+
+function unflatten(map, template) {
+  const book = { ...template };
+
+  SCALAR_FIELDS.forEach(f => {
+    if (map.has(f)) book[f] = JSON.parse(map.get(f));
+  });
+
+  const paragraphs = [];
+  const items = new Map();
+
+  map.forEach((value, key) => {
+    const para = key.match(/^paragraphs\.(\d+)\.(.+)$/);
+    if (para) {
+      const i = Number(para[1]);
+      paragraphs[i] ||= {};
+      paragraphs[i][para[2]] = JSON.parse(value);
+      return;
+    }
+
+    const field = key.match(/^(\w+)#(\d+)\.(.+)$/);
+    if (field && map.has(`${field[1]}#${field[2]}`)) {
+      if (!items.has(field[1])) items.set(field[1], new Map());
+      const byId = items.get(field[1]);
+      if (!byId.has(field[2])) byId.set(field[2], {});
+      byId.get(field[2])[field[3]] = JSON.parse(value);
+    }
+  });
+
+  book.paragraphs = paragraphs.filter(Boolean);
+
+  // Levels removed in the merge take their items with them
+  levelKeys(template).forEach(level => { delete book[level]; });
+  levelKeys(book).forEach(level => { book[level] = [...(items.get(level)?.values() || [])]; });
+
+  return book;
+}
+
+// Paragraph fields and structure items: everything tied to positions
+function isPositional(key) {
+  return key.startsWith("paragraphs.") || key.includes("#");
+}
+
+function positionalFields(map) {
+  return Object.fromEntries([...map].filter(([k]) => isPositional(k)));
+}
+
+function paragraphLayout(book) {
+  return JSON.stringify((book?.paragraphs || []).map(p => p.range));
+}
+
+function positionsChanged(base, side) {
+  const keys = new Set([...base.keys(), ...side.keys()].filter(isPositional));
+  return [...keys].some(k => base.get(k) !== side.get(k));
+}
+
+function itemFields(map, prefix) {
+  const fields = {};
+  map.forEach((v, k) => {
+    if (k.startsWith(`${prefix}.`)) fields[k] = v;
+  });
+  return fields;
+}
+
+/**
+ * Merge three versions of a chart.
+ * @returns {{ merged: Map, conflicts: Array<{ key, mine, theirs, item? }> }}
+ */
+function merge3(base, mine, theirs) {
+  const b = flatten(base);
+  const m = flatten(mine);
+  const t = flatten(theirs);
+
+  const merged = new Map();
+  const conflicts = [];
+  const layoutConflict = paragraphLayout(mine) !== paragraphLayout(theirs) &&
+    positionsChanged(b, m) && positionsChanged(b, t);
+  const keys = new Set([...b.keys(), ...m.keys(), ...t.keys()]);
+
+  keys.forEach(key => {
+    if (layoutConflict && isPositional(key)) return;
+
+    const bv = b.get(key), mv = m.get(key), tv = t.get(key);
+    let value;
+
+    if (mv === tv) value = mv;
+    else if (mv === bv) value = tv;
+    else if (tv === bv) value = mv;
+    else {
+      conflicts.push({ key, mine: mv, theirs: tv });
+      value = mv;
+    }
+
+    if (value !== undefined) merged.set(key, value);
+  });
+
+  if (layoutConflict) {
+    const sides = { mine: positionalFields(m), theirs: positionalFields(t) };
+    conflicts.push({ key: "paragraphs", layout: true, ...sides });
+    Object.entries(sides.mine).forEach(([k, v]) => merged.set(k, v)); // until the user decides
+    return { merged, conflicts };
+  }
+
+  // An item deleted on one side but edited on the other is one
+  // item-level conflict rather than a set of stray field conflicts.
+  itemLevels(base, mine, theirs).forEach(level => {
+    const ids = new Set();
+    [b, m, t].forEach(map => map.forEach((_, k) => {
+      const match = k.match(new RegExp(`^${level}#(\\d+)$`));
+      if (match) ids.add(match[1]);
+    }));
+
+    ids.forEach(id => {
+      const prefix = `${level}#${id}`;
+      const inMine = m.has(prefix), inTheirs = t.has(prefix);
+      if (inMine === inTheirs) return;
+
+      const survivor = inMine ? m : t;
+      const changed = Object.entries(itemFields(survivor, prefix)).some(([k, v]) => b.get(k) !== v);
+      if (!changed || !b.has(prefix)) return;
+
+      for (let i = conflicts.length - 1; i >= 0; i--) {
+        if (conflicts[i].key === prefix || conflicts[i].key.startsWith(`${prefix}.`)) conflicts.splice(i, 1);
+      }
+      conflicts.push({
+        key: prefix,
+        item: true,
+        mine: inMine ? itemFields(m, prefix) : null,
+        theirs: inTheirs ? itemFields(t, prefix) : null
+      });
+
+      // Default to mine until the user decides
+      [...merged.keys()].forEach(k => {
+        if (k === prefix || k.startsWith(`${prefix}.`)) merged.delete(k);
+      });
+      if (inMine) {
+        merged.set(prefix, "true");
+        Object.entries(itemFields(m, prefix)).forEach(([k, v]) => merged.set(k, v));
+      }
+    });
+  });
+
+  return { merged, conflicts };
+}
+
+function applyResolution(merged, conflicts, resolution) {
+  conflicts.forEach(c => {
+    const side = resolution[c.key] === "theirs" ? "theirs" : "mine";
+    const value = c[side];
+
+    if (!c.item && !c.layout) {
+      if (value === undefined) merged.delete(c.key);
+      else merged.set(c.key, value);
+      return;
+    }
+
+    const covers = c.layout ? isPositional : k => k === c.key || k.startsWith(`${c.key}.`);
+    [...merged.keys()].forEach(k => {
+      if (covers(k)) merged.delete(k);
+    });
+    if (value) {
+      if (c.item) merged.set(c.key, "true");
+      Object.entries(value).forEach(([k, v]) => merged.set(k, v));
+    }
+  });
+}
+
+function sameContent(a, b) {
+  const fa = flatten(a), fb = flatten(b);
+  return fa.size === fb.size && [...fa].every(([k, v]) => fb.get(k) === v);
+}
+
+function mergeIds(a = {}, b = {}) {
+  const ids = { ...a };
+  Object.entries(b).forEach(([k, v]) => { ids[k] = Math.max(ids[k] || 0, v || 0); });
+  return ids;
+}
+
+/**
+ * Human-readable label for a conflicting key.
+ */
+export function describeConflict(conflict, book) {
+  const { key } = conflict;
+
+  if (conflict.layout) return "Paragraphs and structure (paragraphs split, merged or re-read in one tab, edited in the other)";
+
+  if (SCALAR_FIELDS.includes(key)) {
+    return {
+      bookName: "Book title",
+      bookTitle: "Display title",
+      chartName: "Chart name",
+      keyVerse: "Key verse",
+      translation: "Translation",
+      levels: "Levels"
+    }[key];
+  }
+
+  const para = key.match(/^paragraphs\.(\d+)\.(.+)$/);
+  if (para) {
+    const range = book.paragraphs?.[para[1]]?.range || `#${Number(para[1]) + 1}`;
+    return `Paragraph ${range} — ${para[2]}`;
+  }
+
+  const item = key.match(/^(\w+)#(\d+)(?:\.(.+))?$/);
+  if (item) {
+    const name = levelName(book, item[1]);
+    const found = (book[item[1]] || []).find(i => String(i.id) === item[2]);
+    const label = found?.title ? `"${found.title}"` : `#${item[2]}`;
+    return item[3]
+      ? `${name} ${label} — ${item[3]}`
+      : `${name} ${label} (deleted in one tab, edited in the other)`;
+  }
+
+  return key;
+}
+
+/* ================================
+   Page wiring
+================================ */
+
+/**
+ * Keep a page's in-memory chart in sync with other tabs.
+ *
+ * @param {Object} opts
+ * @param {Function} opts.getBook - current in-memory chart
+ * @param {Function} opts.applyBook - replace the in-memory chart and re-render
+ * @param {Function} opts.resolveConflicts - (conflicts, book) → Promise<{ [key]: "mine"|"theirs" }>
+ * @param {Function} [opts.onInSyncWithSaved] - called when a remote save leaves nothing unsaved here
+ */
+export function initSync({ getBook, applyBook, resolveConflicts, onInSyncWithSaved }) {
+  let base = clone(getBook());
+  let queue = Promise.resolve();
+
+  async function handle(message) {
+    let mine = getBook();
+    if (!mine || message.bookId !== mine.bookId) return;
+
+    if (message.own) {
+      // Our own save becomes the new common ancestor
+      if (message.type === "saved") base = clone(message.book);
+      return;
+    }
+
+    const theirs = message.book;
+    let { merged, conflicts } = merge3(base, mine, theirs);
+
+    if (conflicts.length) {
+      const resolution = await resolveConflicts(conflicts, mine, theirs);
+
+      // Edits made here while the user was choosing belong to mine too
+      mine = getBook();
+      ({ merged, conflicts } = merge3(base, mine, theirs));
+      applyResolution(merged, conflicts, resolution || {});
+    }
+
+    const next = unflatten(merged, mine);
+    next.ids = mergeIds(mine.ids, theirs.ids);
+
+    base = clone(theirs);
+
+    // Skip no-op updates so an echo of our own edits does not re-render
+    if (!sameContent(next, mine)) applyBook(next);
+
+    if (message.type === "saved" && onInSyncWithSaved && sameContent(next, theirs)) {
+      onInSyncWithSaved();
+    }
+  }
+
+  function enqueue(message) {
+    // Handle messages one at a time so conflict prompts never overlap
+    queue = queue.then(() => handle(message)).catch(err => console.error("Sync failed:", err));
+  }
+
+  if (channel) channel.addEventListener("message", e => enqueue(e.data));
+  localListeners.add(enqueue);
+}
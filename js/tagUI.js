@@ -0,0 +1,102 @@
+/* tagUI.js
+   Paragraph tags in the Charter Builder: tag chips with an add box
+   on each paragraph row, autocomplete from the chart's tags, and a
+   filter that shows only the paragraphs carrying a tag.
+*/
+
+import { state } from "./state.js";
+import { getById, createEl } from "./domUtils.js";
+import { recordChange } from "./commandHistory.js";
+import { tagsOf, tagIndex, hasTag, addTag, removeTag, normalizeTag } from "./tags.js";
+
+let filterTag = "";
+
+/**
+ * Tag chips and add box for paragraph `index`.
+ */
+export function renderTagEditor(index) {
+  const box = createEl('div', { className: 'paragraph-tags' });
+
+  tagsOf(state.paragraphs[index]).forEach(tag => {
+    const chip = createEl('span', { className: 'tag-chip', text: tag });
+    const remove = createEl('button', {
+      className: 'tag-remove',
+      text: '×',
+      attrs: { type: 'button', title: `Remove tag "${tag}"`, 'aria-label': `Remove tag ${tag}` }
+    });
+    remove.onclick = () => {
+      recordChange('Remove tag', () => removeTag(index, tag));
+      box.replaceWith(renderTagEditor(index));
+    };
+    chip.appendChild(remove);
+    box.appendChild(chip);
+  });
+
+  const input = createEl('input', {
+    className: 'tag-input',
+    attrs: { list: 'tagSuggestions', placeholder: '+ tag', 'aria-label': 'Add tag' }
+  });
+  input.onkeydown = e => {
+    if (e.key !== 'Enter' && e.key !== ',') return;
+    e.preventDefault();
+    commit();
+  };
+  input.onchange = commit; // picked from the suggestions
+
+  function commit() {
+    const tag = normalizeTag(input.value);
+    input.value = '';
+    if (!tag) return;
+    recordChange('Add tag', () => addTag(index, tag));
+    const fresh = renderTagEditor(index);
+    box.replaceWith(fresh);
+    fresh.querySelector('.tag-input')?.focus();
+  }
+
+  box.appendChild(input);
+  return box;
+}
+
+/* ================================
+   Suggestions and filter
+================================ */
+
+/**
+ * Refresh the autocomplete list and the filter after tags change.
+ */
+export function renderTagFilter() {
+  const index = tagIndex(state);
+
+  const list = getById('tagSuggestions');
+  if (list) {
+    list.innerHTML = '';
+    index.forEach(({ tag }) => list.appendChild(createEl('option', { attrs: { value: tag } })));
+  }
+
+  const select = getById('tagFilter');
+  if (select) {
+    select.innerHTML = '';
+    select.appendChild(createEl('option', { text: 'All paragraphs', attrs: { value: '' } }));
+    index.forEach(({ tag, indexes }) => {
+      select.appendChild(createEl('option', { text: `${tag} (${indexes.length})`, attrs: { value: tag } }));
+    });
+    if (filterTag && !index.some(entry => entry.tag.toLowerCase() === filterTag.toLowerCase())) filterTag = '';
+    select.value = filterTag;
+    select.onchange = () => {
+      filterTag = select.value;
+      applyTagFilter();
+    };
+  }
+
+  applyTagFilter();
+}
+
+/**
+ * Hide the paragraph rows without the filter tag.
+ */
+export function applyTagFilter() {
+  document.querySelectorAll('#paragraphRows .paragraph-row').forEach((row, i) => {
+    row.hidden = !!filterTag && !hasTag(state.paragraphs[i], filterTag);
+  });
+  getById('paragraphRows')?.classList.toggle('filtered', !!filterTag);
+}
@@ -0,0 +1,65 @@
+/* tags.js
+   Paragraph tags: themes, people and places ("covenant", "Moab",
+   "Naomi") kept on each paragraph as `tags: string[]`.
+
+   Tags are compared without regard to case; the first spelling used
+   in a chart is the one shown. Charts saved before tags existed
+   simply have no `tags` field.
+*/
+
+import { store, state } from "./state.js";
+
+export function normalizeTag(tag) {
+  return String(tag || "").trim().replace(/\s+/g, " ");
+}
+
+function sameTag(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+export function tagsOf(paragraph) {
+  return Array.isArray(paragraph?.tags) ? paragraph.tags : [];
+}
+
+/**
+ * Every tag of a chart with the paragraphs carrying it.
+ * @returns {Array<{ tag: string, indexes: number[] }>} sorted by tag
+ */
+export function tagIndex(book) {
+  const byKey = new Map();
+
+  (book.paragraphs || []).forEach((paragraph, i) => {
+    tagsOf(paragraph).forEach(tag => {
+      const key = tag.toLowerCase();
+      if (!byKey.has(key)) byKey.set(key, { tag, indexes: [] });
+      byKey.get(key).indexes.push(i);
+    });
+  });
+
+  return [...byKey.values()].sort((a, b) => a.tag.localeCompare(b.tag, undefined, { sensitivity: "base" }));
+}
+
+export function hasTag(paragraph, tag) {
+  return tagsOf(paragraph).some(t => sameTag(t, tag));
+}
+
+/* ================================
+   Actions
+================================ */
+
+export function addTag(index, tag) {
+  const name = normalizeTag(tag);
+  const paragraph = state.paragraphs[index];
+  if (!name || !paragraph || hasTag(paragraph, name)) return;
+
+  // Reuse the chart's spelling of a tag it already has
+  const known = tagIndex(state).find(entry => sameTag(entry.tag, name));
+  store.setParagraphField(index, "tags", [...tagsOf(paragraph), known ? known.tag : name]);
+}
+
+export function removeTag(index, tag) {
+  const paragraph = state.paragraphs[index];
+  if (!paragraph || !hasTag(paragraph, tag)) return;
+
+  store.setParagraphField(index, "tags", tagsOf(paragraph).filter(t => !sameTag(t, tag)));
+}
@@ -0,0 +1,76 @@
+/* tagsPage.js
+   Tag index (tags.html?bookId=…): every tag of a chart with the
+   paragraphs carrying it, by range and paragraph title.
+*/
+
+import { getById, createEl } from "./domUtils.js";
+import { loadBook } from "./storage.js";
+import { tagIndex } from "./tags.js";
+
+function showError(message) {
+  const list = getById('tagsList');
+  list.innerHTML = '';
+  list.appendChild(createEl('p', { className: 'loading-message', text: message }));
+}
+
+function tagAnchor(n) {
+  return `tag-${n + 1}`;
+}
+
+function renderTags(book) {
+  const index = tagIndex(book);
+  const jump = getById('tagsJump');
+  const list = getById('tagsList');
+  list.innerHTML = '';
+
+  if (!index.length) {
+    showError('No paragraphs are tagged yet. Add tags under each paragraph in the Charter Builder.');
+    return;
+  }
+
+  index.forEach(({ tag, indexes }, n) => {
+    jump.appendChild(createEl('a', { text: `${tag} (${indexes.length})`, attrs: { href: `#${tagAnchor(n)}` } }));
+
+    const section = createEl('section', { className: 'tag-section', attrs: { id: tagAnchor(n) } });
+    section.appendChild(createEl('h2', { text: `${tag} (${indexes.length})` }));
+
+    const ul = createEl('ul');
+    indexes.forEach(i => {
+      const paragraph = book.paragraphs[i];
+      const li = createEl('li');
+      li.append(
+        createEl('span', { className: 'tag-range', text: paragraph.range }),
+        createEl('span', {
+          className: paragraph.title ? '' : 'muted',
+          text: paragraph.title || '(untitled paragraph)'
+        })
+      );
+      ul.appendChild(li);
+    });
+
+    section.appendChild(ul);
+    list.appendChild(section);
+  });
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const bookId = new URLSearchParams(window.location.search).get('bookId');
+  if (!bookId) {
+    showError('No chart chosen. Open the tag index from the Charter Builder.');
+    return;
+  }
+
+  const book = await loadBook(bookId);
+  if (!book) {
+    showError(`Chart "${bookId}" not found. Please go back to the library.`);
+    return;
+  }
+
+  const title = book.bookTitle || book.bookName || 'Book';
+  const name = book.chartName ? `${title} — ${book.chartName}` : title;
+  getById('tagsTitle').textContent = `Tags in ${name}`;
+  document.title = `Tags — ${name}`;
+  getById('backToBookLink').href = `book.html?bookId=${encodeURIComponent(bookId)}`;
+
+  renderTags(book);
+});
@@ -0,0 +1,314 @@
+/* textImport.js
+   Reads Bible text files (USFM or OSIS XML) into the shapes the app
+   uses for the ESV files (see translations.js):
+
+     verses      like Books/raw/<book>.json
+                 [{ o, r: "<id>:<book>:<chapter>:<verse>", t, h? }]
+     paragraphs  like Books/cleaned/<book>_ranges.json
+                 [{ range: "1:1–1:5", verses: ["1:1", ...], text }]
+
+   Paragraphs break at USFM \p markers (and \m, \pi…) or OSIS <p>,
+   and at every chapter and section heading. A verse that runs on
+   into the next paragraph belongs to both, as in the ESV files.
+   A verse bridge ("\v 2-3") keeps its text on the first verse; the
+   others get empty entries, so references to them still resolve.
+   Footnotes and cross references are left out.
+*/
+
+import { BOOKS, USFM_CODES, OSIS_CODES } from "./books.js";
+
+/**
+ * @param {string} text  contents of a .usfm/.sfm or OSIS .xml file
+ * @param {string} id    translation id to put in verse references
+ * @returns {Array<{ book, verses, paragraphs }>} one per book found
+ */
+export function parseBibleText(text, id) {
+  return /^\s*(<\?xml|<osis)/i.test(text) ? parseOsis(text, id) : parseUsfm(text, id);
+}
+
+/* ================================
+   Collecting one book
+================================ */
+
+function createBookBuilder(id, book) {
+  const verses = [];
+  const paragraphs = [];
+  let chapter = 0;
+  let verse = null;      // "chapter:verse" text goes to, or null
+  let bridged = [];      // later verses of a bridge: "chapter:verse"
+  const bridgedRefs = new Set();
+  let entry = null;      // verses entry the text goes to
+  let paragraph = null;  // { verses, parts }
+  let lastRef = null;
+
+  const ref = v => `${id}:${book}:${chapter}:${v}`;
+  const refOf = chapterVerse => `${id}:${book}:${chapterVerse}`;
+
+  function breakParagraph() {
+    paragraph = null;
+    entry = null; // a verse continuing here gets a second entry
+  }
+
+  return {
+    chapter(n) {
+      chapter = n;
+      verse = null;
+      lastRef = `${chapter}:0`;
+      breakParagraph();
+      verses.push({ o: verses.length + 1, r: ref(0), t: `${book} ${n}`, h: 1 });
+    },
+
+    verse(n, last = n) {
+      if (!chapter) return;
+      verse = `${chapter}:${n}`;
+      bridged = [];
+      for (let k = n + 1; k <= last; k++) bridged.push(`${chapter}:${k}`);
+      lastRef = bridged[bridged.length - 1] || verse;
+      entry = null;
+    },
+
+    endVerse() {
+      verse = null;
+      bridged = [];
+      entry = null;
+    },
+
+    heading(text) {
+      const t = clean(text);
+      if (!chapter || !t) return;
+      // A heading stands before the next verse; it carries the last ref
+      verses.push({ o: verses.length + 1, r: `${id}:${book}:${lastRef}`, t, h: 2 });
+      breakParagraph();
+    },
+
+    paragraph: breakParagraph,
+
+    // Pieces of one verse are joined as they are: markup may split
+    // a word from its punctuation. Whitespace is tidied at the end.
+    text(str) {
+      if (!verse || (!entry && !/\S/.test(str || ""))) return;
+
+      if (!entry) {
+        entry = { o: verses.length + 1, r: ref(verse.split(":")[1]), t: "" };
+        verses.push(entry);
+        bridged.map(refOf).filter(r => !bridgedRefs.has(r)).forEach(r => {
+          bridgedRefs.add(r);
+          verses.push({ o: verses.length + 1, r, t: "" });
+        });
+      }
+      entry.t += str;
+
+      if (!paragraph) {
+        paragraph = { verses: [], parts: [], current: null };
+        paragraphs.push(paragraph);
+      }
+      if (paragraph.current !== verse) {
+        paragraph.current = verse;
+        paragraph.verses.push(verse, ...bridged);
+        paragraph.parts.push("");
+      }
+      paragraph.parts[paragraph.parts.length - 1] += str;
+    },
+
+    finish() {
+      verses.forEach(v => { v.t = clean(v.t); });
+      return {
+        book,
+        verses: verses.filter(v => v.t || bridgedRefs.has(v.r)),
+        paragraphs: paragraphs.map(p => ({
+          range: p.verses.length > 1 ? `${p.verses[0]}–${p.verses[p.verses.length - 1]}` : p.verses[0],
+          verses: p.verses,
+          text: p.parts.map(clean).filter(Boolean).join(" ")
+        }))
+      };
+    }
+  };
+}
+
+function clean(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+function firstNumber(text) {
+  const match = /\d+/.exec(text || "");
+  return match ? Number(match[0]) : null;
+}
+
+/* ================================
+   USFM
+================================ */
+
+// Paragraph markers that start a new paragraph
+const USFM_BREAKS = new Set(["p", "m", "pi", "pmo", "pm", "pc", "pr", "mi", "po", "cls", "ph"]);
+// Section headings
+const USFM_HEADINGS = new Set(["s", "s1", "s2", "s3", "s4"]);
+// Markers whose text is not Bible text, up to the next paragraph marker
+const USFM_SKIP = new Set([
+  "id", "ide", "h", "toc", "toc1", "toc2", "toc3", "mt", "mt1", "mt2", "mt3", "mte",
+  "imt", "is", "ip", "ipr", "iot", "io", "ie", "rem", "sts", "usfm", "cl", "cp",
+  "ms", "ms1", "ms2", "mr", "sr", "r", "sp", "restore"
+]);
+// Character markers whose text is not Bible text, up to their closing marker
+const USFM_SKIP_SPANS = new Set(["ca", "va", "vp", "fig", "rq"]);
+
+function parseUsfm(text, id) {
+  const books = [];
+  let builder = null;
+  let mode = "text";      // "text", "heading", "skip"
+  let heading = "";
+  let skipSpan = null;    // open character marker being left out
+  let expect = null;      // "id", "c" or "v": the next text starts with a number or code
+
+  const source = text
+    .replace(/\\(f|fe|ef|x|ex)\s[\s\S]*?\\\1\*/g, " ")  // notes
+    .replace(/\|[^\\]*(?=\\\+?w\*)/g, "");            // word attributes: \w grace|strong="G5485"\w*
+
+  const endHeading = () => {
+    if (mode === "heading" && builder) builder.heading(heading);
+    heading = "";
+  };
+
+  source.split(/(\\\+?[a-z]+\d*\*?)/i).forEach(token => {
+    const marker = /^\\\+?([a-z]+\d*)(\*?)$/i.exec(token);
+
+    if (!marker) {
+      let rest = token;
+      if (expect === "id") {
+        const code = (rest.trim().split(/\s+/)[0] || "").toUpperCase();
+        const index = USFM_CODES.indexOf(code);
+        if (builder) books.push(builder.finish());
+        builder = index >= 0 ? createBookBuilder(id, BOOKS[index]) : null;
+        rest = "";
+      } else if (expect === "c") {
+        const n = firstNumber(rest);
+        if (builder && n) builder.chapter(n);
+        rest = "";
+      } else if (expect === "v") {
+        const match = /^\s*(\d+)[a-z]?(?:\s*[-–]\s*(\d+))?[^\s]*/.exec(rest);
+        if (builder && match) builder.verse(Number(match[1]), Number(match[2] || match[1]));
+        rest = match ? rest.slice(match[0].length) : rest;
+      }
+      expect = null;
+
+      if (skipSpan || mode === "skip" || !builder) return;
+      if (mode === "heading") heading += rest;
+      else builder.text(rest);
+      return;
+    }
+
+    const name = marker[1].toLowerCase();
+    const closing = marker[2] === "*";
+
+    if (skipSpan) {
+      if (closing && name === skipSpan) skipSpan = null;
+      return;
+    }
+    if (USFM_SKIP_SPANS.has(name) && !closing) {
+      skipSpan = name;
+      return;
+    }
+    if (closing) return; // end of a character style
+
+    if (name === "id") {
+      endHeading();
+      mode = "skip";
+      expect = "id";
+    } else if (name === "c") {
+      endHeading();
+      mode = "text";
+      expect = "c";
+    } else if (name === "v") {
+      endHeading();
+      mode = "text";
+      expect = "v";
+    } else if (USFM_HEADINGS.has(name)) {
+      endHeading();
+      mode = "heading";
+    } else if (USFM_SKIP.has(name)) {
+      endHeading();
+      mode = "skip";
+    } else if (USFM_BREAKS.has(name)) {
+      endHeading();
+      mode = "text";
+      builder?.paragraph();
+    } else if (/^(q|qr|qc|qm|li|b|nb|d)\d*$/.test(name)) {
+      endHeading(); // poetry lines and blank lines stay in the paragraph
+      mode = "text";
+    }
+    // Any other marker is a character style: its text is kept
+  });
+
+  endHeading();
+  if (builder) books.push(builder.finish());
+  return books;
+}
+
+/* ================================
+   OSIS
+================================ */
+
+function parseOsis(text, id) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("This OSIS file is not well-formed XML.");
+  }
+
+  const books = [];
+
+  [...doc.getElementsByTagName("div")]
+    .filter(div => div.getAttribute("type") === "book")
+    .forEach(div => {
+      const index = OSIS_CODES.indexOf(div.getAttribute("osisID"));
+      if (index < 0) return;
+
+      const builder = createBookBuilder(id, BOOKS[index]);
+      walkOsis(div, builder);
+      books.push(builder.finish());
+    });
+
+  return books;
+}
+
+function walkOsis(node, builder) {
+  node.childNodes.forEach(child => {
+    if (child.nodeType === 3) {
+      builder.text(child.nodeValue);
+      return;
+    }
+    if (child.nodeType !== 1) return;
+
+    const osisId = child.getAttribute("osisID") || child.getAttribute("sID");
+    const lastPart = id => Number(id.split(/\s+/)[0].split(".").pop());
+
+    switch (child.localName) {
+      case "note":
+        return;
+      case "chapter":
+        if (child.getAttribute("eID")) return;
+        if (osisId) builder.chapter(lastPart(osisId));
+        break;
+      case "verse":
+        if (child.getAttribute("eID")) {
+          builder.endVerse();
+          return;
+        }
+        // "John.1.2 John.1.3" is a bridge
+        if (osisId) builder.verse(lastPart(osisId), lastPart(osisId.trim().split(/\s+/).pop()));
+        walkOsis(child, builder);
+        if (!child.getAttribute("sID")) builder.endVerse(); // container verse ends here
+        return;
+      case "title":
+        // Psalm titles are Bible text; book and chapter titles are not
+        if (child.getAttribute("canonical") === "true") break;
+        if (!["chapter", "main"].includes(child.getAttribute("type"))) builder.heading(child.textContent);
+        return;
+      case "p":
+        builder.paragraph();
+        walkOsis(child, builder);
+        builder.paragraph();
+        return;
+    }
+
+    walkOsis(child, builder);
+  });
+}
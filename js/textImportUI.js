@@ -0,0 +1,110 @@
+/* textImportUI.js
+   "Import Bible text" on the home page: pick USFM or OSIS files,
+   name the translation, and store the books found (textImport.js,
+   importedTexts.js).
+*/
+
+import { getById, createEl } from "./domUtils.js";
+import { openDialog } from "./dialog.js";
+import { parseBibleText } from "./textImport.js";
+import { saveImportedTexts, translationIdFor, translationIdProblem } from "./importedTexts.js";
+
+export function initTextImport({ onImported } = {}) {
+  const btn = getById('importTextBtn');
+  if (btn) btn.onclick = () => openImportDialog(onImported);
+}
+
+function openImportDialog(onImported) {
+  const body = createEl('div', { className: 'text-import' });
+  let files = []; // [{ name, text }]
+
+  body.appendChild(createEl('p', {
+    className: 'muted',
+    text: 'USFM (.usfm, .sfm) or OSIS XML files with one or more books. ' +
+      'The text is kept in this browser only. Importing into an existing abbreviation adds or replaces its books.'
+  }));
+
+  const abbreviation = createEl('input', { attrs: { type: 'text', placeholder: 'e.g. WEB', maxlength: '20' } });
+  const name = createEl('input', { attrs: { type: 'text', placeholder: 'e.g. World English Bible' } });
+  const picker = createEl('input', { attrs: { type: 'file', multiple: '', accept: '.usfm,.sfm,.xml,.txt' } });
+  const found = createEl('ul', { className: 'text-import-books' });
+
+  [['Abbreviation', abbreviation], ['Name', name], ['Files', picker]].forEach(([text, input]) => {
+    const label = createEl('label', { className: 'text-import-field' });
+    label.append(createEl('span', { text }), input);
+    body.appendChild(label);
+  });
+  body.appendChild(found);
+
+  picker.onchange = async () => {
+    files = await Promise.all([...picker.files].map(async file => ({ name: file.name, text: await file.text() })));
+    if (!abbreviation.value) abbreviation.value = files[0]?.name.replace(/\.[^.]+$/, '').slice(0, 20) || '';
+    showBooks();
+  };
+
+  // Parse with the translation's id, so references carry it
+  function parseAll(id) {
+    const books = [];
+    const problems = [];
+    files.forEach(file => {
+      try {
+        const parsed = parseBibleText(file.text, id);
+        if (!parsed.length) problems.push(`${file.name}: no Bible book found.`);
+        books.push(...parsed.filter(book => book.paragraphs.length));
+      } catch (err) {
+        problems.push(`${file.name}: ${err.message}`);
+      }
+    });
+    return { books, problems };
+  }
+
+  function showBooks() {
+    const { books, problems } = parseAll('import');
+    found.innerHTML = '';
+    books.forEach(book => {
+      const chapters = book.verses.filter(v => v.h === 1).length;
+      const verses = new Set(book.paragraphs.flatMap(p => p.verses)).size;
+      found.appendChild(createEl('li', {
+        text: `${book.book} — ${chapters} chapter(s), ${verses} verses, ${book.paragraphs.length} paragraphs`
+      }));
+    });
+    problems.forEach(text => found.appendChild(createEl('li', { className: 'text-import-problem', text })));
+  }
+
+  openDialog({
+    title: 'Import Bible text',
+    body,
+    actions: [
+      { label: 'Cancel' },
+      {
+        label: 'Import',
+        primary: true,
+        onClick: async () => {
+          const abbr = abbreviation.value.trim();
+          const id = translationIdFor(abbr);
+          const problem = await translationIdProblem(id);
+          if (problem) {
+            alert(problem);
+            return false;
+          }
+
+          const { books } = parseAll(id);
+          if (!books.length) {
+            alert('Choose at least one file with Bible text.');
+            return false;
+          }
+
+          try {
+            const entry = await saveImportedTexts({ id, abbreviation: abbr, name: name.value.trim() || abbr }, books);
+            alert(`Imported ${books.length} book(s) as ${entry.abbreviation}.`);
+            if (onImported) onImported(entry);
+          } catch (err) {
+            console.error("Text import failed:", err);
+            alert('Could not store the imported text.');
+            return false;
+          }
+        }
+      }
+    ]
+  });
+}
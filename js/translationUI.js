@@ -0,0 +1,84 @@
+/* translationUI.js
+   Translation switcher in the Charter Builder. Switching replaces
+   the paragraphs with the other translation's and keeps structure
+   and notes on their verses (verseAnchors.js), as one undoable
+   change.
+*/
+
+import { state } from "./state.js";
+import { getById, createEl } from "./domUtils.js";
+import { listTranslations, getTranslation, translationOf } from "./translations.js";
+import { loadVerses } from "./verses.js";
+import { applyTranslation } from "./structureLogic.js";
+import { roundTripLosses } from "./verseAnchors.js";
+import { recordChange } from "./commandHistory.js";
+
+/**
+ * Fill a translation <select> and show the chart's translation.
+ */
+export function fillTranslationSelect(select, book) {
+  select.innerHTML = '';
+  listTranslations().forEach(t => {
+    select.appendChild(createEl('option', { text: t.abbreviation, attrs: { value: t.id, title: t.name } }));
+  });
+  select.value = translationOf(book);
+}
+
+/**
+ * Load what a chart needs to be read in translation `id`.
+ * @returns {Promise<{ paragraphs, verses } | null>} null when the
+ *          translation has no paragraphs for the book
+ */
+export async function loadTranslation(id, book) {
+  const ranges = await getTranslation(id).loadParagraphs(book);
+  if (!ranges?.length) return null;
+
+  const paragraphs = ranges.map(block => ({ range: block.range || "", title: "", text: block.text || "" }));
+  return { paragraphs, verses: await loadVerses(book, id) };
+}
+
+export function renderTranslationSelect() {
+  const select = getById('translationSelect');
+  if (!select) return;
+
+  fillTranslationSelect(select, state);
+  select.onchange = () => switchTo(select.value);
+}
+
+async function switchTo(id) {
+  const translation = getTranslation(id);
+  let loaded = null;
+  let ownVerses = null;
+  try {
+    loaded = await loadTranslation(id, state.book);
+    ownVerses = await loadVerses(state.book, translationOf(state));
+  } catch (err) {
+    console.error("Loading translation failed:", err);
+  }
+
+  if (!loaded) {
+    alert(`${translation.name} has no text for ${state.book}.`);
+    renderTranslationSelect();
+    return;
+  }
+  if (!confirmRoundTrip(translation, roundTripLosses(state, loaded.paragraphs, loaded.verses, ownVerses))) {
+    renderTranslationSelect();
+    return;
+  }
+
+  let report = [];
+  recordChange(`Switch to ${translation.abbreviation}`, () => {
+    report = applyTranslation(id, loaded.paragraphs, loaded.verses);
+  });
+
+  if (report.length) alert(`Switched to ${translation.name}.\n\n${report.join("\n")}`);
+}
+
+/**
+ * Ask before a switch that switching back would not undo exactly.
+ * @param {string[]} losses from roundTripLosses (verseAnchors.js)
+ */
+export function confirmRoundTrip(translation, losses) {
+  if (!losses.length) return true;
+  return confirm(`Reading this chart in ${translation.name} and switching back would not restore it as it is:\n\n${losses.join("\n")}\n\nSwitch anyway?`);
+}
@@ -0,0 +1,68 @@
+/* translations.js
+   Registry of Bible translations a chart can be read in.
+
+   Each chart stores its translation's id in `translation`; charts
+   from before translations were selectable are ESV. A translation
+   supplies two things per Bible book:
+
+     loadVerses(book)      verse entries like Books/raw/<book>.json:
+                           [{ r: "<id>:<book>:<chapter>:<verse>", t, h? }]
+                           (h: 1 chapter heading, h: 2 pericope heading)
+     loadParagraphs(book)  default paragraphs like
+                           Books/cleaned/<book>_ranges.json:
+                           [{ range: "1:1–1:5", text }]
+
+   Both resolve to null when the translation has no such book. The
+   ESV is built in; texts imported from USFM or OSIS files are
+   registered by importedTexts.js.
+   Structure is anchored to verse references (see verseAnchors.js),
+   so a chart keeps its boundaries and notes when it switches.
+*/
+
+export const DEFAULT_TRANSLATION = "esv";
+
+const registry = new Map();
+
+async function fetchJson(path) {
+  const res = await fetch(path);
+  if (!res.ok) return null;
+  return res.json();
+}
+
+/**
+ * Add a translation, or replace the one with the same id.
+ * @param {{ id, name, abbreviation, loadVerses, loadParagraphs }} translation
+ */
+export function registerTranslation(translation) {
+  registry.set(translation.id, translation);
+}
+
+export function listTranslations() {
+  return [...registry.values()];
+}
+
+/**
+ * The translation with this id; unknown ids fall back to the default.
+ */
+export function getTranslation(id) {
+  return registry.get(id) || registry.get(DEFAULT_TRANSLATION);
+}
+
+export function translationOf(book) {
+  return book?.translation || DEFAULT_TRANSLATION;
+}
+
+// Bundled files named differently from BOOKS
+const ESV_FILE_NAMES = { Psalms: "Psalm" };
+
+function esvFile(book) {
+  return encodeURIComponent(ESV_FILE_NAMES[book] || book);
+}
+
+registerTranslation({
+  id: "esv",
+  name: "English Standard Version",
+  abbreviation: "ESV",
+  loadVerses: book => fetchJson(`Books/raw/${esvFile(book)}.json`),
+  loadParagraphs: book => fetchJson(`Books/cleaned/${esvFile(book)}_ranges.json`)
+});
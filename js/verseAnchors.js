@@ -0,0 +1,314 @@
+/* verseAnchors.js
+   Structure anchored to verse references.
+
+   Items and paragraph notes are stored against paragraph indexes,
+   but every paragraph starts at a verse, so each boundary is really
+   a verse reference: its anchor. When a chart switches translation
+   the new translation's paragraphs are cut at every anchor, and
+   everything is placed back on the paragraph starting at its verse.
+   Switching back cuts at the same verses, so nothing drifts.
+
+   Paragraphs can break inside a verse, so one verse may start
+   several paragraphs (two start at Romans 1:7). An anchor is
+   therefore a verse and its part: which of the paragraphs starting
+   at that verse it means, 0 for the first.
+
+   Each item keeps its anchor in `anchor` and `anchorPart`, and its
+   paragraphIndexes are derived from them, so an item that could only
+   be placed on the paragraph around its verse (no verse data to cut
+   with) still starts at that verse after switching back. Items set
+   aside because their paragraph was taken keep their anchor in
+   `book.unmigrated` and are put back once it can be placed again;
+   so are paragraph notes that met other notes on one paragraph
+   (entries with level "paragraphs").
+*/
+
+import { levelKeys, levelName, startOf, sortByStart } from "./levels.js";
+import { versesInRange, formatRange, textOf, splitTextAt } from "./verses.js";
+
+// book.unmigrated level of paragraph notes set aside
+const NOTES = "paragraphs";
+
+/**
+ * First verse of a paragraph range: "3:1–3:20" → "3:1".
+ */
+export function firstVerse(range) {
+  return (range || "").split("–")[0].trim();
+}
+
+/**
+ * Last verse of a paragraph range: "3:1–3:20" → "3:20".
+ */
+export function lastVerse(range) {
+  return (range || "").split("–").pop().trim();
+}
+
+/**
+ * Whether a "chapter:verse" lies in a paragraph range.
+ */
+export function inRange(range, ref) {
+  const first = firstVerse(range);
+  return !!first && !!ref && compareRefs(first, ref) <= 0 && compareRefs(ref, lastVerse(range)) <= 0;
+}
+
+// Each paragraph's part: how many paragraphs before it start at its verse
+function partsOf(paragraphs) {
+  const seen = new Map();
+  return paragraphs.map(p => {
+    const verse = firstVerse(p.range);
+    const part = seen.get(verse) || 0;
+    seen.set(verse, part + 1);
+    return part;
+  });
+}
+
+/**
+ * Where an item starts, as { verse, part }: its stored anchor while
+ * that still lies in its first paragraph (an edit that moved the
+ * item leaves it behind), otherwise that paragraph's own start.
+ * A stored later part of the paragraph's own verse counts only on
+ * the last paragraph starting there, where this translation had
+ * fewer paragraphs to put it on.
+ */
+export function anchorOf(book, item, parts = partsOf(book.paragraphs)) {
+  const start = startOf(item);
+  const range = book.paragraphs[start]?.range;
+  const own = { verse: firstVerse(range), part: parts[start] ?? 0 };
+  if (!inRange(range, item.anchor)) return own;
+
+  const stored = { verse: item.anchor, part: item.anchorPart || 0 };
+  if (stored.verse !== own.verse) return stored;
+
+  const lastThere = firstVerse(book.paragraphs[start + 1]?.range) !== own.verse;
+  return lastThere && stored.part > own.part ? stored : own;
+}
+
+/**
+ * Order of two "chapter:verse" references.
+ */
+export function compareRefs(a, b) {
+  const [ac, av] = a.split(":").map(Number);
+  const [bc, bv] = b.split(":").map(Number);
+  return ac - bc || av - bv;
+}
+
+function hasNotes(paragraph) {
+  return !!(paragraph.title || paragraph.content || paragraph.tags?.length);
+}
+
+function notesOf(paragraph) {
+  const notes = { title: paragraph.title || "", content: paragraph.content || "" };
+  if (paragraph.tags?.length) notes.tags = [...paragraph.tags];
+  return notes;
+}
+
+/**
+ * Move a chart's structure and paragraph notes onto other paragraphs
+ * (another translation's). `verses` is that translation's verse data
+ * (verses.js); without it paragraphs cannot be cut, and anchors fall
+ * into the paragraph containing them.
+ *
+ * @returns {{ paragraphs: Object[], levels: Object<string, Object[]>,
+ *             setAside: Object[], restored: Object[], report: string[] }}
+ *   levels: each level's items, anchored, with paragraphIndexes from
+ *     their anchors;
+ *   setAside: items whose paragraph another item of the level took,
+ *     and paragraph notes whose paragraph other notes took;
+ *   restored: entries of book.unmigrated that were put back
+ */
+export function remapToParagraphs(book, paragraphs, verses) {
+  const keys = levelKeys(book);
+  const report = [];
+  const parts = partsOf(book.paragraphs);
+
+  // Items with their anchors, then those set aside earlier that kept one
+  const placing = keys.map(key => ({
+    key,
+    items: book[key].map(item => {
+      const { verse, part } = anchorOf(book, item, parts);
+      return { ...item, anchor: verse, anchorPart: part };
+    }),
+    waiting: (book.unmigrated || []).filter(entry => entry.level === key && entry.item?.anchor)
+  }));
+  const notesWaiting = (book.unmigrated || []).filter(entry => entry.level === NOTES && entry.item?.anchor);
+
+  // Verses where a boundary or a paragraph note starts
+  const anchors = new Set();
+  placing.forEach(({ items, waiting }) => {
+    items.forEach(item => anchors.add(item.anchor));
+    waiting.forEach(entry => anchors.add(entry.item.anchor));
+  });
+  notesWaiting.forEach(entry => anchors.add(entry.item.anchor));
+  book.paragraphs.forEach(p => { if (hasNotes(p)) anchors.add(firstVerse(p.range)); });
+  anchors.delete("");
+
+  const cut = verses ? cutAtAnchors(paragraphs, anchors, verses) : paragraphs.map(p => ({ ...p }));
+  const starts = cut.map(p => firstVerse(p.range));
+
+  // Paragraph an anchor falls on: the part-th of those starting at its
+  // verse (the last when there are fewer), else the one containing it
+  const locate = (verse, part = 0) => {
+    const at = [];
+    starts.forEach((start, i) => { if (start === verse) at.push(i); });
+    if (at.length) return at[Math.min(part, at.length - 1)];
+
+    let result = 0;
+    starts.forEach((start, i) => { if (verse && compareRefs(start, verse) <= 0) result = i; });
+    return result;
+  };
+  const target = book.paragraphs.map((p, i) => locate(firstVerse(p.range), parts[i]));
+
+  const setAside = [];
+  const restored = [];
+
+  // Notes go with their paragraph's anchor; one paragraph keeps one set
+  const result = cut.map(p => ({ ...p, title: "", content: "" }));
+  const noted = new Set();
+  book.paragraphs.forEach((p, i) => {
+    if (!hasNotes(p)) return;
+    if (noted.has(target[i])) {
+      const verse = firstVerse(p.range);
+      setAside.push({ level: NOTES, item: { anchor: verse, anchorPart: parts[i], ...notesOf(p) }, reason: `Verse ${verse} shares a paragraph with other notes in this translation` });
+      report.push(`Notes of ${p.range} share a paragraph with other notes and were set aside.`);
+      return;
+    }
+    noted.add(target[i]);
+    Object.assign(result[target[i]], notesOf(p));
+  });
+  notesWaiting.forEach(entry => {
+    const at = locate(entry.item.anchor, entry.item.anchorPart);
+    if (noted.has(at)) return;
+    noted.add(at);
+    Object.assign(result[at], notesOf(entry.item));
+    restored.push(entry);
+    report.push(`Notes set aside earlier are back at ${result[at].range}.`);
+  });
+
+  const levels = {};
+  placing.forEach(({ key, items, waiting }) => {
+    const taken = new Set();
+    const place = item => {
+      const start = item.anchor ? locate(item.anchor, item.anchorPart) : target[startOf(item)];
+      if (start === undefined || taken.has(start)) return null;
+      taken.add(start);
+      return { ...item, paragraphIndexes: [start] };
+    };
+
+    levels[key] = [];
+    items.forEach(item => {
+      const moved = place(item);
+      if (moved) {
+        levels[key].push(moved);
+        return;
+      }
+      setAside.push({ level: key, item, reason: `Verse ${item.anchor} shares a paragraph with another item in this translation` });
+      report.push(`"${item.title || item.anchor}" (${key}) shares a paragraph with another item and was set aside.`);
+    });
+
+    waiting.forEach(entry => {
+      const moved = place(entry.item);
+      if (!moved) return;
+      levels[key].push(moved);
+      restored.push(entry);
+      report.push(`"${moved.title || moved.anchor}" (${key}), set aside earlier, is back at ${moved.anchor}.`);
+    });
+    levels[key] = sortByStart(levels[key]);
+  });
+
+  if (!verses) report.push("No verse text for this translation: boundaries were placed on whole paragraphs.");
+
+  return { paragraphs: result, levels, setAside, restored, report };
+}
+
+// Split paragraphs so that a paragraph starts at every anchor verse.
+// A verse some paragraph already starts at is not cut again where
+// another paragraph ends inside it (Genesis 2:23). Text is cut from
+// the paragraph's own (splitTextAt), falling back to whole verses
+// once a verse cannot be found in it.
+function cutAtAnchors(paragraphs, anchors, verses) {
+  const result = [];
+  const starting = new Set(paragraphs.map(p => firstVerse(p.range)));
+
+  paragraphs.forEach(paragraph => {
+    const refs = versesInRange(verses, paragraph.range);
+    if (!refs.length) {
+      result.push({ ...paragraph });
+      return;
+    }
+
+    let from = 0;
+    let rest = paragraph.text;
+    const flush = to => {
+      const piece = refs.slice(from, to);
+      let text = null;
+      if (rest != null && to < refs.length) {
+        const cut = splitTextAt(rest, verses, refs[to]);
+        if (cut) [text, rest] = cut;
+        else rest = null;
+      } else if (rest != null) {
+        text = rest;
+      }
+      result.push({ ...paragraph, range: formatRange(piece), text: text ?? textOf(verses, piece) });
+      from = to;
+    };
+
+    refs.forEach((ref, i) => { if (i > 0 && anchors.has(ref) && !starting.has(ref)) flush(i); });
+    if (from === 0) result.push({ ...paragraph });
+    else flush(refs.length);
+  });
+
+  return result;
+}
+
+/**
+ * Switch `book` to translation `id`, whose paragraphs and verse
+ * data are given, keeping structure and notes on their verses.
+ * Items that cannot be placed go to `book.unmigrated`; items set
+ * aside by an earlier switch come back when they can be placed.
+ * @returns {string[]} what could not be carried over exactly
+ */
+export function switchTranslation(book, id, paragraphs, verses) {
+  const { paragraphs: moved, levels, setAside, restored, report } = remapToParagraphs(book, paragraphs, verses);
+
+  book.translation = id;
+  book.paragraphs = moved;
+  Object.assign(book, levels);
+  if (setAside.length || restored.length) {
+    book.unmigrated = [...(book.unmigrated || []).filter(entry => !restored.includes(entry)), ...setAside];
+  }
+
+  return report;
+}
+
+/**
+ * What reading the chart in other paragraphs and switching back
+ * would not put back as it is, checked before a switch. `ownVerses`
+ * is the verse data of the chart's current translation.
+ * @returns {string[]} a line per item or paragraph's notes that would
+ *          move or stay set aside, and one when the paragraphs would
+ *          divide differently
+ */
+export function roundTripLosses(book, paragraphs, verses, ownVerses) {
+  const copy = JSON.parse(JSON.stringify(book));
+  switchTranslation(copy, "", paragraphs, verses);
+  switchTranslation(copy, book.translation, book.paragraphs.map(({ range, text }) => ({ range, text })), ownVerses);
+
+  const losses = [];
+  if (copy.paragraphs.map(p => p.range).join() !== book.paragraphs.map(p => p.range).join()) {
+    losses.push("The paragraphs would not be divided as they are now.");
+  } else {
+    book.paragraphs.forEach((p, i) => {
+      if (JSON.stringify(notesOf(p)) === JSON.stringify(notesOf(copy.paragraphs[i]))) return;
+      losses.push(`Notes of ${p.range} would not come back as they are.`);
+    });
+  }
+  levelKeys(book).forEach(key => {
+    const back = new Map(copy[key].map(item => [item.id, item]));
+    book[key].forEach(item => {
+      if (back.has(item.id) && startOf(back.get(item.id)) === startOf(item)) return;
+      const where = book.paragraphs[startOf(item)]?.range;
+      losses.push(`${levelName(book, key)} "${item.title || where}" would not come back to ${where}.`);
+    });
+  });
+  return losses;
+}
@@ -1,16 +1,18 @@
 // verseRanges.js
-// Loads verse ranges for a book and populates state.paragraphs
+// Loads the default paragraphs of a book in the chart's translation
+// (see translations.js) and populates state.paragraphs
 // No direct DOM rendering — now fully modular
 
+import { getTranslation, translationOf } from "./translations.js";
+
 export async function loadVerseRangesForBook(bookName, state) {
   if (!bookName) return;
 
-  const path = `Books/cleaned/${encodeURIComponent(bookName)}_ranges.json`;
+  const translation = translationOf(state);
 
   try {
-    const res = await fetch(path);
-    if (!res.ok) throw new Error(`Failed to load ${path}`);
-    const ranges = await res.json();
+    const ranges = await getTranslation(translation).loadParagraphs(bookName);
+    if (!ranges) throw new Error(`No ${translation} paragraphs for ${bookName}`);
 
     // Clear previous paragraphs
     state.paragraphs = [];
@@ -28,5 +30,3 @@ export async function loadVerseRangesForBook(bookName, state) {
     console.error("Error loading verse ranges:", err);
   }
 }
-
-
@@ -0,0 +1,121 @@
+// verses.js
+// Verse-level text for a Bible book in one translation (see
+// translations.js). Shared by the Chart Editor (key verse lookup)
+// and the builder (splitting and merging paragraphs, structure
+// suggestions). Loaded once per book and translation.
+
+import { DEFAULT_TRANSLATION, getTranslation } from "./translations.js";
+
+const cache = new Map();
+
+// Words of a verse enough to find where it starts in a paragraph
+const PREFIX_WORDS = 6;
+
+// Raw text carries layout markers such as *p, *ln, *s
+function cleanVerseText(text) {
+  return (text || "").replace(/\*[a-z]+/g, "");
+}
+
+/**
+ * @returns {Promise<{ refs: string[], text: Map<string, string>, headings: Array } | null>}
+ *   refs: "chapter:verse" in book order; null when the book has no data.
+ *   headings: { level, text, ref } in book order, where level is 1 for
+ *   a chapter heading and 2 for a pericope heading, and ref is the
+ *   verse the heading stands before.
+ */
+export function loadVerses(book, translation = DEFAULT_TRANSLATION) {
+  if (!book) return Promise.resolve(null);
+  const key = `${translation}:${book}`;
+  if (!cache.has(key)) {
+    cache.set(key, fetchVerses(book, translation, key));
+  }
+  return cache.get(key);
+}
+
+async function fetchVerses(book, translation, key) {
+  try {
+    const raw = await getTranslation(translation).loadVerses(book);
+    if (!raw) throw new Error(`No ${translation} verse data for ${book}`);
+
+    const refs = [];
+    const text = new Map();
+    const headings = [];
+    let pending = [];
+
+    for (const entry of raw) {
+      // A heading stands before the next verse, whatever its own ref
+      if (entry.h) {
+        pending.push({ level: entry.h, text: cleanVerseText(entry.t).trim() });
+        continue;
+      }
+      // Reference format: "<translation>:BookName:Chapter:Verse"
+      const [chapter, verseNo] = entry.r.split(":").slice(-2);
+      if (!verseNo || verseNo === "0") continue; // chapter-level entries
+
+      const ref = `${chapter}:${verseNo}`;
+      const verse = cleanVerseText(entry.t);
+
+      pending.forEach(heading => headings.push({ ...heading, ref }));
+      pending = [];
+
+      // A verse that spans two paragraphs comes in two entries
+      if (text.has(ref)) {
+        text.set(ref, `${text.get(ref)} ${verse}`);
+      } else {
+        refs.push(ref);
+        text.set(ref, verse);
+      }
+    }
+
+    return { refs, text, headings };
+  } catch (err) {
+    console.error("Error loading verse data:", err);
+    cache.delete(key); // try again next time
+    return null;
+  }
+}
+
+/**
+ * Verses covered by a paragraph range such as "3:1–3:20" or "3:21".
+ */
+export function versesInRange(verses, range) {
+  const [first, last = first] = (range || "").split("–");
+  const from = verses.refs.indexOf(first);
+  const to = verses.refs.indexOf(last);
+  if (from < 0 || to < from) return [];
+  return verses.refs.slice(from, to + 1);
+}
+
+export function formatRange(refs) {
+  if (refs.length <= 1) return refs[0] || "";
+  return `${refs[0]}–${refs[refs.length - 1]}`;
+}
+
+export function textOf(verses, refs) {
+  return refs.map(ref => verses.text.get(ref)).filter(Boolean).join(" ");
+}
+
+/**
+ * A paragraph's own text cut where verse `ref` starts in it, or null
+ * when that verse cannot be found there. Cutting the paragraph's text
+ * rather than joining whole verses keeps a verse that two paragraphs
+ * share (Romans 1:7) from being repeated. The verse is looked for
+ * whole, then by its first words, since a paragraph ending inside it
+ * holds only some of them.
+ * @returns {[string, string] | null}
+ */
+export function splitTextAt(text, verses, ref) {
+  const words = (verses.text.get(ref) || "").trim().split(/\s+/).filter(Boolean)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const prefix = Math.min(PREFIX_WORDS, words.length);
+  const tries = [words.length, ...[...Array(prefix).keys()].map(i => prefix - i).filter(n => n < words.length)];
+
+  for (const n of tries) {
+    const end = n < prefix ? "\\s*$" : "";
+    const match = new RegExp(words.slice(0, n).join("\\s+") + end).exec(text || "");
+    if (match) {
+      return match.index > 0 ? [text.slice(0, match.index).trim(), text.slice(match.index).trim()] : null;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,177 @@
+/* versionHistory.js
+   Rolling per-book snapshots stored in IndexedDB.
+
+   A snapshot is taken on every manual save and, during autosave,
+   at most once per AUTOSAVE_SNAPSHOT_INTERVAL. Only the newest
+   MAX_SNAPSHOTS_PER_BOOK snapshots are kept for each book.
+   Snapshot data is stored gzip-compressed like the charts themselves,
+   apart from the metadata (STORES.history) so listing snapshots does
+   not read any chart.
+*/
+
+import { STORES, withStore } from "./idb.js";
+import { loadBook, saveBook } from "./storage.js";
+import { encodeJson, decodeJson } from "./compression.js";
+import { levelKeys, levelName, startOf } from "./levels.js";
+
+const MAX_SNAPSHOTS_PER_BOOK = 30;
+const AUTOSAVE_SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+/* ================================
+   Change counting
+================================ */
+
+/**
+ * Count items added, removed or moved per structure level, plus
+ * titles changed anywhere in the chart.
+ * @returns {{ levels: Array<{ name, count }>, titles: number }}
+ *   levels lists only levels with changes, named as in `next`
+ */
+export function countChanges(prev, next) {
+  const changes = { levels: [], titles: 0 };
+  const keys = new Set([...levelKeys(next), ...(prev ? levelKeys(prev) : [])]);
+
+  keys.forEach(level => {
+    const before = new Map((prev?.[level] || []).map(i => [i.id, i]));
+    const after = new Map((next?.[level] || []).map(i => [i.id, i]));
+    let count = 0;
+
+    after.forEach((item, id) => {
+      const old = before.get(id);
+      if (!old || startOf(old) !== startOf(item)) count++;
+      if ((old?.title || "") !== (item.title || "")) changes.titles++;
+    });
+    before.forEach((item, id) => {
+      if (!after.has(id)) {
+        count++;
+        if (item.title) changes.titles++;
+      }
+    });
+
+    const owner = levelKeys(next).includes(level) ? next : prev;
+    if (count) changes.levels.push({ name: levelName(owner, level).toLowerCase(), count });
+  });
+
+  const prevParas = prev?.paragraphs || [];
+  const nextParas = next?.paragraphs || [];
+  const count = Math.max(prevParas.length, nextParas.length);
+  for (let i = 0; i < count; i++) {
+    if ((prevParas[i]?.title || "") !== (nextParas[i]?.title || "")) changes.titles++;
+  }
+
+  if ((prev?.bookName || "") !== (next?.bookName || "")) changes.titles++;
+
+  return changes;
+}
+
+function sameContent(a, b) {
+  const strip = ({ lastModified, ...rest }) => rest;
+  return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+}
+
+/* ================================
+   Read
+================================ */
+
+/**
+ * All snapshots for a book, newest first. Entries carry metadata
+ * only; use getSnapshot() for the chart data.
+ */
+export async function listSnapshots(bookId) {
+  const snapshots = await withStore(STORES.history, "readonly", store =>
+    store.index("bookId").getAll(bookId)
+  );
+  return (snapshots || []).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function getSnapshot(id) {
+  const [meta, record] = await withStore(
+    [STORES.history, STORES.snapshotData],
+    "readonly",
+    (history, data) => [history.get(id), data.get(id)]
+  ).then(([a, b]) => [a.result, b.result]);
+
+  if (!meta || !record) return null;
+  return { ...meta, data: await decodeJson(record) };
+}
+
+/* ================================
+   Write
+================================ */
+
+/**
+ * Store a snapshot of a saved book record (as returned by saveBook).
+ * Skips the write when nothing changed since the previous snapshot.
+ */
+export async function takeSnapshot(book, reason = "manual") {
+  if (!book || !book.bookId) return null;
+
+  const existing = await listSnapshots(book.bookId);
+  const latest = existing.length ? await getSnapshot(existing[0].id) : null;
+  const { migrationReport, ...data } = book;
+  if (latest && sameContent(latest.data, data)) return null;
+
+  const { encoding, payload, size } = await encodeJson(data);
+
+  const snapshot = {
+    bookId: book.bookId,
+    createdAt: Date.now(),
+    reason,
+    changes: countChanges(latest?.data, data),
+    size
+  };
+
+  const stale = existing.slice(MAX_SNAPSHOTS_PER_BOOK - 1);
+
+  await withStore([STORES.history, STORES.snapshotData], "readwrite", (history, snapshots) => {
+    const req = history.add(snapshot);
+    req.onsuccess = () => {
+      snapshot.id = req.result;
+      snapshots.add({ id: req.result, encoding, payload });
+    };
+    stale.forEach(s => {
+      history.delete(s.id);
+      snapshots.delete(s.id);
+    });
+  });
+
+  return snapshot;
+}
+
+/**
+ * Snapshot during autosave, at most once per interval.
+ */
+export async function takeAutosaveSnapshot(book) {
+  const [latest] = await listSnapshots(book.bookId);
+  if (latest && Date.now() - latest.createdAt < AUTOSAVE_SNAPSHOT_INTERVAL) return null;
+  return takeSnapshot(book, "autosave");
+}
+
+/**
+ * Delete every snapshot of a book, e.g. to free storage space.
+ */
+export async function clearSnapshots(bookId) {
+  const existing = await listSnapshots(bookId);
+  await withStore([STORES.history, STORES.snapshotData], "readwrite", (history, snapshots) => {
+    existing.forEach(s => {
+      history.delete(s.id);
+      snapshots.delete(s.id);
+    });
+  });
+}
+
+/**
+ * Replace the saved book with a snapshot. The current saved copy is
+ * snapshotted first so the restore itself can be undone.
+ */
+export async function restoreSnapshot(id) {
+  const snapshot = await getSnapshot(id);
+  if (!snapshot) throw new Error("Snapshot not found");
+
+  const current = await loadBook(snapshot.bookId);
+  if (current) await takeSnapshot(current, "before-restore");
+
+  const restored = await saveBook(snapshot.data);
+  await takeSnapshot(restored, "restore");
+  return restored;
+}